@@ -0,0 +1,59 @@
+// Print the ESC/POS bytes of a fixed sample receipt as a hex dump, to check
+// the encoder without a printer:
+//   npm run escpos-dump              (80 mm paper)
+//   npm run escpos-dump -- 58        (58 mm)
+// Run it before and after touching escpos.js or receipt.js and diff the two.
+// The layout itself is checked by src/escpos.test.js (npm test).
+// Exits non-zero if the stream doesn't start with ESC @ and end with the cut
+// and drawer kick. src/ uses extensionless imports, so it is loaded through Vite.
+
+import { createServer } from "vite";
+
+const SALE = {
+  id: "T-AB12-OR-000042",
+  orSeq: 42,
+  time: "10/19/2026, 9:30:00 AM",
+  cashier: "Maria Santos",
+  currency: "PHP",
+  items: [
+    { id: "CB-001", name: "Barako coffee beans 250g", price: 320, qty: 2, uom: "pc",
+      promos: [{ name: "Coffee week", amount: 64 }] },
+    { id: "SG-002", name: "Muscovado sugar", price: 90, qty: 1.25, uom: "kg" },
+  ],
+  sub: 752.5, promoAmt: 64, discLabel: "Discount", discPct: 0, discAmt: 0,
+  vatPct: 12, taxAmt: 73.77, taxIncl: true, vatRemoved: 0,
+  vatable: 614.73, vatExempt: 0, zeroRated: 0,
+  total: 688.5,
+  tenders: [
+    { type: "Cash", amount: 500, ref: "", last4: "" },
+    { type: "E-Wallet", amount: 188.5, ref: "GC-99812", last4: "" },
+  ],
+  change: 0,
+};
+
+const width = Number(process.argv[2]) || 80;
+
+const vite = await createServer({ server: { middlewareMode: true, hmr: false }, appType: "custom", logLevel: "error" });
+let bytes;
+try {
+  const { receiptBytes, receiptTemplate } = await vite.ssrLoadModule("/src/receipt.js");
+  bytes = receiptBytes(SALE, { ...receiptTemplate({}), tin: "000-123-456-000", footer: "Thank you!", width }, { drawer: true });
+} finally {
+  await vite.close();
+}
+
+const hex = (b) => b.toString(16).padStart(2, "0");
+for (let i = 0; i < bytes.length; i += 16) {
+  const row = Array.from(bytes.slice(i, i + 16));
+  const text = row.map(b => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : ".")).join("");
+  console.log(`${i.toString(16).padStart(6, "0")}  ${row.map(hex).join(" ").padEnd(47)}  ${text}`);
+}
+console.log(`${bytes.length} bytes, ${width} mm`);
+
+const starts = [0x1b, 0x40];
+const ends = [0x1d, 0x56, 66, 3, 0x1b, 0x70, 0, 25, 250];
+const tail = Array.from(bytes.slice(-ends.length));
+if (bytes[0] !== starts[0] || bytes[1] !== starts[1] || tail.some((b, i) => b !== ends[i])) {
+  console.error("Unexpected start or end of stream");
+  process.exit(1);
+}
@@ -0,0 +1,76 @@
+// Reference sync server for local testing. No dependencies:
+//   npm run sync-server                          (port 8787, in memory only)
+//   PORT=9000 SYNC_DATA=/tmp/sync.json npm run sync-server   (kept in a file)
+// Then in the app: Settings → Sync → server URL http://localhost:8787.
+//
+// It is only an ordered log. Each pushed change gets the next global `rev`;
+// re-pushing a (terminal, seq) pair is ignored, so a retried push after a
+// dropped response is harmless. Terminals resolve conflicts themselves.
+
+import http from "node:http";
+import fs from "node:fs";
+
+const PORT = Number(process.env.PORT) || 8787;
+const FILE = process.env.SYNC_DATA;
+
+let log = [];
+if (FILE && fs.existsSync(FILE)) log = JSON.parse(fs.readFileSync(FILE, "utf8"));
+const seen = new Set(log.map(c => `${c.terminal}:${c.seq}`));
+const save = () => FILE && fs.writeFileSync(FILE, JSON.stringify(log));
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = "";
+  req.on("data", chunk => { data += chunk; });
+  req.on("end", () => {
+    try {
+      resolve(JSON.parse(data || "{}"));
+    } catch (e) {
+      reject(e);
+    }
+  });
+});
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (req.method === "OPTIONS") return send(res, 204);
+
+  if (req.method === "GET" && url.pathname === "/sync/status") return send(res, 200, { rev: log.length });
+
+  if (req.method === "GET" && url.pathname === "/sync/pull") {
+    const since = Number(url.searchParams.get("since")) || 0;
+    const limit = Math.min(Number(url.searchParams.get("limit")) || 500, 1000);
+    return send(res, 200, { rev: log.length, changes: log.slice(since, since + limit) });
+  }
+
+  if (req.method === "POST" && url.pathname === "/sync/push") {
+    let body;
+    try {
+      body = await readBody(req);
+    } catch {
+      return send(res, 400, { error: "Bad JSON" });
+    }
+    if (!body.terminal || !Array.isArray(body.changes)) return send(res, 400, { error: "terminal and changes are required" });
+    for (const c of body.changes) {
+      const id = `${body.terminal}:${c.seq}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      log.push({ rev: log.length + 1, terminal: body.terminal, seq: c.seq, store: c.store, op: c.op, key: c.key, record: c.record, ts: c.ts });
+    }
+    save();
+    return send(res, 200, { rev: log.length });
+  }
+
+  send(res, 404, { error: "Not found" });
+});
+
+server.listen(PORT, () => console.log(`Sync server on http://localhost:${PORT} (${log.length} changes${FILE ? `, ${FILE}` : ""})`));
@@ -1,34 +1,52 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { fmt, daysUntil, expSoon, printHtml, genId, localDate, EXPIRY_SOON_DAYS } from "./util";
+import { Row, Receipt, TotalsRows } from "./ui";
+import { summarizeShift, openShift, closeShift } from "./shifts";
+import { buildRefund, restock } from "./refunds";
+import { seedUsers, authenticate, authenticatePin, publicUser } from "./auth";
+import { DEFAULT_ROLES, can, logOverride } from "./permissions";
+import { computeTotals, isStatutory, STATUTORY, scEligible, TAX_CLASSES, taxClassOf, pricesIncludeTax } from "./pricing";
+import { withLots, addLot, sellable, expiredQty } from "./lots";
+import { useHotkeys, HOTKEYS } from "./hotkeys";
+import { useScanner, parseScan, looksLikeScan, findUnitBySku, checkDigitOk, parseScaleCode, scaleConfig, findByPlu, beep } from "./scanner";
+import { UNITS, unitOf, isMeasured, isWeighed, findUnit, sellUnits, lineKey, baseQty, baseInCart, parseQty, qtyRound, qtyText, lineQtyText, itemCount, fromGrams } from "./units";
+import Sales from "./Sales";
+import Shifts, { Reading, OpenShiftModal, CloseShiftModal } from "./Shifts";
+import { RefundDoc, ReturnModal } from "./Refunds";
+import Users from "./Users";
+import OverrideModal from "./Override";
+import Settings from "./Settings";
+import Lots from "./Lots";
+import CommitInput from "./CommitInput";
+import UnitsModal from "./Units";
+import { AdjustModal, HistoryModal } from "./Stock";
+import { movement, diffMovements } from "./stock";
+import { parseCost } from "./costing";
+import Purchasing from "./Purchasing";
+import Customers, { CustomerPicker, Statement, PaymentDoc } from "./Customers";
+import Dashboard from "./Dashboard";
+import { QuickKeyGrid } from "./QuickKeys";
+import { quickKeyConfig, noteLabel } from "./quickkeys";
+import { newPayment, accountLedger, balanceOf, pointsOf, loyaltyOn, pointsEarned, pointsUsed, checkAccountTenders } from "./customers";
+import HeldModal from "./Held";
+import { holdCart, revalidateCart } from "./held";
+import { receiptTemplate, receiptBytes, opensDrawer } from "./receipt";
+import { sendToPrinter, rasterize, DOTS } from "./printer";
+import { SyncBadge } from "./Sync";
+import { TENDER_TYPES, CUSTOMER_TENDERS, newTender, checkTenders, cleanTenders, methodLabel, tenderText, tenderBase, needsRef } from "./tenders";
+import { rateOn, tenderCurrencies, ceilMoney, roundMoney, decimals } from "./currency";
+import { loadSyncConfig, startSync } from "./sync";
+import ImportModal from "./Import";
+import { applyImport } from "./importer";
+import { downloadCSV } from "./csv";
+import { inventoryCSV, stockLevelsCSV } from "./exporter";
+import { needsReorder, reorderPoint, reorderQty, onOrder, isOpen, receivePO } from "./purchasing";
+import { readKey, storageProblems, AUTH_KEY, SYNC_KEY } from "./storage";
+import { getAll, getMeta, setMeta, putMany, saveList, transact, commitSale, subscribe, patchList, META } from "./db";
 
 /* ========= Settings ========= */
 const VAT_DEFAULT = 12;              // %
 const DISCOUNT_DEFAULT = 0;          // %
-const LOW_STOCK = 5;                 // warning if stock <= this
-const EXPIRY_SOON_DAYS = 30;         // days
-
-/* ========= Demo Users ========= */
-const USERS = [
-  { username: "admin",   password: "admin123", role: "admin",   fullName: "Administrator" },
-  { username: "cashier", password: "cash123",  role: "cashier", fullName: "Cashier" },
-];
-
-/* ========= Storage Keys ========= */
-const AUTH_KEY = "pos_auth";
-const INV_KEY  = "pos_inventory";
-const SET_KEY  = "pos_settings";
-
-/* ========= Helpers ========= */
-const fmt = (n, cur = "PHP") =>
-  new Intl.NumberFormat("en-PH", { style: "currency", currency: cur }).format(n ?? 0);
-
-const daysUntil = (iso) => {
-  if (!iso) return Infinity;
-  const d = new Date(iso);
-  const ms = d - new Date();
-  return Math.ceil(ms / (1000 * 60 * 60 * 24));
-};
-const isExpired = (iso) => daysUntil(iso) < 0;
-const expSoon = (iso) => !isExpired(iso) && daysUntil(iso) <= EXPIRY_SOON_DAYS;
 
 /* ========= Starter Inventory (only used the first time) ========= */
 const STARTER = [
@@ -42,47 +60,306 @@ const STARTER = [
   { id: "GRC-003", sku: "480000000303", name: "Cooking Oil 1L",      category: "Grocery",   price: 175, stock: 40,  expiry: "2026-09-30" },
 ];
 
+// writes run in the background; a failed one must not pass silently
+const persist = (p) => p?.catch(e => alert(`Could not save: ${e.message}`));
+
 /* =============================================================== */
 
 export default function App() {
-  /* ----- Auth ----- */
-  const [user, setUser] = useState(null);
+  /* ----- User accounts (persisted, seeded on first run) ----- */
+  const [users, setUsers] = useState(null);
   useEffect(() => {
-    const s = localStorage.getItem(AUTH_KEY);
-    if (s) setUser(JSON.parse(s));
+    getAll("users").then(list => list.length ? setUsers(list) : seedUsers().then(seed => {
+      setUsers(seed);
+      persist(putMany("users", seed));
+    }));
   }, []);
+  const saveUsers = (next) => {
+    setUsers(next);
+    persist(saveList("users", users || [], next));
+  };
 
-  const onLogin = (u, p) => {
-    const found = USERS.find(x => x.username === u && x.password === p);
-    if (!found) return { ok: false, msg: "Invalid username or password" };
-    const payload = { username: found.username, role: found.role, fullName: found.fullName };
+  /* ----- Auth ----- */
+  const [user, setUser] = useState(() => readKey(AUTH_KEY));
+  // drop a restored session whose account has since been disabled or removed
+  useEffect(() => {
+    if (user && users && !users.some(u => u.username === user.username && !u.disabled)) onLogout();
+  }, [users]);
+
+  const signIn = (found) => {
+    const payload = publicUser(found);
     setUser(payload);
     localStorage.setItem(AUTH_KEY, JSON.stringify(payload));
-    return { ok: true };
+  };
+  // checks credentials without signing in (failure counters / lockout still apply)
+  const checkLogin = async (u, p) => {
+    if (!users) return { ok: false, msg: "Loading accounts…" };
+    const res = await authenticate(users, u, p);
+    saveUsers(res.users);
+    return res;
+  };
+  const onLogin = async (u, p) => {
+    const res = await checkLogin(u, p);
+    if (res.ok) signIn(res.user);
+    return res;
+  };
+  const checkPin = async (pin) => {
+    if (!users) return { ok: false, msg: "Loading accounts…" };
+    const res = await authenticatePin(users, pin);
+    saveUsers(res.users);
+    return res;
+  };
+  const onPinLogin = async (pin) => {
+    const res = await checkPin(pin);
+    if (res.ok) signIn(res.user);
+    return res;
   };
   const onLogout = () => { setUser(null); localStorage.removeItem(AUTH_KEY); };
+  const [switching, setSwitching] = useState(false);
+
+  /* ----- Permissions & manager override ----- */
+  const [roles, setRoles] = useState(DEFAULT_ROLES);
+  const [overrides, setOverrides] = useState([]);
+  useEffect(() => {
+    getMeta("roles").then(r => r && setRoles(r));
+    getAll("overrides").then(setOverrides);
+  }, []);
+  const saveRoles = (next) => {
+    setRoles(next);
+    persist(setMeta("roles", next));
+  };
+  const allowed = (perm) => can(roles, user, perm);
+
+  // Run `run(approverName)` right away when the user holds `perm`; otherwise
+  // park it until a supervisor approves it in the override dialog.
+  const [overrideReq, setOverrideReq] = useState(null); // {perm, what, run}
+  const authorize = (perm, what, run) => {
+    if (allowed(perm)) return run(user.fullName);
+    setOverrideReq({ perm, what, run });
+  };
+  const approveOverride = async (creds) => {
+    const res = creds.pin ? await checkPin(creds.pin) : await checkLogin(creds.username, creds.password);
+    if (!res.ok) return res;
+    const approver = res.user;
+    if (!can(roles, approver, overrideReq.perm)) return { ok: false, msg: `${approver.fullName} cannot approve this action` };
+    const entry = logOverride({ perm: overrideReq.perm, what: overrideReq.what, user, approver });
+    setOverrides(prev => [...prev, entry]);
+    persist(putMany("overrides", [entry]));
+    setOverrideReq(null);
+    overrideReq.run(approver.fullName);
+    return { ok: true };
+  };
+
+  // Top-bar quick edits stay read-only until approved once for the signed-in user.
+  const [unlocked, setUnlocked] = useState({});
+  useEffect(() => setUnlocked({}), [user?.username]);
+  const editable = (perm) => allowed(perm) || !!unlocked[perm];
+  const guard = (perm, what) => ({
+    readOnly: !editable(perm),
+    onMouseDown: (e) => {
+      if (editable(perm)) return;
+      e.preventDefault();
+      authorize(perm, what, () => setUnlocked(u => ({ ...u, [perm]: true })));
+    },
+  });
 
   /* ----- Settings ----- */
   const [settings, setSettings] = useState({ vat: VAT_DEFAULT, discount: DISCOUNT_DEFAULT, currency: "PHP" });
   useEffect(() => {
-    const s = localStorage.getItem(SET_KEY);
-    if (s) setSettings(JSON.parse(s));
+    getMeta("settings").then(s => s && setSettings(s));
   }, []);
-  useEffect(() => {
-    localStorage.setItem(SET_KEY, JSON.stringify(settings));
-  }, [settings]);
+  // same call shape as setSettings, but saved (remote updates use setSettings directly)
+  const saveSettings = (update) => setSettings(prev => {
+    const next = typeof update === "function" ? update(prev) : update;
+    persist(setMeta("settings", next));
+    return next;
+  });
+  const tpl = receiptTemplate(settings); // receipt header / footer / printer
 
   /* ----- Inventory (persisted) ----- */
-  const [inv, setInv] = useState(STARTER);
+  const [inv, setInv] = useState([]);
   useEffect(() => {
-    const s = localStorage.getItem(INV_KEY);
-    if (s) setInv(JSON.parse(s));
+    Promise.all([getAll("inventory"), getMeta("seeded")]).then(([list, seeded]) => {
+      if (seeded) return setInv(list.map(withLots));
+      const starter = STARTER.map(withLots);
+      setInv(starter);
+      persist(putMany("inventory", starter).then(() => setMeta("seeded", true)));
+    });
   }, []);
+  // only the products that actually changed are written
   const saveInv = (next) => {
     setInv(next);
-    localStorage.setItem(INV_KEY, JSON.stringify(next));
+    persist(saveList("inventory", inv, next));
   };
 
+  /* ----- Stock movements (persisted) ----- */
+  const [movements, setMovements] = useState([]);
+  useEffect(() => {
+    getAll("movements").then(setMovements);
+  }, []);
+  const recordMoves = (list) => {
+    if (!list.length) return;
+    setMovements(prev => [...prev, ...list]);
+    persist(putMany("movements", list));
+  };
+
+  /* ----- Suppliers & purchase orders (persisted) ----- */
+  const [suppliers, setSuppliers] = useState([]);
+  const [pos, setPOs] = useState([]);
+  useEffect(() => {
+    getAll("suppliers").then(setSuppliers);
+    getAll("purchaseOrders").then(setPOs);
+  }, []);
+  const saveSuppliers = (next) => {
+    setSuppliers(next);
+    persist(saveList("suppliers", suppliers, next));
+  };
+  const savePOs = (next) => {
+    setPOs(next);
+    persist(saveList("purchaseOrders", pos, next));
+  };
+  // received lots, the PO and the movements land together, on the current product records;
+  // a new average cost is a product change other terminals need, not just stock
+  const receiveStock = (po, got, ref) => persist(
+    transact(["inventory", "purchaseOrders", "movements"], async tx => {
+      // one record per product, however many lines it has on the PO
+      const products = [];
+      for (const id of new Set(po.lines.map(l => l.productId))) products.push(await tx.get("inventory", id));
+      const r = receivePO(po, products.filter(Boolean), got, { user, ref });
+      for (const l of r.lots) {
+        const was = products.find(p => p?.id === l.after.id);
+        await (l.after.cost !== was?.cost ? tx.put("inventory", l.after) : tx.putStock(l.after));
+      }
+      await tx.put("purchaseOrders", r.po);
+      for (const l of r.lots) await tx.put("movements", movement(l.before, l.after, { type: "receiving", user, lotId: l.lotId, ref: po.id, note: ref }));
+    }).then(res => applyChanges(res.changes))
+  );
+
+  /* ----- Customers & account payments (persisted) ----- */
+  const [customers, setCustomers] = useState([]);
+  const [payments, setPayments] = useState([]);
+  useEffect(() => {
+    getAll("customers").then(setCustomers);
+    getAll("payments").then(setPayments);
+  }, []);
+  const saveCustomers = (next) => {
+    setCustomers(next);
+    persist(saveList("customers", customers, next));
+  };
+  // cash taken on account goes into this shift's drawer
+  const postPayment = (customer, p) => {
+    if (p.method === "Cash" && !shift) return alert("Open a shift before taking cash");
+    const pm = newPayment({ customer, ...p, user, shiftId: shift?.id, currency: settings.currency });
+    const balance = balanceOf(accountLedger(customer, sales, refunds, [...payments, pm], settings.currency));
+    persist(transact(["payments"], tx => tx.put("payments", pm)).then(res => {
+      applyChanges(res.changes);
+      printDoc(<PaymentDoc payment={pm} balance={balance} tpl={tpl} />, "Payment");
+    }));
+  };
+  const printStatement = (customer, ledger, from, to) =>
+    printDoc(<Statement customer={customer} ledger={ledger} from={from} to={to} currency={settings.currency} tpl={tpl} />, "Statement");
+
+  /* ----- Sales journal (persisted) ----- */
+  const [sales, setSales] = useState([]);
+  useEffect(() => {
+    getAll("sales").then(setSales);
+  }, []);
+
+  /* ----- Refunds / voids (persisted) ----- */
+  const [refunds, setRefunds] = useState([]);
+  useEffect(() => {
+    getAll("refunds").then(setRefunds);
+  }, []);
+  const [returning, setReturning] = useState(null); // {sale, authorizedBy}
+  const issueRefund = async ({ lines, kind, settlement, reason }) => {
+    const { sale, authorizedBy } = returning;
+    const doc = buildRefund({ sale, lines, kind, settlement, reason, user, authorizedBy, shiftId: shift?.id });
+    if (doc.cashOut > 0 && !shift) return alert("Open a shift before refunding cash");
+    try {
+      const res = await transact(["inventory", "refunds", "movements", "sales"], async tx => {
+        // a voided OR keeps its number, marked void; it is never issued again
+        if (kind === "void") {
+          const s = await tx.get("sales", sale.id);
+          await tx.put("sales", { ...s, voided: { refundId: doc.id, ts: doc.ts, by: authorizedBy } });
+        }
+        const products = [];
+        for (const id of new Set(lines.map(l => l.id))) products.push(await tx.get("inventory", id));
+        const before = products.filter(Boolean);
+        const after = restock(before, lines, sale);
+        for (const p of after) await tx.putStock(p);
+        await tx.put("refunds", doc);
+        for (const m of diffMovements(before, after, { type: "return", user, note: reason, ref: doc.id })) await tx.put("movements", m);
+      });
+      applyChanges(res.changes);
+    } catch (e) {
+      return alert(`Return not saved: ${e.message}`);
+    }
+    setReturning(null);
+    printDoc(<RefundDoc refund={doc} tpl={tpl} />, doc.settlement);
+  };
+
+  /* ----- Shift (persisted) ----- */
+  const [shift, setShift] = useState(null);
+  const [shifts, setShifts] = useState([]);
+  useEffect(() => {
+    getMeta("shift").then(s => s && setShift(s));
+    getAll("shifts").then(setShifts);
+  }, []);
+  const startShift = (float) => {
+    const sh = openShift(user, float);
+    setShift(sh);
+    persist(setMeta("shift", sh));
+  };
+  const [showClose, setShowClose] = useState(false);
+  const endShift = (counted) => {
+    const closed = closeShift(shift, sales, refunds, payments, user, counted);
+    setShifts(prev => [...prev, closed]);
+    setShift(null);
+    persist(transact(["shifts", META], async tx => {
+      await tx.put("shifts", closed);
+      await tx.del(META, "shift");
+    }));
+    setShowClose(false);
+    printReading("Z", closed, closed.reading);
+  };
+
+  /* ----- Live updates from other tabs ----- */
+  const applyChanges = (changes) => {
+    const lists = {
+      users: setUsers, inventory: setInv, movements: setMovements, suppliers: setSuppliers,
+      purchaseOrders: setPOs, sales: setSales, refunds: setRefunds, shifts: setShifts, overrides: setOverrides, held: setHeld,
+      customers: setCustomers, payments: setPayments,
+    };
+    for (const c of changes) {
+      if (c.meta === "settings" && c.value) setSettings(c.value);
+      else if (c.meta === "roles" && c.value) setRoles(c.value);
+      else if (c.meta === "shift") setShift(c.value);
+      else if (lists[c.store]) lists[c.store](prev => patchList(prev, c));
+    }
+  };
+  useEffect(() => subscribe(applyChanges), []);
+
+  /* ----- Sync with the central server ----- */
+  const [syncCfg, setSyncCfg] = useState(loadSyncConfig);
+  const [syncStatus, setSyncStatus] = useState(null);
+  const syncRef = useRef(null);
+  useEffect(() => {
+    // every tab of this terminal follows connect / disconnect
+    const onStorage = (e) => e.key === SYNC_KEY && setSyncCfg(loadSyncConfig());
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+  useEffect(() => {
+    if (!syncCfg.enabled) return setSyncStatus(null);
+    const stop = startSync(syncCfg, { onChanges: applyChanges, onStatus: setSyncStatus });
+    syncRef.current = stop;
+    return () => {
+      stop();
+      syncRef.current = null;
+    };
+  }, [syncCfg.enabled, syncCfg.url, syncCfg.terminal]);
+  const syncNow = () => syncRef.current?.now();
+
   /* ----- Search / filter ----- */
   const [q, setQ] = useState("");
   const [cat, setCat] = useState("All");
@@ -101,99 +378,310 @@ export default function App() {
   }, [q, cat, inv]);
 
   /* ----- Cart ----- */
-  const [cart, setCart] = useState([]); // {id,name,price,qty}
-  const addToCart = (p) => {
-    if (isExpired(p.expiry)) return alert(`"${p.name}" is expired.`);
-    const inCart = cart.find(x => x.id === p.id)?.qty || 0;
-    if (inCart + 1 > p.stock) return alert(`Insufficient stock (${p.stock}) for ${p.name}`);
+  const [cart, setCart] = useState([]); // {id,name,price,qty,uom,factor}; see units.js
+  // returns true when the line was added; `fail` reports why it wasn't
+  const addToCart = (p, qty = 1, fail = (msg) => alert(msg), uom = null) => {
+    const u = findUnit(p, uom);
+    const avail = sellable(p);
+    if (!avail && expiredQty(p)) { fail(`"${p.name}" is expired.`); return false; }
+    if (baseInCart(cart, p.id) + qty * u.factor > avail) { fail(`Insufficient stock (${qtyText(avail, unitOf(p))}) for ${p.name}`); return false; }
+    const key = lineKey({ id: p.id, uom: u.name });
     setCart(c => {
-      const i = c.findIndex(x => x.id === p.id);
-      if (i >= 0) { const n = [...c]; n[i] = { ...n[i], qty: n[i].qty + 1 }; return n; }
-      return [...c, { id: p.id, name: p.name, price: p.price, qty: 1 }];
+      const i = c.findIndex(x => lineKey(x) === key);
+      if (i >= 0) { const n = [...c]; n[i] = { ...n[i], qty: qtyRound(n[i].qty + qty) }; return n; }
+      return [...c, { id: p.id, name: p.name, price: u.price, qty, uom: u.name, factor: u.factor }];
     });
+    return true;
   };
-  const updQty = (id, qty) => {
-    const prod = inv.find(p => p.id === id);
-    qty = Math.max(1, Number(qty) || 1);
-    if (prod && qty > prod.stock) return alert(`Insufficient stock (${prod.stock}) for ${prod.name}`);
-    setCart(c => c.map(x => x.id === id ? { ...x, qty } : x));
+  // A catalog tap: one piece, or ask for the weight / volume of a measured product.
+  const pickProduct = (p, uom = null) => {
+    const unit = uom || unitOf(p);
+    if (!isMeasured(unit)) return addToCart(p, 1, undefined, uom);
+    const v = prompt(`${isWeighed(p) ? "Weight" : "Quantity"} of ${p.name} (${unit})`);
+    if (v == null || v === "") return;
+    const qty = parseQty(v, unit);
+    if (!qty) return alert(`Enter a quantity in ${UNITS[unit].label}s`);
+    addToCart(p, qty);
   };
-  const rmCart = (id) => setCart(c => c.filter(x => x.id !== id));
+  const updQty = (key, qty) => {
+    const it = cart.find(x => lineKey(x) === key);
+    if (!it) return;
+    qty = parseQty(qty, it.uom) || (isMeasured(it.uom) ? it.qty : 1);
+    const prod = inv.find(p => p.id === it.id);
+    if (prod && baseInCart(cart, it.id, key) + qty * (it.factor || 1) > sellable(prod))
+      return alert(`Insufficient stock (${qtyText(sellable(prod), unitOf(prod))}) for ${prod.name}`);
+    setCart(c => c.map(x => lineKey(x) === key ? { ...x, qty } : x));
+  };
+  // Sell a line in another unit (pieces ↔ boxes); the quantity converts when it comes out whole.
+  const setLineUnit = (key, uom) => {
+    const it = cart.find(x => lineKey(x) === key);
+    const prod = inv.find(p => p.id === it?.id);
+    const u = prod && findUnit(prod, uom);
+    if (!u) return;
+    const qty = parseQty(qtyRound(baseQty(it) / u.factor), u.name) || 1;
+    const nextKey = lineKey({ id: it.id, uom: u.name });
+    const merged = cart.find(x => lineKey(x) === nextKey);
+    const total = qtyRound((merged?.qty || 0) + qty);
+    if (baseInCart(cart, it.id, key) - (merged ? baseQty(merged) : 0) + total * u.factor > sellable(prod))
+      return alert(`Insufficient stock (${qtyText(sellable(prod), unitOf(prod))}) for ${prod.name}`);
+    setCart(c => c
+      .filter(x => lineKey(x) !== nextKey)
+      .map(x => lineKey(x) === key ? { id: x.id, name: x.name, price: u.price, qty: total, uom: u.name, factor: u.factor } : x));
+  };
+  const overridePrice = (it) =>
+    authorize("price.override", `override the price of ${it.name}`, () => {
+      const v = prompt(`New price per ${it.uom || "unit"} for ${it.name}`, it.price);
+      if (v == null || v === "" || isNaN(Number(v)) || Number(v) < 0) return;
+      setCart(c => c.map(x => lineKey(x) === lineKey(it) ? { ...x, price: Number(v), origPrice: x.origPrice ?? x.price } : x));
+    });
+  const rmCart = (key) => setCart(c => c.filter(x => lineKey(x) !== key));
   const clearCart = () => setCart([]);
 
+  /* ----- Toast ----- */
+  const [toast, setToast] = useState(null); // {msg, kind}
+  const toastTimer = useRef(null);
+  const notify = (msg, kind = "info") => {
+    setToast({ msg, kind });
+    clearTimeout(toastTimer.current);
+    toastTimer.current = setTimeout(() => setToast(null), 2500);
+  };
+
+  /* ----- Barcode scans ----- */
+  // Same path as clicking a product card, but errors beep and toast instead of alerting.
+  const onScan = (raw) => {
+    const s = parseScan(raw);
+    if (!s) return false;
+    const fail = (msg) => { beep(false); notify(msg, "error"); };
+    const hit = findUnitBySku(inv, s.code);
+    if (!hit) {
+      const scale = checkDigitOk(s.code) && parseScaleCode(s.code, scaleConfig(settings));
+      if (scale) return onScaleLabel(scale, s.qty, fail);
+      fail(checkDigitOk(s.code) ? `Unknown barcode ${s.code}` : `Bad check digit in ${s.code} — rescan`);
+      return false;
+    }
+    if (!addToCart(hit.p, s.qty, fail, hit.uom)) return false;
+    beep(true);
+    notify(`${s.qty} × ${hit.p.name}${hit.uom ? ` (${hit.uom})` : ""}`);
+    return true;
+  };
+  // A label from the weighing scale: the weight, or the price at the product's
+  // price per unit, becomes a measured quantity of the base unit.
+  const onScaleLabel = ({ plu, kind, value }, times, fail) => {
+    const p = findByPlu(inv, plu);
+    if (!p) { fail(`No product has scale code ${plu}`); return false; }
+    let qty;
+    if (kind === "weight") {
+      if (!isWeighed(p)) { fail(`${p.name} is not sold by weight`); return false; }
+      qty = fromGrams(p, value);
+    } else {
+      if (!isMeasured(unitOf(p)) || !(p.price > 0)) { fail(`${p.name} can't be sold from a price label`); return false; }
+      qty = qtyRound(value / 10 ** decimals(settings.currency) / p.price);
+    }
+    if (!(qty > 0)) { fail(`Label for ${p.name} has no ${kind}`); return false; }
+    if (!addToCart(p, qtyRound(qty * times), fail)) return false;
+    beep(true);
+    notify(`${qtyText(qtyRound(qty * times), unitOf(p))} × ${p.name}`);
+    return true;
+  };
+
+  /* ----- Per-sale discount ----- */
+  const [disc, setDisc] = useState({ type: "Regular", name: "", idNo: "" });
+  const chooseDiscount = (type) => {
+    if (type === "Regular") return setDisc(d => ({ ...d, type }));
+    authorize("sale.discount", `apply the ${type} discount`, () => setDisc(d => ({ ...d, type })));
+  };
+  // Senior / PWD discounts are only valid with the holder's name and ID on the receipt
+  const discOk = !isStatutory(disc.type) || (disc.name.trim() && disc.idNo.trim());
+
+  /* ----- Customer on the sale ----- */
+  const [customerId, setCustomerId] = useState(null);
+  const [showPicker, setShowPicker] = useState(false);
+  const customer = customers.find(c => c.id === customerId) || null;
+  // what they owe and the points they hold, for the credit limit and Points tender checks
+  const account = useMemo(() => customer && {
+    customer,
+    balance: balanceOf(accountLedger(customer, sales, refunds, payments, settings.currency)),
+    points: pointsOf(customer, sales, refunds),
+  }, [customer, sales, refunds, payments, settings.currency]);
+  const pickCustomer = (c) => {
+    setCustomerId(c.id);
+    setShowPicker(false);
+  };
+  const addCustomer = (c) => {
+    saveCustomers([...customers, c]);
+    pickCustomer(c);
+  };
+  const dropCustomer = () => {
+    setCustomerId(null);
+    setTenders(ts => ts.some(t => CUSTOMER_TENDERS.includes(t.type)) ? [newTender()] : ts);
+  };
+
   /* ----- Totals ----- */
-  const { sub, discAmt, taxAmt, total } = useMemo(() => {
-    const sub0 = cart.reduce((a, x) => a + x.price * x.qty, 0);
-    const d = (sub0 * (Number(settings.discount) || 0)) / 100;
-    const tx = ((sub0 - d) * (Number(settings.vat) || 0)) / 100;
-    return { sub: sub0, discAmt: d, taxAmt: tx, total: sub0 - d + tx };
-  }, [cart, settings]);
+  // re-evaluated every minute too, so timed promotions (happy hour) switch on and off by themselves
+  const [clock, setClock] = useState(() => new Date());
+  useEffect(() => {
+    const t = setInterval(() => setClock(new Date()), 60000);
+    return () => clearInterval(t);
+  }, []);
+  const totals = useMemo(() => computeTotals(cart, inv, settings, disc.type, clock), [cart, inv, settings, disc.type, clock]);
+  const { sub, discAmt, taxAmt, total } = totals;
 
   /* ----- Payment / checkout ----- */
-  const [method, setMethod] = useState("Cash");
-  const [cash, setCash] = useState(0);
-  const change = useMemo(() => (method !== "Cash" ? 0 : Math.max(0, Number(cash || 0) - total)), [cash, total, method]);
+  const [tenders, setTenders] = useState([newTender()]);
+  const pay = useMemo(() => {
+    const p = checkTenders(tenders, total, settings.currency);
+    return { ...p, errors: [...p.errors, ...checkAccountTenders(tenders, account, settings)] };
+  }, [tenders, total, settings, account]);
 
   const canCheckout =
     cart.length > 0 &&
     cart.every(it => {
       const p = inv.find(x => x.id === it.id);
-      return p && it.qty <= p.stock && !isExpired(p.expiry);
+      return p && baseInCart(cart, it.id) <= sellable(p);
     }) &&
-    (method !== "Cash" || Number(cash) >= total);
+    !!shift &&
+    discOk &&
+    !pay.errors.length;
 
   const [showConfirm, setShowConfirm] = useState(false);
   const [receipt, setReceipt] = useState(null);
   const receiptRef = useRef(null);
+  const completing = useRef(false); // Enter held down or a double click must not ring the sale up twice
 
-  const completeSale = () => {
-    // deduct inventory
-    const next = inv.map(p => {
-      const it = cart.find(c => c.id === p.id);
-      return it ? { ...p, stock: Math.max(0, p.stock - it.qty) } : p;
-    });
-    saveInv(next);
-
-    const rct = {
-      id: `OR-${Date.now()}`,
-      time: new Date().toLocaleString("en-PH"),
-      items: cart.map(x => ({ ...x })),
-      sub, discPct: settings.discount, discAmt, vatPct: settings.vat, taxAmt,
-      total, method, cash: method === "Cash" ? Number(cash) : null, change: method === "Cash" ? change : null,
-      currency: settings.currency, cashier: user?.fullName || "—",
-    };
+  const completeSale = async () => {
+    if (completing.current) return;
+    completing.current = true;
+    // stock deduction (first-expired-first-out), OR number, journal entry and movements commit as one
+    const now = new Date();
+    const paid = cleanTenders(tenders, settings.currency);
+    let rct;
+    try {
+      const res = await commitSale(cart, (taken, before, after, or) => ({
+        sale: {
+          id: or.no,
+          orSeq: or.seq,
+          ts: now.toISOString(),
+          time: now.toLocaleString("en-PH"),
+          items: cart.map(x => ({
+            ...x, lots: taken[lineKey(x)], cost: before.find(p => p.id === x.id)?.cost ?? null, paid: totals.linePaid[lineKey(x)],
+            ...(totals.promoLines[lineKey(x)] ? { promos: totals.promoLines[lineKey(x)] } : {}),
+          })),
+          sub, promoAmt: totals.promoAmt, promos: totals.promos, discType: totals.discType, discLabel: totals.discLabel, discPct: totals.discPct, discAmt,
+          vatPct: totals.vatPct, taxAmt, taxIncl: totals.taxIncl, vatRemoved: totals.vatRemoved,
+          vatable: totals.vatable, vatExempt: totals.vatExempt, zeroRated: totals.zeroRated,
+          scPwd: isStatutory(disc.type) ? { name: disc.name.trim(), idNo: disc.idNo.trim() } : null,
+          ...(customer ? {
+            customer: { id: customer.id, name: customer.name },
+            pointsEarned: pointsEarned(total, paid, settings),
+            pointsUsed: pointsUsed(paid, settings),
+          } : {}),
+          total, tenders: paid, method: methodLabel(paid), cash: pay.cash, change: pay.change,
+          currency: settings.currency, cashier: user?.fullName || "—",
+          shiftId: shift?.id || null,
+        },
+        movements: diffMovements(before, after, { type: "sale", user, ref: or.no }),
+      }));
+      applyChanges(res.changes);
+      rct = res.result;
+    } catch (e) {
+      completing.current = false;
+      setShowConfirm(false);
+      return alert(`Sale not completed: ${e.message}`);
+    }
+    completing.current = false;
     setReceipt(rct);
     setShowConfirm(false);
+    resetSale();
+    setTimeout(() => printReceipt(rct), 50);
+  };
+
+  /* ----- Held carts (persisted, this terminal only) ----- */
+  const [held, setHeld] = useState([]);
+  const [showHeld, setShowHeld] = useState(false);
+  useEffect(() => {
+    getAll("held").then(setHeld);
+  }, []);
+  const resetSale = () => {
     clearCart();
-    setCash(0);
-    setTimeout(() => printReceipt(), 50);
+    setTenders([newTender()]);
+    setDisc({ type: "Regular", name: "", idNo: "" });
+    setCustomerId(null);
+  };
+  const parkCurrent = (tx, label) => tx.put("held", holdCart({ cart, disc, customerId, label, user, shiftId: shift?.id }));
+  const holdSale = () => {
+    if (!cart.length) return;
+    const label = prompt("Label or customer name (optional)", customer?.name || "");
+    if (label == null) return;
+    persist(transact(["held"], tx => parkCurrent(tx, label)).then(res => {
+      applyChanges(res.changes);
+      resetSale();
+    }));
+  };
+  // the resumed cart is checked against today's stock and prices before it is used
+  const resumeHeld = (h) => {
+    if (cart.length && !confirm("Put the current cart on hold and resume this one?")) return;
+    const { cart: next, notes } = revalidateCart(h.cart, inv, settings.currency);
+    persist(transact(["held"], async tx => {
+      if (cart.length) await parkCurrent(tx, "");
+      await tx.del("held", h.id);
+    }).then(res => {
+      applyChanges(res.changes);
+      setCart(next);
+      setTenders([newTender()]);
+      setDisc(h.disc || { type: "Regular", name: "", idNo: "" });
+      setCustomerId(h.customerId || null);
+      setShowHeld(false);
+      if (notes.length) alert(`Changed since the cart was held:\n\n${notes.join("\n")}`);
+    }));
+  };
+  const discardHeld = (h) => {
+    if (!confirm(`Discard held cart "${h.label || "Unlabelled"}"?`)) return;
+    persist(transact(["held"], tx => tx.del("held", h.id)).then(res => applyChanges(res.changes)));
+  };
+
+  // ESC/POS straight to the thermal printer when one is set up; the
+  // browser print dialog otherwise, or when the printer cannot be reached
+  const printReceipt = async (r) => {
+    if (tpl.output !== "html") {
+      try {
+        const logo = tpl.logo ? await rasterize(tpl.logo, DOTS[tpl.width]) : null;
+        return await sendToPrinter(receiptBytes(r, tpl, { logo, drawer: opensDrawer(r, tpl) }), tpl);
+      } catch (e) {
+        notify(`Printer: ${e.message}. Using the print dialog.`, "error");
+      }
+    }
+    if (receiptRef.current) printHtml(receiptRef.current.innerHTML, "Receipt", tpl.width);
+  };
+
+  // re-render a past sale into the receipt markup, then print it
+  const reprint = (sale) => {
+    const r = { ...sale, reprint: true };
+    setReceipt(r);
+    setTimeout(() => printReceipt(r), 50);
   };
 
-  const printReceipt = () => {
-    if (!receiptRef.current) return;
-    const w = window.open("", "_blank", "width=420,height=640");
-    const html = `
-      <!doctype html><html><head><meta charset="utf-8" />
-      <title>Receipt</title>
-      <style>
-        *{font-family:ui-monospace,Menlo,Consolas,monospace}
-        .c{text-align:center}.r{text-align:right}.muted{color:#666}
-        table{width:100%;border-collapse:collapse} td{padding:2px 0}
-        hr{border:0;border-top:1px dashed #aaa;margin:8px 0}
-      </style></head><body>${receiptRef.current.innerHTML}</body></html>`;
-    w.document.write(html); w.document.close(); w.focus(); w.print();
+  /* ----- Other printouts (readings, refunds) ----- */
+  const [doc, setDoc] = useState(null); // {node, title}
+  const docRef = useRef(null);
+  const printDoc = (node, title) => {
+    setDoc({ node, title });
+    setTimeout(() => docRef.current && printHtml(docRef.current.innerHTML, title, tpl.width), 50);
   };
+  const printReading = (kind, sh, reading) =>
+    printDoc(<Reading kind={kind} shift={sh} reading={reading} currency={settings.currency} tpl={tpl} />, `${kind}-Reading`);
 
   /* ----- Warnings ----- */
-  const low = useMemo(() => inv.filter(p => p.stock <= LOW_STOCK), [inv]);
+  // reasoned per lot: expired lots are flagged, but only sellable stock counts as on hand
+  const low = useMemo(() => inv.filter(needsReorder), [inv]);
+  const openPOs = useMemo(() => pos.filter(isOpen), [pos]);
   const expSoonList = useMemo(() => inv.filter(p => expSoon(p.expiry)), [inv]);
-  const expiredList = useMemo(() => inv.filter(p => isExpired(p.expiry)), [inv]);
+  const expiredList = useMemo(() => inv.filter(p => expiredQty(p) > 0), [inv]);
 
   /* ----- View ----- */
-  const [view, setView] = useState("pos"); // "pos" | "inventory"
-  if (!user) return <Login onLogin={onLogin} />;
-
-  const isAdmin = user.role === "admin";
+  const [view, setView] = useState("pos"); // "pos" | "inventory" | "purchasing" | "customers" | "sales" | "shifts" | "dashboard" | "users" | "settings"
+  useScanner(onScan, !!user && view === "pos" && !!shift && !showConfirm && !showPicker && !overrideReq && !switching);
+  useHotkeys({ Escape: () => setShowConfirm(false) }, showConfirm);
+  if (!user) return <Login onLogin={onLogin} onPinLogin={onPinLogin} ready={!!users} showDemo={!!users && users.every(u => u.demo)} />;
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -203,7 +691,7 @@ export default function App() {
           <div>
             <div className="text-lg font-semibold">MNL Coffee Supplies</div>
             <div className="text-xs text-gray-500">
-              {settings.currency} • VAT {settings.vat}% • Low ≤ {LOW_STOCK} • Expiry ≤ {EXPIRY_SOON_DAYS}d
+              {settings.currency} • VAT {settings.vat}% {pricesIncludeTax(settings) ? "incl." : "excl."} • Expiry ≤ {EXPIRY_SOON_DAYS}d
             </div>
           </div>
           <div className="flex items-center gap-2 text-sm">
@@ -214,31 +702,85 @@ export default function App() {
               POS
             </button>
             <button
-              onClick={() => isAdmin && setView("inventory")}
-              disabled={!isAdmin}
-              className={`px-3 py-1 rounded-lg border ${view === "inventory" ? "bg-gray-900 text-white border-gray-900" : "bg-white border-gray-300"} ${!isAdmin ? "opacity-50" : ""}`}
+              onClick={() => authorize("inventory.edit", "open Inventory", () => setView("inventory"))}
+              className={`px-3 py-1 rounded-lg border ${view === "inventory" ? "bg-gray-900 text-white border-gray-900" : "bg-white border-gray-300"}`}
             >
               Inventory
             </button>
+            <button
+              onClick={() => authorize("inventory.edit", "open Purchasing", () => setView("purchasing"))}
+              className={`px-3 py-1 rounded-lg border ${view === "purchasing" ? "bg-gray-900 text-white border-gray-900" : "bg-white border-gray-300"}`}
+            >
+              Purchasing
+            </button>
+            <button
+              onClick={() => authorize("customers.manage", "open Customers", () => setView("customers"))}
+              className={`px-3 py-1 rounded-lg border ${view === "customers" ? "bg-gray-900 text-white border-gray-900" : "bg-white border-gray-300"}`}
+            >
+              Customers
+            </button>
+            <button
+              onClick={() => setView("sales")}
+              className={`px-3 py-1 rounded-lg border ${view === "sales" ? "bg-gray-900 text-white border-gray-900" : "bg-white border-gray-300"}`}
+            >
+              Sales
+            </button>
+            {allowed("shifts.view") && (
+              <button
+                onClick={() => setView("shifts")}
+                className={`px-3 py-1 rounded-lg border ${view === "shifts" ? "bg-gray-900 text-white border-gray-900" : "bg-white border-gray-300"}`}
+              >
+                Shifts
+              </button>
+            )}
+            {allowed("reports.view") && (
+              <button
+                onClick={() => setView("dashboard")}
+                className={`px-3 py-1 rounded-lg border ${view === "dashboard" ? "bg-gray-900 text-white border-gray-900" : "bg-white border-gray-300"}`}
+              >
+                Dashboard
+              </button>
+            )}
+            {allowed("settings.edit") && (
+              <button
+                onClick={() => setView("settings")}
+                className={`px-3 py-1 rounded-lg border ${view === "settings" ? "bg-gray-900 text-white border-gray-900" : "bg-white border-gray-300"}`}
+              >
+                Settings
+              </button>
+            )}
+            {allowed("users.manage") && (
+              <button
+                onClick={() => setView("users")}
+                className={`px-3 py-1 rounded-lg border ${view === "users" ? "bg-gray-900 text-white border-gray-900" : "bg-white border-gray-300"}`}
+              >
+                Users
+              </button>
+            )}
 
             {/* Settings quick edits (desktop) */}
             <div className="hidden md:flex items-center gap-2">
               <label className="text-gray-500">VAT%</label>
-              <input type="number" min={0} max={30} value={settings.vat}
-                onChange={e => setSettings(s => ({ ...s, vat: Number(e.target.value) }))}
+              <input type="number" min={0} max={30} value={settings.vat} {...guard("settings.edit", "change VAT %")}
+                onChange={e => editable("settings.edit") && saveSettings(s => ({ ...s, vat: Number(e.target.value) }))}
                 className="w-16 px-2 py-1 border rounded-lg" />
               <label className="text-gray-500">Disc%</label>
-              <input type="number" min={0} max={100} value={settings.discount}
-                onChange={e => setSettings(s => ({ ...s, discount: Number(e.target.value) }))}
+              <input type="number" min={0} max={100} value={settings.discount} {...guard("sale.discount", "change the discount")}
+                onChange={e => editable("sale.discount") && saveSettings(s => ({ ...s, discount: Number(e.target.value) }))}
                 className="w-16 px-2 py-1 border rounded-lg" />
-              <select value={settings.currency}
-                onChange={e => setSettings(s => ({ ...s, currency: e.target.value }))}
-                className="px-2 py-1 border rounded-lg">
-                <option>PHP</option><option>USD</option><option>EUR</option><option>JPY</option>
-              </select>
             </div>
 
+            {shift && (
+              <div className="flex items-center gap-1">
+                <button onClick={() => printReading("X", shift, summarizeShift(shift, sales, refunds, payments))}
+                  className="px-3 py-1 rounded-lg border hover:bg-gray-50">X-Read</button>
+                <button onClick={() => setShowClose(true)}
+                  className="px-3 py-1 rounded-lg border hover:bg-gray-50">Close Shift</button>
+              </div>
+            )}
+            {syncCfg.enabled && <SyncBadge status={syncStatus} onClick={syncNow} />}
             <div className="px-2 py-1 rounded-lg bg-gray-100">{user.fullName} • {user.role}</div>
+            <button onClick={() => setSwitching(true)} className="px-3 py-1 rounded-lg border hover:bg-gray-50">Switch</button>
             <button onClick={onLogout} className="px-3 py-1 rounded-lg border hover:bg-gray-50">Logout</button>
           </div>
         </div>
@@ -246,9 +788,12 @@ export default function App() {
 
       {/* status banners */}
       <div className="max-w-7xl mx-auto px-4 pt-3 space-y-2 text-sm">
+        {storageProblems().map(msg => (
+          <div key={msg} className="p-2 rounded-lg bg-red-50 text-red-700 border border-red-200">⚠️ {msg}</div>
+        ))}
         {expiredList.length > 0 && (
           <div className="p-2 rounded-lg bg-red-50 text-red-700 border border-red-200">
-            ⚠️ Expired: {expiredList.map(p => p.name).join(", ")}
+            ⚠️ Expired: {expiredList.map(p => `${p.name} (${expiredQty(p)})`).join(", ")}
           </div>
         )}
         {expSoonList.length > 0 && (
@@ -258,7 +803,15 @@ export default function App() {
         )}
         {low.length > 0 && (
           <div className="p-2 rounded-lg bg-yellow-50 text-yellow-700 border border-yellow-200">
-            🟡 Low stock: {low.map(p => `${p.name} (${p.stock})`).join(", ")}
+            🟡 Low stock: {low.map(p => {
+              const pending = onOrder(pos, p.id);
+              return `${p.name} (${sellable(p)}/${reorderPoint(p)}${pending ? `, ${pending} on order` : ""})`;
+            }).join(", ")}
+          </div>
+        )}
+        {openPOs.length > 0 && (
+          <div className="p-2 rounded-lg bg-blue-50 text-blue-700 border border-blue-200">
+            📦 Open POs: {openPOs.map(po => `${po.id} ${po.supplierName} (${po.status})`).join(", ")}
           </div>
         )}
       </div>
@@ -269,22 +822,57 @@ export default function App() {
           categories={categories}
           filtered={filtered}
           q={q} setQ={setQ}
+          onScan={onScan}
           cat={cat} setCat={setCat}
-          addToCart={addToCart}
+          pickProduct={pickProduct}
           cart={cart}
+          overridePrice={overridePrice}
           updQty={updQty}
+          setLineUnit={setLineUnit}
           rmCart={rmCart}
           clearCart={clearCart}
           settings={settings}
-          sub={sub} discAmt={discAmt} taxAmt={taxAmt} total={total}
-          method={method} setMethod={setMethod}
-          cash={cash} setCash={setCash}
-          change={change}
+          totals={totals}
+          disc={disc} setDisc={setDisc} chooseDiscount={chooseDiscount}
+          customer={customer} account={account} onPickCustomer={() => setShowPicker(true)} onDropCustomer={dropCustomer}
+          tenders={tenders} setTenders={setTenders} pay={pay}
           setShowConfirm={setShowConfirm}
+          heldCount={held.length} onHold={holdSale} onShowHeld={() => setShowHeld(true)}
           canCheckout={canCheckout}
+          keysOn={!!shift && !showConfirm && !showPicker && !showHeld && !overrideReq && !switching && !returning && !showClose}
         />
+      ) : view === "customers" ? (
+        <Customers customers={customers} saveCustomers={saveCustomers} sales={sales} refunds={refunds} payments={payments}
+          settings={settings} onPayment={postPayment} onStatement={printStatement} />
+      ) : view === "sales" ? (
+        <Sales sales={sales} refunds={refunds} onReprint={reprint}
+          onReturn={s => authorize("sale.void", `return or void ${s.id}`, by => setReturning({ sale: s, authorizedBy: by }))}
+          onReprintRefund={r => printDoc(<RefundDoc refund={r} tpl={tpl} />, r.settlement)} />
+      ) : view === "settings" ? (
+        <Settings settings={settings} setSettings={saveSettings} user={user} inv={inv}
+          sync={{ cfg: syncCfg, setCfg: setSyncCfg, status: syncStatus, onSyncNow: syncNow }} />
+      ) : view === "users" ? (
+        <Users users={users || []} saveUsers={saveUsers} me={user}
+          roles={roles} saveRoles={saveRoles} overrides={overrides} />
+      ) : view === "purchasing" ? (
+        <Purchasing inv={inv} suppliers={suppliers} saveSuppliers={saveSuppliers}
+          pos={pos} savePOs={savePOs} user={user} onReceive={receiveStock} />
+      ) : view === "shifts" ? (
+        <Shifts shifts={shifts} currency={settings.currency} onReprint={sh => printReading("Z", sh, sh.reading)} />
+      ) : view === "dashboard" ? (
+        <Dashboard sales={sales} refunds={refunds} inv={inv} settings={settings} />
       ) : (
-        <Inventory inv={inv} saveInv={saveInv} />
+        <Inventory inv={inv} saveInv={saveInv} suppliers={suppliers} user={user} movements={movements} recordMoves={recordMoves} cur={settings.currency} />
+      )}
+
+      {showPicker && (
+        <CustomerPicker customers={customers} sales={sales} refunds={refunds} payments={payments} settings={settings}
+          canCredit={allowed("customers.manage")} onPick={pickCustomer} onAdd={addCustomer} onCancel={() => setShowPicker(false)} />
+      )}
+
+      {showHeld && (
+        <HeldModal held={held} currency={settings.currency}
+          onResume={resumeHeld} onDiscard={discardHeld} onClose={() => setShowHeld(false)} />
       )}
 
       {/* Confirm modal */}
@@ -296,18 +884,16 @@ export default function App() {
               <button onClick={() => setShowConfirm(false)} className="text-gray-500">✕</button>
             </div>
             <div className="text-sm space-y-1">
+              {customer && <Row label="Customer" value={customer.name} />}
               <Row label="Total" value={fmt(total, settings.currency)} bold />
-              <Row label="Method" value={method} />
-              {method === "Cash" && (
-                <>
-                  <Row label="Cash Given" value={fmt(Number(cash) || 0, settings.currency)} />
-                  <Row label="Change" value={fmt(change, settings.currency)} />
-                </>
-              )}
+              {cleanTenders(tenders, settings.currency).map((t, i) => (
+                <div key={i} className="text-gray-600">{tenderText(t, (n, c) => fmt(n, c || settings.currency), settings.currency)}</div>
+              ))}
+              {pay.change > 0 && <Row label="Change" value={fmt(pay.change, settings.currency)} bold />}
             </div>
             <div className="mt-3 flex gap-2">
               <button onClick={() => setShowConfirm(false)} className="flex-1 px-4 py-2 border rounded-lg">Cancel</button>
-              <button onClick={completeSale} disabled={!canCheckout}
+              <button onClick={completeSale} disabled={!canCheckout} autoFocus
                 className={`flex-1 px-4 py-2 rounded-lg text-white ${canCheckout ? "bg-gray-900" : "bg-gray-400 cursor-not-allowed"}`}>
                 Complete
               </button>
@@ -316,41 +902,51 @@ export default function App() {
         </div>
       )}
 
+      {/* Shift open / close */}
+      {!shift && view === "pos" && (
+        <OpenShiftModal user={user} currency={settings.currency} onOpen={startShift} onLogout={onLogout} />
+      )}
+      {showClose && shift && (
+        <CloseShiftModal shift={shift} reading={summarizeShift(shift, sales, refunds, payments)} currency={settings.currency}
+          onClose={endShift} onCancel={() => setShowClose(false)} />
+      )}
+
+      {/* Quick-switch cashier */}
+      {switching && (
+        <PinPad onPin={async pin => { const r = await onPinLogin(pin); if (r.ok) setSwitching(false); return r; }}
+          onCancel={() => setSwitching(false)} />
+      )}
+
+      {/* Return / void */}
+      {returning && (
+        <ReturnModal sale={returning.sale} refunds={refunds} inv={inv}
+          onSubmit={issueRefund} onCancel={() => setReturning(null)} />
+      )}
+
+      {/* Toast */}
+      {toast && (
+        <div className={`fixed bottom-4 left-1/2 -translate-x-1/2 z-40 px-4 py-2 rounded-xl shadow-lg text-sm text-white ${toast.kind === "error" ? "bg-red-600" : "bg-gray-900"}`}>
+          {toast.msg}
+        </div>
+      )}
+
+      {/* Manager override */}
+      {overrideReq && (
+        <OverrideModal request={overrideReq} user={user} onApprove={approveOverride} onCancel={() => setOverrideReq(null)} />
+      )}
+
+      {/* HIDDEN printout (readings, refunds) */}
+      {doc && (
+        <div className="hidden">
+          <div ref={docRef}>{doc.node}</div>
+        </div>
+      )}
+
       {/* HIDDEN receipt for printing */}
       {receipt && (
         <div className="p-4">
           <div className="max-w-sm mx-auto" ref={receiptRef}>
-            <div className="c">
-              <div style={{ fontWeight: 700 }}>MNL COFFEE SUPPLIES</div>
-              <div className="muted">123 Demo St., Metro Manila</div>
-            </div>
-            <hr/>
-            <div className="muted">OR: {receipt.id}</div>
-            <div className="muted">Date: {receipt.time}</div>
-            <div className="muted">Cashier: {receipt.cashier}</div>
-            <hr/>
-            <table><tbody>
-              {receipt.items.map(it => (
-                <tr key={it.id}><td>{it.qty} × {it.name}</td><td className="r">{fmt(it.price * it.qty, receipt.currency)}</td></tr>
-              ))}
-            </tbody></table>
-            <hr/>
-            <table><tbody>
-              <tr><td>Subtotal</td><td className="r">{fmt(receipt.sub, receipt.currency)}</td></tr>
-              <tr><td>Discount ({receipt.discPct}%)</td><td className="r">− {fmt(receipt.discAmt, receipt.currency)}</td></tr>
-              <tr><td>VAT ({receipt.vatPct}%)</td><td className="r">{fmt(receipt.taxAmt, receipt.currency)}</td></tr>
-              <tr><td style={{fontWeight:700}}>TOTAL</td><td className="r" style={{fontWeight:700}}>{fmt(receipt.total, receipt.currency)}</td></tr>
-            </tbody></table>
-            <hr/>
-            <div>Payment: {receipt.method}</div>
-            {receipt.method === "Cash" && (
-              <>
-                <div>Cash: {fmt(receipt.cash || 0, receipt.currency)}</div>
-                <div>Change: {fmt(receipt.change || 0, receipt.currency)}</div>
-              </>
-            )}
-            <hr/>
-            <div className="c muted">Thank you!</div>
+            <Receipt receipt={receipt} tpl={tpl} />
           </div>
         </div>
       )}
@@ -358,46 +954,149 @@ export default function App() {
   );
 }
 
-/* ============ Small UI bits ============ */
-const Row = ({ label, value, bold }) => (
-  <div className={`flex items-center justify-between ${bold ? "font-semibold" : ""}`}>
-    <div>{label}</div><div>{value}</div>
-  </div>
-);
-
 /* ============ POS View ============ */
 function POS({
-  inv, categories, filtered, q, setQ, cat, setCat, addToCart,
-  cart, updQty, rmCart, clearCart,
-  settings, sub, discAmt, taxAmt, total,
-  method, setMethod, cash, setCash, change,
-  setShowConfirm, canCheckout
+  inv, categories, filtered, q, setQ, onScan, cat, setCat, pickProduct,
+  cart, updQty, setLineUnit, rmCart, clearCart, overridePrice,
+  settings, totals, disc, setDisc, chooseDiscount,
+  customer, account, onPickCustomer, onDropCustomer,
+  tenders, setTenders, pay,
+  setShowConfirm, canCheckout, heldCount, onHold, onShowHeld, keysOn
 }) {
+  const { total } = totals;
+  const statutory = isStatutory(disc.type);
+  const updTender = (i, patch) => setTenders(ts => ts.map((t, j) => j === i ? { ...t, ...patch } : t));
+  // foreign tenders take today's rate; change is always given in the base currency
+  const currencies = tenderCurrencies(settings);
+  const setTenderCurrency = (i, c) => updTender(i, c === settings.currency
+    ? { currency: null, rate: null, amount: "" }
+    : { currency: c, rate: rateOn(settings.fxRates, c).rate, amount: "" });
+  // a new tender starts at whatever is still unpaid
+  const addTender = (type) => setTenders(ts => [...ts, newTender(type, pay.due ? roundMoney(pay.due, settings.currency) : "")]);
+  // points and account charges need a customer (and an account with a limit), always in the base currency
+  const offered = (type) =>
+    type === "Points" ? !!account && loyaltyOn(settings)
+    : type === "Account" ? !!account && customer.limit > 0
+    : true;
+  const setTenderType = (i, type) => updTender(i, CUSTOMER_TENDERS.includes(type) ? { type, currency: null, rate: null } : { type });
+
+  /* ----- Keyboard & quick keys ----- */
+  const quick = quickKeyConfig(settings);
+  const [page, setPage] = useState("keys"); // "keys" | "catalog" when quick keys replace the catalog
+  const keysPage = quick.layout === "instead" && quick.keys.length > 0 && page === "keys" && !q.trim();
+  const [showHelp, setShowHelp] = useState(false);
+  const searchRef = useRef(null);
+  const payRef = useRef(null);
+  // the cart line the keys act on: picked with ↑ / ↓, otherwise the last one added
+  const [sel, setSel] = useState(null);
+  useEffect(() => setSel(null), [cart.length]);
+  const line = cart.find(x => lineKey(x) === sel) || cart[cart.length - 1];
+  const moveSel = (d) => {
+    if (!cart.length) return false;
+    const i = cart.indexOf(line) + d;
+    setSel(lineKey(cart[Math.min(cart.length - 1, Math.max(0, i))]));
+  };
+  const bump = (d) => line && !isMeasured(line.uom) && updQty(lineKey(line), line.qty + d);
+  const typeQty = () => {
+    if (!line) return;
+    const v = prompt(`Quantity of ${line.name}${isMeasured(line.uom) ? ` (${line.uom})` : ""}`, line.qty);
+    if (v != null && v !== "") updQty(lineKey(line), v);
+  };
+  // the amount field F6 jumps to: the cash tender's, else the last one
+  const cashAt = tenders.findIndex(t => t.type === "Cash" && !t.currency);
+  const payAt = cashAt >= 0 ? cashAt : tenders.length - 1;
+  // a quick-cash note adds to the cash tender; "exact" (null) tops it up to the balance due
+  const quickCash = (note) => {
+    if (!cart.length) return;
+    const has = cashAt >= 0 ? Number(tenders[cashAt].amount) || 0 : 0;
+    const amount = roundMoney(has + (note ?? pay.due), settings.currency);
+    if (cashAt >= 0) updTender(cashAt, { amount });
+    else setTenders(ts => [...ts, newTender("Cash", amount)]);
+  };
+  const pickKey = (k) => {
+    const p = inv.find(x => x.id === k.productId);
+    if (p) pickProduct(p, k.uom);
+  };
+  const focus = (ref) => { ref.current?.focus(); ref.current?.select(); };
+  useHotkeys({
+    F2: () => focus(searchRef),
+    F3: onPickCustomer,
+    F4: typeQty,
+    F6: () => focus(payRef),
+    F7: () => quickCash(null),
+    ...Object.fromEntries(quick.cash.slice(0, 3).map((n, i) => [`F${8 + i}`, () => quickCash(n)])),
+    ...Object.fromEntries(quick.keys.slice(0, 9).map((k, i) => [`Alt+${i + 1}`, () => pickKey(k)])),
+    ArrowUp: () => moveSel(-1),
+    ArrowDown: () => moveSel(1),
+    "+": () => bump(1),
+    "-": () => bump(-1),
+    Delete: () => line && rmCart(lineKey(line)),
+    Enter: () => (canCheckout ? setShowConfirm(true) : false),
+    Escape: () => { setQ(""); setPage("keys"); document.activeElement?.blur(); },
+  }, keysOn);
+
   return (
     <div className="max-w-7xl mx-auto px-4 py-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
       {/* Catalog */}
       <div className="lg:col-span-2">
         <div className="mb-3 grid grid-cols-1 sm:grid-cols-3 gap-2">
           <input
+            ref={searchRef}
             value={q}
             onChange={e => setQ(e.target.value)}
-            placeholder="Search name / ID / SKU…"
+            // a scan (or a typed "3*SKU") into the search box adds instead of filtering;
+            // so does Enter when the search narrows down to one product
+            onKeyDown={e => {
+              if (e.key !== "Enter") return;
+              if (looksLikeScan(q)) { e.preventDefault(); if (onScan(q)) setQ(""); }
+              else if (q.trim() && filtered.length === 1) { e.preventDefault(); if (pickProduct(filtered[0]) !== false) setQ(""); }
+            }}
+            placeholder="Search name / ID / SKU… (F2; Enter adds a barcode, 3*SKU for qty)"
             className="sm:col-span-2 w-full px-4 py-2 border rounded-xl"
           />
-          <select value={cat} onChange={e => setCat(e.target.value)} className="px-4 py-2 border rounded-xl">
-            {categories.map(c => <option key={c}>{c}</option>)}
-          </select>
+          <div className="flex gap-2">
+            <select value={cat} onChange={e => setCat(e.target.value)} className="flex-1 min-w-0 px-4 py-2 border rounded-xl">
+              {categories.map(c => <option key={c}>{c}</option>)}
+            </select>
+            <button onClick={() => setShowHelp(v => !v)} title="Keyboard shortcuts"
+              className={`px-3 py-2 rounded-xl border ${showHelp ? "bg-gray-900 text-white border-gray-900" : "bg-white"}`}>⌨</button>
+          </div>
         </div>
 
-        <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-3">
+        {showHelp && (
+          <div className="mb-3 bg-white border rounded-2xl p-3 grid grid-cols-2 md:grid-cols-4 gap-x-4 gap-y-1 text-xs">
+            {HOTKEYS.map(([k, what]) => (
+              <div key={k}><span className="inline-block min-w-[4rem] font-mono font-semibold">{k}</span> {what}</div>
+            ))}
+          </div>
+        )}
+
+        {quick.layout === "instead" && quick.keys.length > 0 && (
+          <div className="mb-3 flex gap-2 text-sm">
+            {[["keys", "Quick keys"], ["catalog", "Catalog"]].map(([k, label]) => (
+              <button key={k} onClick={() => { setPage(k); if (k === "keys") setQ(""); }}
+                className={`px-3 py-1 rounded-lg border ${(k === "keys") === keysPage ? "bg-gray-900 text-white border-gray-900" : "bg-white border-gray-300"}`}>
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+        {quick.keys.length > 0 && (quick.layout !== "instead" || keysPage) && (
+          <div className="mb-4">
+            <QuickKeyGrid keys={quick.keys} inv={inv} cur={settings.currency} onPick={pickProduct} />
+          </div>
+        )}
+
+        {!keysPage && <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-3">
           {filtered.map(p => {
-            const flag = isExpired(p.expiry) ? "Expired"
-              : p.stock <=  LOW_STOCK ? "Low" : expSoon(p.expiry) ? `Exp ${daysUntil(p.expiry)}d` : null;
-            const disabled = isExpired(p.expiry);
+            const avail = sellable(p);
+            const disabled = !avail && expiredQty(p) > 0;
+            const flag = disabled ? "Expired"
+              : needsReorder(p) ? "Low" : expSoon(p.expiry) ? `Exp ${daysUntil(p.expiry)}d` : null;
             return (
               <button
                 key={p.id}
-                onClick={() => addToCart(p)}
+                onClick={() => pickProduct(p)}
                 disabled={disabled}
                 className={`text-left bg-white border rounded-2xl p-3 hover:shadow ${disabled ? "opacity-60 cursor-not-allowed" : ""}`}>
                 <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
@@ -406,8 +1105,8 @@ function POS({
                 </div>
                 <div className="h-20 rounded-xl bg-gray-100 mb-2" />
                 <div className="text-sm font-medium line-clamp-2">{p.name}</div>
-                <div className="text-xs text-gray-500">Stock {p.stock} • Exp {p.expiry || "—"}</div>
-                <div className="mt-2 font-semibold">{fmt(p.price, settings.currency)}</div>
+                <div className="text-xs text-gray-500">Stock {qtyText(avail, unitOf(p))} • Exp {p.expiry || "—"}</div>
+                <div className="mt-2 font-semibold">{fmt(p.price, settings.currency)}{unitOf(p) !== "pc" && <span className="text-xs font-normal text-gray-500"> / {unitOf(p)}</span>}</div>
                 <div className="text-[10px] text-gray-400 mt-1">ID: {p.id} • SKU: {p.sku}</div>
               </button>
             );
@@ -415,74 +1114,180 @@ function POS({
           {filtered.length === 0 && (
             <div className="col-span-full text-center text-gray-500 py-8">No products found.</div>
           )}
-        </div>
+        </div>}
       </div>
 
       {/* Cart */}
       <div className="lg:col-span-1">
         <div className="bg-white border rounded-2xl p-4 sticky top-24">
           <div className="flex items-center justify-between mb-3">
-            <div className="font-semibold">Cart ({cart.reduce((a,x)=>a+x.qty,0)})</div>
-            <button onClick={clearCart} className="text-xs text-gray-500 hover:text-gray-800">Clear</button>
+            <div className="font-semibold">Cart ({itemCount(cart)})</div>
+            <div className="flex items-center gap-3 text-xs">
+              <button onClick={onShowHeld} className="text-gray-500 hover:text-gray-800">Held ({heldCount})</button>
+              <button onClick={onHold} disabled={!cart.length} className="text-gray-500 hover:text-gray-800 disabled:opacity-40">Hold</button>
+              <button onClick={clearCart} className="text-gray-500 hover:text-gray-800">Clear</button>
+            </div>
           </div>
 
           <div className="space-y-3 max-h-[52vh] overflow-auto pr-1">
-            {cart.map(it => (
-              <div key={it.id} className="flex items-start gap-3">
-                <div className="w-12 h-12 rounded-lg bg-gray-100" />
-                <div className="flex-1 min-w-0">
-                  <div className="text-sm font-medium">{it.name}</div>
-                  <div className="text-xs text-gray-500">{fmt(it.price, settings.currency)} each</div>
-                  <div className="mt-1 flex items-center gap-2">
-                    <div className="flex items-center border rounded-lg overflow-hidden">
-                      <button onClick={() => updQty(it.id, it.qty - 1)} className="px-2 py-1 text-sm">−</button>
-                      <input type="number" min={1} value={it.qty}
-                        onChange={e => updQty(it.id, e.target.value)}
-                        className="w-12 text-center text-sm py-1" />
-                      <button onClick={() => updQty(it.id, it.qty + 1)} className="px-2 py-1 text-sm">+</button>
+            {cart.map(it => {
+              const p = inv.find(x => x.id === it.id);
+              const units = p ? sellUnits(p) : [];
+              const key = lineKey(it);
+              return (
+                <div key={key} onClick={() => setSel(key)}
+                  className={`flex items-start gap-3 rounded-lg ${it === line && cart.length > 1 ? "bg-gray-50 ring-1 ring-gray-300" : ""}`}>
+                  <div className="w-12 h-12 rounded-lg bg-gray-100" />
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm font-medium">{it.name}</div>
+                    {statutory && !scEligible(p) && (
+                      <div className="text-[10px] text-amber-700">Not {STATUTORY[disc.type].label} eligible</div>
+                    )}
+                    <button onClick={() => overridePrice(it)} title="Override price"
+                      className={`text-xs hover:underline ${it.origPrice != null ? "text-amber-700" : "text-gray-500"}`}>
+                      {fmt(it.price, settings.currency)} {it.uom && it.uom !== "pc" ? `/ ${it.uom}` : "each"}{it.origPrice != null && ` (was ${fmt(it.origPrice, settings.currency)})`}
+                    </button>
+                    {(totals.promoLines[key] || []).map(o => (
+                      <div key={o.id} className="text-xs text-green-700">{o.name} − {fmt(o.amount, settings.currency)}</div>
+                    ))}
+                    <div className="mt-1 flex items-center gap-2">
+                      {isMeasured(it.uom) ? (
+                        <button onClick={() => {
+                          const v = prompt(`Quantity of ${it.name} (${it.uom})`, it.qty);
+                          if (v != null && v !== "") updQty(key, v);
+                        }} className="px-2 py-1 border rounded-lg text-sm">{lineQtyText(it)}</button>
+                      ) : (
+                        <div className="flex items-center border rounded-lg overflow-hidden">
+                          <button onClick={() => updQty(key, it.qty - 1)} className="px-2 py-1 text-sm">−</button>
+                          <input type="number" min={1} value={it.qty}
+                            onChange={e => updQty(key, e.target.value)}
+                            className="w-12 text-center text-sm py-1" />
+                          <button onClick={() => updQty(key, it.qty + 1)} className="px-2 py-1 text-sm">+</button>
+                        </div>
+                      )}
+                      {units.length > 1 && (
+                        <select value={it.uom || units[0].name} onChange={e => setLineUnit(key, e.target.value)}
+                          className="px-1 py-1 border rounded-lg text-xs max-w-[7rem]">
+                          {units.map(u => <option key={u.name} value={u.name}>{u.name}</option>)}
+                        </select>
+                      )}
+                      <div className="ml-auto font-semibold">{fmt(it.price * it.qty, settings.currency)}</div>
                     </div>
-                    <div className="ml-auto font-semibold">{fmt(it.price * it.qty, settings.currency)}</div>
                   </div>
+                  <button onClick={() => rmCart(key)} className="text-gray-400 hover:text-red-500">✕</button>
                 </div>
-                <button onClick={() => rmCart(it.id)} className="text-gray-400 hover:text-red-500">✕</button>
-              </div>
-            ))}
+              );
+            })}
             {cart.length === 0 && <div className="text-center text-gray-500 py-8">Your cart is empty.</div>}
           </div>
 
+          <div className="mt-4 border-t pt-3 space-y-2 text-sm">
+            <div className="flex items-center gap-2">
+              <label className="text-gray-600">Customer:</label>
+              {customer ? (
+                <>
+                  <button onClick={onPickCustomer} className="flex-1 min-w-0 text-left truncate hover:underline">{customer.name}</button>
+                  <button onClick={onDropCustomer} className="text-gray-400 hover:text-red-500">✕</button>
+                </>
+              ) : (
+                <button onClick={onPickCustomer} className="flex-1 text-left text-gray-500 hover:text-gray-800">Walk-in — add customer…</button>
+              )}
+            </div>
+            {account && (loyaltyOn(settings) || customer.limit > 0) && (
+              <div className="text-xs text-gray-500">
+                {loyaltyOn(settings) && `${account.points} points`}
+                {loyaltyOn(settings) && customer.limit > 0 && " • "}
+                {customer.limit > 0 && `Account ${fmt(account.balance, settings.currency)} of ${fmt(customer.limit, settings.currency)}`}
+              </div>
+            )}
+            <div className="flex items-center gap-2">
+              <label className="text-gray-600">Discount:</label>
+              <select value={disc.type} onChange={e => chooseDiscount(e.target.value)} className="flex-1 px-3 py-1 border rounded-lg">
+                <option value="Regular">Regular ({settings.discount || 0}%)</option>
+                {Object.entries(STATUTORY).map(([k, d]) => <option key={k} value={k}>{d.label} ({d.pct}%)</option>)}
+                {(settings.discountTypes || []).map(t => <option key={t.name} value={t.name}>{t.name} ({t.pct}%)</option>)}
+              </select>
+            </div>
+            {statutory && (
+              <div className="grid grid-cols-2 gap-2">
+                <input value={disc.name} onChange={e => setDisc(d => ({ ...d, name: e.target.value }))}
+                  placeholder="Name *" className="px-3 py-1 border rounded-lg" />
+                <input value={disc.idNo} onChange={e => setDisc(d => ({ ...d, idNo: e.target.value }))}
+                  placeholder={`${STATUTORY[disc.type].idLabel} *`} className="px-3 py-1 border rounded-lg" />
+              </div>
+            )}
+          </div>
+
           <div className="my-4 border-t pt-3 space-y-1 text-sm">
-            <Row label="Subtotal" value={fmt(sub, settings.currency)} />
-            <Row label={`Discount (${settings.discount || 0}%)`} value={`− ${fmt(discAmt, settings.currency)}`} />
-            <Row label={`VAT (${settings.vat || 0}%)`} value={fmt(taxAmt, settings.currency)} />
-            <Row label="Total" value={fmt(total, settings.currency)} bold />
+            <TotalsRows t={totals} cur={settings.currency} />
           </div>
 
           <div className="space-y-2 text-sm">
-            <div className="flex items-center gap-2">
-              <label className="text-gray-600">Payment:</label>
-              <select value={method} onChange={e => setMethod(e.target.value)} className="px-3 py-1 border rounded-lg">
-                <option>Cash</option><option>Card</option><option>E-Wallet</option>
-              </select>
+            <div className="flex items-center justify-between">
+              <label className="text-gray-600">Payment</label>
+              <button onClick={() => addTender("E-Wallet")} className="px-2 py-1 rounded-lg border hover:bg-gray-50">+ Split</button>
             </div>
-            {method === "Cash" && (
-              <div className="grid grid-cols-2 gap-2">
-                <div>
-                  <div className="text-gray-500 mb-1">Cash Given</div>
-                  <input type="number" min={0} value={cash} onChange={e => setCash(e.target.value)}
-                    className="w-full px-3 py-2 border rounded-lg" />
-                </div>
-                <div>
-                  <div className="text-gray-500 mb-1">Change</div>
-                  <div className="w-full px-3 py-2 border rounded-lg bg-gray-50">{fmt(change, settings.currency)}</div>
+            {tenders.map((t, i) => (
+              <div key={i} className="border rounded-lg p-2 space-y-2">
+                <div className="flex items-center gap-2">
+                  <select value={t.type} onChange={e => setTenderType(i, e.target.value)} className="px-2 py-1 border rounded-lg">
+                    {TENDER_TYPES.filter(x => x === t.type || offered(x)).map(x => <option key={x}>{x}</option>)}
+                  </select>
+                  {currencies.length > 1 && !CUSTOMER_TENDERS.includes(t.type) && (
+                    <select value={t.currency || settings.currency} onChange={e => setTenderCurrency(i, e.target.value)}
+                      className="px-2 py-1 border rounded-lg">
+                      {currencies.map(c => <option key={c}>{c}</option>)}
+                    </select>
+                  )}
+                  <input type="number" min={0} value={t.amount} onChange={e => updTender(i, { amount: e.target.value })}
+                    ref={i === payAt ? payRef : null}
+                    onKeyDown={e => { if (e.key === "Enter" && canCheckout) { e.preventDefault(); setShowConfirm(true); } }}
+                    placeholder={fmt(pay.due, settings.currency)} className="flex-1 min-w-0 px-3 py-1 border rounded-lg" />
+                  {tenders.length > 1 && (
+                    <button onClick={() => setTenders(ts => ts.filter((_, j) => j !== i))} className="text-gray-500 px-1">✕</button>
+                  )}
                 </div>
+                {t.rate > 0 && (
+                  <div className="text-xs text-gray-500">
+                    @ {t.rate} = {fmt(tenderBase(t, settings.currency), settings.currency)}
+                    {pay.due > 0 && ` • due ${fmt(ceilMoney(pay.due / t.rate, t.currency), t.currency)}`}
+                  </div>
+                )}
+                {needsRef(t.type) && (
+                  <div className="grid grid-cols-3 gap-2">
+                    <input value={t.ref} onChange={e => updTender(i, { ref: e.target.value })}
+                      placeholder="Reference / approval no. *" className="col-span-2 px-3 py-1 border rounded-lg" />
+                    <input value={t.last4} onChange={e => updTender(i, { last4: e.target.value.replace(/\D/g, "").slice(0, 4) })}
+                      placeholder="Last 4" inputMode="numeric" className="px-3 py-1 border rounded-lg" />
+                  </div>
+                )}
               </div>
-            )}
+            ))}
+            <div className="flex gap-2">
+              <button onClick={() => quickCash(null)} disabled={!cart.length} title="F7"
+                className="flex-1 px-2 py-1 rounded-lg border hover:bg-gray-50 disabled:opacity-40">Exact</button>
+              {quick.cash.slice(0, 3).map((n, i) => (
+                <button key={i} onClick={() => quickCash(n)} disabled={!cart.length} title={`F${8 + i}`}
+                  className="flex-1 px-2 py-1 rounded-lg border hover:bg-gray-50 disabled:opacity-40">{noteLabel(n, settings.currency)}</button>
+              ))}
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <div className="text-gray-500 mb-1">Balance due</div>
+                <div className="w-full px-3 py-2 border rounded-lg bg-gray-50">{fmt(pay.due, settings.currency)}</div>
+              </div>
+              <div>
+                <div className="text-gray-500 mb-1">Change</div>
+                <div className="w-full px-3 py-2 border rounded-lg bg-gray-50">{fmt(pay.change, settings.currency)}</div>
+              </div>
+            </div>
+            {cart.length > 0 && pay.paid > 0 && pay.errors.map(e => <div key={e} className="text-red-600 text-xs">{e}</div>)}
             <button
               onClick={() => setShowConfirm(true)}
               disabled={!canCheckout}
               className={`w-full mt-2 px-4 py-3 rounded-xl text-white ${canCheckout ? "bg-gray-900" : "bg-gray-400 cursor-not-allowed"}`}
             >
-              Proceed to Checkout
+              Proceed to Checkout <span className="text-xs text-gray-300">(Enter)</span>
             </button>
           </div>
         </div>
@@ -492,9 +1297,14 @@ function POS({
 }
 
 /* ============ Inventory View (Admin) ============ */
-function Inventory({ inv, saveInv }) {
+function Inventory({ inv, saveInv, suppliers, user, movements, recordMoves, cur }) {
+  const [open, setOpen] = useState(null); // product id with lots expanded
+  const [adjusting, setAdjusting] = useState(null); // {p, lotId}
+  const [history, setHistory] = useState(null); // product
+  const [unitsOf, setUnitsOf] = useState(null); // product
+  const [importing, setImporting] = useState(false);
   const [newItem, setNewItem] = useState({
-    id: "", sku: "", name: "", category: "", price: 0, stock: 0, expiry: ""
+    id: "", sku: "", name: "", category: "", price: 0, cost: "", unit: "pc", stock: 0, expiry: "", taxClass: "vatable"
   });
 
   const addItem = () => {
@@ -508,15 +1318,44 @@ function Inventory({ inv, saveInv }) {
         name: newItem.name.trim(),
         category: newItem.category.trim() || "General",
         price: Number(newItem.price) || 0,
-        stock: Number(newItem.stock) || 0,
-        expiry: newItem.expiry || null,
+        cost: parseCost(newItem.cost),
+        unit: newItem.unit,
+        taxClass: newItem.taxClass,
+        lots: [],
       },
     ];
+    // opening stock becomes the product's first lot
+    if (Number(newItem.stock) > 0) next[next.length - 1] = addLot(next[next.length - 1], { qty: newItem.stock, expiry: newItem.expiry });
+    else next[next.length - 1] = withLots(next[next.length - 1]);
     saveInv(next);
-    setNewItem({ id: "", sku: "", name: "", category: "", price: 0, stock: 0, expiry: "" });
+    const np = next[next.length - 1];
+    if (np.stock > 0) recordMoves([movement({ ...np, stock: 0 }, np, { type: "receiving", user, note: "Opening stock", lotId: np.lots[0].id })]);
+    setNewItem({ id: "", sku: "", name: "", category: "", price: 0, cost: "", unit: "pc", stock: 0, expiry: "", taxClass: "vatable" });
+  };
+
+  // Replace one product and log the stock change that came with it.
+  const applyStock = (p, np, meta) => {
+    saveInv(inv.map(x => x.id === p.id ? np : x));
+    recordMoves([movement(p, np, { user, ...meta })]);
   };
 
+  const runImport = (plan) => {
+    let r;
+    try {
+      r = applyImport(plan, inv);
+    } catch (e) {
+      return alert(`Import not applied: ${e.message}`);
+    }
+    saveInv(r.inv);
+    recordMoves(r.changes.map(c => movement(c.before, c.after, { type: c.type, user, note: "CSV import" })));
+    setImporting(false);
+  };
+  const stamp = localDate(new Date());
+
+  // stock only leaves through a movement, so the ledger must be brought to 0 first
   const remove = (id) => {
+    const p = inv.find(x => x.id === id);
+    if (p.stock !== 0) return alert(`${p.name} still has ${p.stock} on hand. Adjust its lots to 0 before removing it.`);
     if (!confirm("Remove this item?")) return;
     saveInv(inv.filter(p => p.id !== id));
   };
@@ -526,21 +1365,38 @@ function Inventory({ inv, saveInv }) {
       <div className="bg-white border rounded-2xl p-4">
         <div className="flex items-center justify-between mb-3">
           <div className="font-semibold">Inventory</div>
-          <div className="text-sm text-gray-500">{inv.length} items</div>
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-gray-500 mr-2">{inv.length} items</span>
+            <button onClick={() => setImporting(true)} className="px-3 py-1 rounded-lg border hover:bg-gray-50">Import CSV</button>
+            <button onClick={() => downloadCSV(`inventory-${stamp}.csv`, inventoryCSV(inv, suppliers))}
+              className="px-3 py-1 rounded-lg border hover:bg-gray-50">Export inventory</button>
+            <button onClick={() => downloadCSV(`stock-levels-${stamp}.csv`, stockLevelsCSV(inv))}
+              className="px-3 py-1 rounded-lg border hover:bg-gray-50">Export stock levels</button>
+          </div>
         </div>
 
         {/* Add item form (mobile friendly) */}
-        <div className="mb-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-2">
+        <div className="mb-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-9 gap-2">
           <input className="px-3 py-2 border rounded-xl" placeholder="Name *"
             value={newItem.name} onChange={e => setNewItem(s => ({ ...s, name: e.target.value }))} />
           <input className="px-3 py-2 border rounded-xl" placeholder="Category"
             value={newItem.category} onChange={e => setNewItem(s => ({ ...s, category: e.target.value }))} />
           <input type="number" className="px-3 py-2 border rounded-xl" placeholder="Price"
             value={newItem.price} onChange={e => setNewItem(s => ({ ...s, price: e.target.value }))} />
+          <input type="number" className="px-3 py-2 border rounded-xl" placeholder="Unit cost"
+            value={newItem.cost} onChange={e => setNewItem(s => ({ ...s, cost: e.target.value }))} />
+          <select className="px-3 py-2 border rounded-xl" title="Stocked and priced per"
+            value={newItem.unit} onChange={e => setNewItem(s => ({ ...s, unit: e.target.value }))}>
+            {Object.keys(UNITS).map(k => <option key={k} value={k}>per {k}</option>)}
+          </select>
           <input type="number" className="px-3 py-2 border rounded-xl" placeholder="Stock"
             value={newItem.stock} onChange={e => setNewItem(s => ({ ...s, stock: e.target.value }))} />
           <input type="date" className="px-3 py-2 border rounded-xl"
             value={newItem.expiry || ""} onChange={e => setNewItem(s => ({ ...s, expiry: e.target.value }))} />
+          <select className="px-3 py-2 border rounded-xl"
+            value={newItem.taxClass} onChange={e => setNewItem(s => ({ ...s, taxClass: e.target.value }))}>
+            {Object.entries(TAX_CLASSES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
           <button onClick={addItem} className="px-3 py-2 rounded-xl bg-gray-900 text-white">+ Add Item</button>
         </div>
 
@@ -551,55 +1407,125 @@ function Inventory({ inv, saveInv }) {
                 <th className="py-2 pr-2">Name</th>
                 <th className="py-2 pr-2">Category</th>
                 <th className="py-2 pr-2">Price</th>
+                <th className="py-2 pr-2" title="Average cost per base unit, updated on receiving">Cost</th>
+                <th className="py-2 pr-2">Unit</th>
                 <th className="py-2 pr-2">Stock</th>
-                <th className="py-2 pr-2">Expiry</th>
+                <th className="py-2 pr-2">Damaged</th>
+                <th className="py-2 pr-2">Next expiry</th>
+                <th className="py-2 pr-2" title="Reorder point / reorder quantity">Reorder</th>
+                <th className="py-2 pr-2">Supplier</th>
+                <th className="py-2 pr-2">Tax</th>
+                <th className="py-2 pr-2" title="Eligible for Senior Citizen / PWD discount">SC/PWD</th>
                 <th className="py-2 pr-2">Status</th>
                 <th className="py-2 pr-2">Action</th>
               </tr>
             </thead>
             <tbody>
               {inv.map((p, i) => {
-                const status = isExpired(p.expiry)
+                const avail = sellable(p), expired = expiredQty(p);
+                const status = !avail && expired
                   ? "Expired"
                   : expSoon(p.expiry)
                   ? `Exp (${daysUntil(p.expiry)}d)`
-                  : p.stock <= LOW_STOCK
+                  : needsReorder(p)
                   ? "Low"
+                  : expired
+                  ? "Expired lot"
                   : "OK";
                 const statusCls =
-                  status === "Expired" ? "text-red-600" :
+                  status.startsWith("Expired") ? "text-red-600" :
                   status.startsWith("Exp") ? "text-amber-700" :
                   status === "Low" ? "text-yellow-700" : "text-gray-500";
                 return (
-                  <tr key={p.id} className="border-t">
-                    <td className="py-2 pr-2">{p.name}</td>
-                    <td className="py-2 pr-2">{p.category}</td>
-                    <td className="py-2 pr-2">
-                      <input type="number" value={p.price}
-                        onChange={e => {
-                          const next = [...inv]; next[i] = { ...p, price: Number(e.target.value) || 0 }; saveInv(next);
-                        }}
-                        className="w-24 px-2 py-1 border rounded-lg" />
-                    </td>
-                    <td className="py-2 pr-2">
-                      <input type="number" value={p.stock}
-                        onChange={e => {
-                          const next = [...inv]; next[i] = { ...p, stock: Math.max(0, Number(e.target.value) || 0) }; saveInv(next);
-                        }}
-                        className="w-24 px-2 py-1 border rounded-lg" />
-                    </td>
-                    <td className="py-2 pr-2">
-                      <input type="date" value={p.expiry || ""}
-                        onChange={e => {
-                          const next = [...inv]; next[i] = { ...p, expiry: e.target.value || null }; saveInv(next);
-                        }}
-                        className="px-2 py-1 border rounded-lg" />
-                    </td>
-                    <td className={`py-2 pr-2 ${statusCls}`}>{status}</td>
-                    <td className="py-2 pr-2">
-                      <button onClick={() => remove(p.id)} className="px-3 py-1.5 rounded-lg bg-red-600 text-white">Remove</button>
-                    </td>
-                  </tr>
+                  <React.Fragment key={p.id}>
+                    <tr className="border-t">
+                      <td className="py-2 pr-2">{p.name}</td>
+                      <td className="py-2 pr-2">{p.category}</td>
+                      <td className="py-2 pr-2">
+                        <CommitInput type="number" value={p.price}
+                          onCommit={v => {
+                            const next = [...inv]; next[i] = { ...p, price: Number(v) || 0 }; saveInv(next);
+                          }}
+                          className="w-24 px-2 py-1 border rounded-lg" />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <CommitInput type="number" min={0} value={p.cost} placeholder="—"
+                          onCommit={v => {
+                            const next = [...inv]; next[i] = { ...p, cost: parseCost(v) }; saveInv(next);
+                          }}
+                          className={`w-24 px-2 py-1 border rounded-lg ${p.cost > p.price ? "text-red-600" : ""}`} />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <button onClick={() => setUnitsOf(p)} title="Units of measure"
+                          className="px-2 py-1 border rounded-lg hover:bg-gray-50 whitespace-nowrap">
+                          {unitOf(p)}{p.units?.length ? ` +${p.units.length}` : ""}
+                        </button>
+                      </td>
+                      <td className="py-2 pr-2">
+                        <button onClick={() => setOpen(open === p.id ? null : p.id)}
+                          className="px-2 py-1 border rounded-lg hover:bg-gray-50 whitespace-nowrap">
+                          {qtyText(avail, unitOf(p))}{expired > 0 && <span className="text-red-600"> +{expired} exp</span>} • {p.lots.length} lot{p.lots.length === 1 ? "" : "s"} {open === p.id ? "▴" : "▾"}
+                        </button>
+                      </td>
+                      <td className="py-2 pr-2 text-gray-500">{p.damaged || 0}</td>
+                      <td className="py-2 pr-2 text-gray-500">{p.expiry || "—"}</td>
+                      <td className="py-2 pr-2 whitespace-nowrap">
+                        <CommitInput type="number" min={0} value={reorderPoint(p)} title="Reorder point"
+                          onCommit={v => {
+                            const next = [...inv]; next[i] = { ...p, reorderPoint: Math.max(0, Number(v) || 0) }; saveInv(next);
+                          }}
+                          className="w-16 px-2 py-1 border rounded-lg" />
+                        {" / "}
+                        <CommitInput type="number" min={1} value={reorderQty(p)} title="Reorder quantity"
+                          onCommit={v => {
+                            const next = [...inv]; next[i] = { ...p, reorderQty: Math.max(0, Number(v) || 0) }; saveInv(next);
+                          }}
+                          className="w-16 px-2 py-1 border rounded-lg" />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <select value={p.supplierId || ""}
+                          onChange={e => {
+                            const next = [...inv]; next[i] = { ...p, supplierId: e.target.value || null }; saveInv(next);
+                          }}
+                          className="px-2 py-1 border rounded-lg">
+                          <option value="">—</option>
+                          {suppliers.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                        </select>
+                      </td>
+                      <td className="py-2 pr-2">
+                        <select value={taxClassOf(p)}
+                          onChange={e => {
+                            const next = [...inv]; next[i] = { ...p, taxClass: e.target.value }; saveInv(next);
+                          }}
+                          className="px-2 py-1 border rounded-lg">
+                          {Object.entries(TAX_CLASSES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                        </select>
+                      </td>
+                      <td className="py-2 pr-2">
+                        <input type="checkbox" checked={scEligible(p)}
+                          onChange={e => {
+                            const next = [...inv]; next[i] = { ...p, scEligible: e.target.checked }; saveInv(next);
+                          }} />
+                      </td>
+                      <td className={`py-2 pr-2 ${statusCls}`}>{status}</td>
+                      <td className="py-2 pr-2 whitespace-nowrap">
+                        <button onClick={() => setAdjusting({ p })} disabled={!p.lots.length}
+                          className="px-3 py-1.5 rounded-lg border mr-1 disabled:opacity-50">Adjust</button>
+                        <button onClick={() => setHistory(p)} className="px-3 py-1.5 rounded-lg border mr-1">History</button>
+                        <button onClick={() => remove(p.id)} className="px-3 py-1.5 rounded-lg bg-red-600 text-white">Remove</button>
+                      </td>
+                    </tr>
+                    {open === p.id && (
+                      <tr className="bg-gray-50">
+                        <td colSpan={14} className="p-3">
+                          <Lots p={p}
+                            onChange={np => { const next = [...inv]; next[i] = np; saveInv(next); }}
+                            onReceive={(np, lot) => applyStock(p, np, { type: "receiving", lotId: lot.id, note: lot.supplierRef })}
+                            onAdjust={lotId => setAdjusting({ p, lotId })} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
                 );
               })}
             </tbody>
@@ -607,35 +1533,41 @@ function Inventory({ inv, saveInv }) {
         </div>
 
         <div className="text-xs text-gray-500 mt-2">
-          Inventory is saved locally in your browser.
+          Inventory is saved locally in your browser. Stock changes go through Adjust so every change is logged.
         </div>
       </div>
+
+      {adjusting && (
+        <AdjustModal p={adjusting.p} lotId={adjusting.lotId}
+          onApply={(np, meta) => { applyStock(adjusting.p, np, meta); setAdjusting(null); }}
+          onCancel={() => setAdjusting(null)} />
+      )}
+      {importing && <ImportModal inv={inv} onApply={runImport} onCancel={() => setImporting(false)} />}
+      {history && <HistoryModal p={history} movements={movements} onClose={() => setHistory(null)} />}
+      {unitsOf && (
+        <UnitsModal p={inv.find(x => x.id === unitsOf.id) || unitsOf} inv={inv} cur={cur}
+          onSave={np => { saveInv(inv.map(x => x.id === np.id ? np : x)); setUnitsOf(null); }}
+          onCancel={() => setUnitsOf(null)} />
+      )}
     </div>
   );
 }
 
-/* ---------- tiny util ---------- */
-function genId(category, inv) {
-  const pref = (category || "GEN").slice(0, 3).toUpperCase();
-  // get next 3-digit sequence not colliding
-  let n = inv.length + 1;
-  // basic guard against duplicates
-  while (inv.some(p => p.id === `${pref}-${String(n).padStart(3, "0")}`)) n++;
-  return `${pref}-${String(n).padStart(3, "0")}`;
-}
-
 /* ============ Login ============ */
-function Login({ onLogin }) {
+function Login({ onLogin, onPinLogin, ready, showDemo }) {
   const [u, setU] = useState("");
   const [p, setP] = useState("");
   const [err, setErr] = useState("");
+  const [usePin, setUsePin] = useState(false);
 
-  const submit = (e) => {
+  const submit = async (e) => {
     e.preventDefault();
-    const res = onLogin(u.trim(), p);
+    const res = await onLogin(u.trim(), p);
     if (!res.ok) setErr(res.msg);
   };
 
+  if (usePin) return <PinPad onPin={onPinLogin} onCancel={() => setUsePin(false)} cancelLabel="Use password" />;
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 p-4">
       <form onSubmit={submit} className="w-full max-w-sm bg-white border rounded-2xl p-6 shadow">
@@ -645,10 +1577,49 @@ function Login({ onLogin }) {
         <input value={p} onChange={e => setP(e.target.value)} type="password" placeholder="Password"
           className="w-full mb-2 px-3 py-2 border rounded-lg" />
         {err && <div className="text-red-600 text-sm mb-2">{err}</div>}
-        <button className="w-full px-4 py-2 rounded-lg bg-gray-900 text-white">Sign in</button>
-        <div className="text-[11px] text-gray-500 mt-3">
-          Demo: admin/admin123 • cashier/cash123
+        <button disabled={!ready} className="w-full px-4 py-2 rounded-lg bg-gray-900 text-white">Sign in</button>
+        <button type="button" onClick={() => setUsePin(true)}
+          className="w-full mt-2 px-4 py-2 rounded-lg border hover:bg-gray-50">Sign in with PIN</button>
+        {showDemo && (
+          <div className="text-[11px] text-gray-500 mt-3">
+            Demo: admin/admin123 • cashier/cash123
+          </div>
+        )}
+      </form>
+    </div>
+  );
+}
+
+/* ============ PIN pad (quick-switch) ============ */
+function PinPad({ onPin, onCancel, cancelLabel = "Cancel" }) {
+  const [pin, setPin] = useState("");
+  const [err, setErr] = useState("");
+
+  const submit = async (e) => {
+    e?.preventDefault();
+    if (pin.length < 4) return;
+    const res = await onPin(pin);
+    if (!res.ok) { setErr(res.msg); setPin(""); }
+  };
+  const press = (k) => setPin(x => (x + k).slice(0, 6));
+
+  return (
+    <div className="fixed inset-0 z-30 bg-black/40 flex items-center justify-center p-4">
+      <form onSubmit={submit} className="w-full max-w-xs bg-white rounded-2xl p-6 shadow-xl">
+        <div className="text-lg font-semibold mb-3 text-center">Enter PIN</div>
+        <input value={pin} autoFocus type="password" inputMode="numeric" maxLength={6}
+          onChange={e => setPin(e.target.value.replace(/\D/g, ""))}
+          className="w-full mb-3 px-3 py-2 border rounded-lg text-center tracking-[0.5em]" />
+        <div className="grid grid-cols-3 gap-2">
+          {["1","2","3","4","5","6","7","8","9"].map(k => (
+            <button type="button" key={k} onClick={() => press(k)} className="py-3 border rounded-lg hover:bg-gray-50">{k}</button>
+          ))}
+          <button type="button" onClick={() => setPin("")} className="py-3 border rounded-lg text-gray-500">C</button>
+          <button type="button" onClick={() => press("0")} className="py-3 border rounded-lg hover:bg-gray-50">0</button>
+          <button className="py-3 rounded-lg bg-gray-900 text-white">OK</button>
         </div>
+        {err && <div className="text-red-600 text-sm mt-2">{err}</div>}
+        <button type="button" onClick={onCancel} className="w-full mt-3 text-sm text-gray-500 hover:text-gray-800">{cancelLabel}</button>
       </form>
     </div>
   );
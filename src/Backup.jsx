@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import { localDate } from "./util";
+import { makeBackup, checkBackup, diffBackup, restoreBackup, SCHEMA_VERSION } from "./storage";
+
+/* ============ Backup & restore (Settings) ============ */
+export default function Backup({ user }) {
+  const [pending, setPending] = useState(null); // { name, backup, data, diff }
+  const [err, setErr] = useState("");
+
+  const download = async () => {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(await makeBackup(user), null, 1)], { type: "application/json" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `pos-backup-${localDate(new Date())}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const load = (f) => {
+    setErr("");
+    setPending(null);
+    if (!f) return;
+    const reader = new FileReader();
+    reader.onload = async () => {
+      let parsed;
+      try {
+        parsed = JSON.parse(String(reader.result));
+      } catch {
+        return setErr("That file is not valid JSON");
+      }
+      const res = checkBackup(parsed);
+      if (!res.ok) return setErr(res.msg);
+      setPending({ name: f.name, backup: res.backup, data: res.data, diff: await diffBackup(res.data) });
+    };
+    reader.readAsText(f);
+  };
+
+  const restore = async () => {
+    if (!confirm("Replace ALL data on this device with the backup? This cannot be undone. Everyone will be signed out.")) return;
+    try {
+      await restoreBackup(pending.data);
+    } catch (e) {
+      return setErr(`Restore failed, nothing was changed: ${e.message}`);
+    }
+    window.location.reload();
+  };
+
+  return (
+    <div className="bg-white border rounded-2xl p-4">
+      <div className="font-semibold mb-1">Backup &amp; restore</div>
+      <div className="text-xs text-gray-500 mb-3">
+        Everything is stored in this browser only (IndexedDB); clearing browser data erases it. Download a backup regularly. Data schema v{SCHEMA_VERSION}.
+      </div>
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <button onClick={download} className="px-3 py-2 rounded-lg bg-gray-900 text-white">Download backup</button>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-500">Restore from file</span>
+          <input type="file" accept=".json,application/json" onChange={e => load(e.target.files[0])} />
+        </label>
+      </div>
+      {err && <div className="text-red-600 text-sm mt-2">{err}</div>}
+
+      {pending && (
+        <div className="mt-4 border rounded-xl p-3">
+          <div className="text-sm mb-2">
+            <b>{pending.name}</b> • saved {new Date(pending.backup.exportedAt).toLocaleString("en-PH")} by {pending.backup.exportedBy} • schema v{pending.backup.version}
+            {pending.backup.version < SCHEMA_VERSION && <span className="text-amber-700"> (will be upgraded to v{SCHEMA_VERSION})</span>}
+          </div>
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="py-1 pr-2">Data</th>
+                <th className="py-1 pr-2 text-right">Now</th>
+                <th className="py-1 pr-2 text-right">Backup</th>
+                <th className="py-1 pr-2">Effect of restoring</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pending.diff.map(d => (
+                <tr key={d.name} className="border-t">
+                  <td className="py-1 pr-2">{d.label}</td>
+                  <td className="py-1 pr-2 text-right">{d.current ?? "—"}</td>
+                  <td className="py-1 pr-2 text-right">{d.incoming ?? "—"}</td>
+                  <td className={`py-1 pr-2 ${d.removed ? "text-red-600" : ""}`}>
+                    {d.current == null
+                      ? (d.same ? "No change" : "Replaced")
+                      : [d.added && `+${d.added} added`, d.changed && `${d.changed} changed`, d.removed && `−${d.removed} removed`]
+                          .filter(Boolean).join(", ") || "No change"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mt-3 flex gap-2">
+            <button onClick={() => setPending(null)} className="flex-1 px-4 py-2 border rounded-lg">Cancel</button>
+            <button onClick={restore} className="flex-1 px-4 py-2 rounded-lg bg-red-600 text-white">Restore backup</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import React, { useState } from "react";
+
+/* ============ Save-on-commit input ============ */
+// A field that saves on blur or Enter, not on every keystroke: each save is a
+// write (and, while syncing, a change sent to every terminal), and a sale must
+// never pick up a half-typed price. Escape drops the edit.
+export default function CommitInput({ value, onCommit, ...props }) {
+  const [draft, setDraft] = useState(null); // null while not editing
+  const commit = () => {
+    if (draft != null && draft !== String(value ?? "")) onCommit(draft);
+    setDraft(null);
+  };
+  return (
+    <input {...props} value={draft ?? value ?? ""} onChange={e => setDraft(e.target.value)} onBlur={commit}
+      onKeyDown={e => {
+        if (e.key === "Enter") e.currentTarget.blur();
+        if (e.key === "Escape") setDraft(null);
+      }} />
+  );
+}
@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { localDate } from "./util";
+import { CURRENCIES, rateOn, newRate, checkRate } from "./currency";
+
+/* ============ Base currency & exchange rates (Settings) ============ */
+export default function CurrencySettings({ settings, setSettings }) {
+  const base = settings.currency;
+  const rates = settings.fxRates || [];
+  const today = localDate(new Date());
+  const [draft, setDraft] = useState({ currency: CURRENCIES.find(c => c !== base), rate: "", from: today });
+
+  const setBase = (c) => {
+    if (c === base) return;
+    // every rate is stated in the old base, so none of them still holds
+    if (!confirm(`Make ${c} the base currency? Prices are NOT converted: a ${base} 20 item becomes ${c} 20. All exchange rates are removed; enter them again in ${c}.`)) return;
+    setSettings(s => ({ ...s, currency: c, fxRates: [] }));
+    setDraft(d => ({ ...d, currency: CURRENCIES.find(x => x !== c), rate: "" }));
+  };
+
+  const addRate = () => {
+    const msg = checkRate(draft, base);
+    if (msg) return alert(msg);
+    if (rates.some(r => r.currency === draft.currency && r.from === draft.from))
+      return alert(`${draft.currency} already has a rate from ${draft.from}; remove it first`);
+    setSettings(s => ({ ...s, fxRates: [...(s.fxRates || []), newRate(draft.currency, draft.rate, draft.from)] }));
+    setDraft(d => ({ ...d, rate: "" }));
+  };
+  const removeRate = (id) => setSettings(s => ({ ...s, fxRates: (s.fxRates || []).filter(r => r.id !== id) }));
+
+  const rows = [...rates].sort((a, b) => a.currency.localeCompare(b.currency) || b.from.localeCompare(a.from));
+
+  return (
+    <div className="bg-white border rounded-2xl p-4">
+      <div className="font-semibold mb-3">Currency &amp; exchange rates</div>
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        <label className="flex items-center gap-2">
+          <span className="text-gray-500">Base currency</span>
+          <select value={base} onChange={e => setBase(e.target.value)} className="px-2 py-1 border rounded-lg">
+            {CURRENCIES.map(c => <option key={c}>{c}</option>)}
+          </select>
+        </label>
+      </div>
+      <div className="text-xs text-gray-500 mt-2 mb-4">
+        Prices, totals, change and reports are in the base currency. Customers may pay in any currency with a rate in
+        effect today; the rate used is printed on the receipt.
+      </div>
+
+      <div className="mb-3 grid grid-cols-1 sm:grid-cols-4 gap-2 text-sm">
+        <select value={draft.currency} onChange={e => setDraft(d => ({ ...d, currency: e.target.value }))}
+          className="px-3 py-2 border rounded-xl">
+          {CURRENCIES.filter(c => c !== base).map(c => <option key={c}>{c}</option>)}
+        </select>
+        <input type="number" min={0} step="any" value={draft.rate} onChange={e => setDraft(d => ({ ...d, rate: e.target.value }))}
+          placeholder={`${base} per 1 ${draft.currency}`} className="px-3 py-2 border rounded-xl" />
+        <input type="date" value={draft.from} onChange={e => setDraft(d => ({ ...d, from: e.target.value }))}
+          className="px-3 py-2 border rounded-xl" />
+        <button onClick={addRate} className="px-3 py-2 rounded-xl bg-gray-900 text-white">+ Add rate</button>
+      </div>
+
+      <table className="min-w-full text-sm">
+        <thead className="text-left text-gray-500">
+          <tr>
+            <th className="py-2 pr-2">Currency</th>
+            <th className="py-2 pr-2">Rate</th>
+            <th className="py-2 pr-2">Effective from</th>
+            <th className="py-2 pr-2">Status</th>
+            <th className="py-2 pr-2">Action</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(r => {
+            const current = rateOn(rates, r.currency, today)?.id === r.id;
+            return (
+              <tr key={r.id} className="border-t">
+                <td className="py-2 pr-2">{r.currency}</td>
+                <td className="py-2 pr-2">1 {r.currency} = {r.rate} {base}</td>
+                <td className="py-2 pr-2">{r.from}</td>
+                <td className={`py-2 pr-2 ${current ? "text-green-700" : "text-gray-500"}`}>
+                  {current ? "In effect" : r.from > today ? "Scheduled" : "Superseded"}
+                </td>
+                <td className="py-2 pr-2">
+                  <button onClick={() => removeRate(r.id)} className="px-3 py-1.5 rounded-lg bg-red-600 text-white">Remove</button>
+                </td>
+              </tr>
+            );
+          })}
+          {!rows.length && (
+            <tr><td colSpan={5} className="text-center text-gray-500 py-6">No exchange rates; only {base} is accepted.</td></tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
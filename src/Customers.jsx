@@ -0,0 +1,410 @@
+import React, { useMemo, useState } from "react";
+import { fmt, localDate } from "./util";
+import { Row, DocHeader } from "./ui";
+import {
+  newCustomer, checkCustomer, findCustomers, loyaltyConfig, loyaltyOn, pointsOf,
+  accountLedger, balanceOf, overdueOf, checkPayment,
+} from "./customers";
+
+// Balance, overdue and points for every customer, worked out once per render.
+const useAccounts = (customers, sales, refunds, payments, cur) => useMemo(() => {
+  const out = {};
+  for (const c of customers) {
+    const ledger = accountLedger(c, sales, refunds, payments, cur);
+    out[c.id] = { ledger, balance: balanceOf(ledger), overdue: overdueOf(ledger, cur), points: pointsOf(c, sales, refunds) };
+  }
+  return out;
+}, [customers, sales, refunds, payments, cur]);
+
+/* ============ Customers View ============ */
+export default function Customers({ customers, saveCustomers, sales, refunds, payments, settings, onPayment, onStatement }) {
+  const cur = settings.currency;
+  const [q, setQ] = useState("");
+  const [edit, setEdit] = useState(null);     // draft customer
+  const [paying, setPaying] = useState(null); // customer
+  const [open, setOpen] = useState(null);     // customer id with ledger expanded
+  const [from, setFrom] = useState(localDate(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)));
+  const [to, setTo] = useState(localDate(new Date()));
+  const accounts = useAccounts(customers, sales, refunds, payments, cur);
+
+  const rows = findCustomers(customers, q).slice().sort((a, b) => a.name.localeCompare(b.name));
+  const receivable = customers.reduce((a, c) => a + accounts[c.id].balance, 0);
+
+  const save = (c) => {
+    saveCustomers(customers.some(x => x.id === c.id) ? customers.map(x => x.id === c.id ? c : x) : [...customers, c]);
+    setEdit(null);
+  };
+  const remove = (c) => {
+    const a = accounts[c.id];
+    if (Math.abs(a.balance) > 0.005) return alert(`${c.name} still owes ${fmt(a.balance, cur)}`);
+    if (!confirm(`Remove ${c.name}? Their past sales keep the name.`)) return;
+    saveCustomers(customers.filter(x => x.id !== c.id));
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-6">
+      <div className="bg-white border rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="font-semibold">Customers</div>
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-gray-500">{customers.length} customers • {fmt(receivable, cur)} receivable</span>
+            <button onClick={() => setEdit(newCustomer({ name: "" }))} className="px-3 py-1 rounded-lg bg-gray-900 text-white">+ Customer</button>
+          </div>
+        </div>
+
+        <div className="mb-4 grid grid-cols-1 sm:grid-cols-4 gap-2 text-sm">
+          <input value={q} onChange={e => setQ(e.target.value)} placeholder="Search name / phone…"
+            className="sm:col-span-2 px-3 py-2 border rounded-xl" />
+          <label className="flex items-center gap-2">
+            <span className="text-gray-500">Statement from</span>
+            <input type="date" value={from} onChange={e => setFrom(e.target.value)} className="flex-1 px-3 py-2 border rounded-xl" />
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="text-gray-500">to</span>
+            <input type="date" value={to} onChange={e => setTo(e.target.value)} className="flex-1 px-3 py-2 border rounded-xl" />
+          </label>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="py-2 pr-2">Name</th>
+                <th className="py-2 pr-2">Phone</th>
+                <th className="py-2 pr-2 text-right">Points</th>
+                <th className="py-2 pr-2 text-right">Limit</th>
+                <th className="py-2 pr-2">Terms</th>
+                <th className="py-2 pr-2 text-right">Balance</th>
+                <th className="py-2 pr-2 text-right">Overdue</th>
+                <th className="py-2 pr-2">Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(c => {
+                const a = accounts[c.id];
+                return (
+                  <React.Fragment key={c.id}>
+                    <tr className="border-t">
+                      <td className="py-2 pr-2">
+                        <button onClick={() => setOpen(open === c.id ? null : c.id)} className="underline">{c.name}</button>
+                      </td>
+                      <td className="py-2 pr-2">{c.phone || "—"}</td>
+                      <td className="py-2 pr-2 text-right">{a.points}</td>
+                      <td className="py-2 pr-2 text-right">{c.limit > 0 ? fmt(c.limit, cur) : "—"}</td>
+                      <td className="py-2 pr-2">{c.limit > 0 ? `${c.terms} days` : "—"}</td>
+                      <td className="py-2 pr-2 text-right">{fmt(a.balance, cur)}</td>
+                      <td className={`py-2 pr-2 text-right ${a.overdue > 0 ? "text-red-600" : ""}`}>{a.overdue > 0 ? fmt(a.overdue, cur) : "—"}</td>
+                      <td className="py-2 pr-2 whitespace-nowrap">
+                        <button onClick={() => setEdit(c)} className="px-3 py-1.5 rounded-lg border mr-1">Edit</button>
+                        <button onClick={() => setPaying(c)} disabled={!(a.balance > 0)}
+                          className="px-3 py-1.5 rounded-lg bg-gray-900 text-white mr-1 disabled:opacity-40">Payment</button>
+                        <button onClick={() => onStatement(c, a.ledger, from, to)} disabled={!a.ledger.length}
+                          className="px-3 py-1.5 rounded-lg border mr-1 disabled:opacity-40">Statement</button>
+                        <button onClick={() => remove(c)} className="px-3 py-1.5 rounded-lg border text-red-600">Remove</button>
+                      </td>
+                    </tr>
+                    {open === c.id && (
+                      <tr className="bg-gray-50">
+                        <td colSpan={8} className="p-3">
+                          <div className="text-xs text-gray-500 mb-2">
+                            {[c.email, c.address, c.tin && `TIN ${c.tin}`].filter(Boolean).join(" • ") || "No contact details"}
+                          </div>
+                          <Ledger rows={a.ledger} cur={cur} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+              {rows.length === 0 && (
+                <tr><td colSpan={8} className="text-center text-gray-500 py-8">No customers found.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        <div className="text-xs text-gray-500 mt-2">
+          A credit limit of 0 means no charge account. Balances and points come from the customer's sales, returns and payments.
+        </div>
+      </div>
+
+      {edit && <CustomerModal customer={edit} customers={customers} cur={cur} canCredit onSave={save} onCancel={() => setEdit(null)} />}
+      {paying && (
+        <PaymentModal customer={paying} balance={accounts[paying.id].balance} cur={cur}
+          onSubmit={p => { onPayment(paying, p); setPaying(null); }} onCancel={() => setPaying(null)} />
+      )}
+    </div>
+  );
+}
+
+function Ledger({ rows, cur }) {
+  if (!rows.length) return <div className="text-sm text-gray-500">No account activity.</div>;
+  return (
+    <table className="w-full text-sm">
+      <thead className="text-left text-gray-500">
+        <tr>
+          <th className="py-1 pr-2">Date</th>
+          <th className="py-1 pr-2">Ref</th>
+          <th className="py-1 pr-2">Type</th>
+          <th className="py-1 pr-2">Due</th>
+          <th className="py-1 pr-2 text-right">Charge</th>
+          <th className="py-1 pr-2 text-right">Credit</th>
+          <th className="py-1 text-right">Balance</th>
+        </tr>
+      </thead>
+      <tbody>
+        {[...rows].reverse().map(r => (
+          <tr key={r.ref} className="border-t">
+            <td className="py-1 pr-2">{localDate(r.ts)}</td>
+            <td className="py-1 pr-2 font-mono">{r.ref}</td>
+            <td className="py-1 pr-2">{r.kind} <span className="text-gray-500">{r.note}</span></td>
+            <td className="py-1 pr-2">{r.due || ""}</td>
+            <td className="py-1 pr-2 text-right">{r.charge ? fmt(r.charge, cur) : ""}</td>
+            <td className="py-1 pr-2 text-right">{r.credit ? fmt(r.credit, cur) : ""}</td>
+            <td className="py-1 text-right">{fmt(r.balance, cur)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/* ============ Add / edit customer ============ */
+// `canCredit` false (quick add at the till without the permission) leaves
+// the credit limit and terms alone.
+export function CustomerModal({ customer, customers, cur, canCredit, onSave, onCancel }) {
+  const [c, setC] = useState({ ...customer, limit: customer.limit ?? 0, terms: customer.terms ?? 30 });
+  const [err, setErr] = useState("");
+  const set = (k) => (e) => setC(x => ({ ...x, [k]: e.target.value }));
+  const isNew = !customers.some(x => x.id === customer.id);
+
+  const save = () => {
+    const msg = checkCustomer(c, customers);
+    if (msg) return setErr(msg);
+    onSave({ ...c, name: c.name.trim(), phone: c.phone.trim(), email: c.email.trim(), limit: Number(c.limit) || 0, terms: Number(c.terms) || 0 });
+  };
+
+  const fields = [["name", "Name *"], ["phone", "Phone"], ["email", "Email"], ["tin", "TIN"]];
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-lg bg-white rounded-xl p-4 shadow-xl">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-lg font-semibold">{isNew ? "New customer" : customer.name}</div>
+          <button onClick={onCancel} className="text-gray-500">✕</button>
+        </div>
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          {fields.map(([k, label]) => (
+            <label key={k} className="space-y-1">
+              <div className="text-gray-500">{label}</div>
+              <input value={c[k] || ""} onChange={set(k)} autoFocus={k === "name"} className="w-full px-3 py-2 border rounded-lg" />
+            </label>
+          ))}
+          <label className="col-span-2 space-y-1">
+            <div className="text-gray-500">Billing address</div>
+            <input value={c.address || ""} onChange={set("address")} className="w-full px-3 py-2 border rounded-lg" />
+          </label>
+          <label className="space-y-1">
+            <div className="text-gray-500">Credit limit ({cur})</div>
+            <input type="number" min={0} value={c.limit} onChange={set("limit")} disabled={!canCredit}
+              className="w-full px-3 py-2 border rounded-lg disabled:bg-gray-50" />
+          </label>
+          <label className="space-y-1">
+            <div className="text-gray-500">Terms (days)</div>
+            <input type="number" min={0} value={c.terms} onChange={set("terms")} disabled={!canCredit}
+              className="w-full px-3 py-2 border rounded-lg disabled:bg-gray-50" />
+          </label>
+        </div>
+        {!canCredit && <div className="text-xs text-gray-500 mt-1">A supervisor sets up charge accounts in Customers.</div>}
+        {err && <div className="text-red-600 text-sm mt-2">{err}</div>}
+        <div className="mt-3 flex gap-2">
+          <button onClick={onCancel} className="flex-1 px-4 py-2 border rounded-lg">Cancel</button>
+          <button onClick={save} className="flex-1 px-4 py-2 rounded-lg bg-gray-900 text-white">Save</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ============ Post an account payment ============ */
+function PaymentModal({ customer, balance, cur, onSubmit, onCancel }) {
+  const [p, setP] = useState({ amount: balance, method: "Cash", ref: "" });
+  const [err, setErr] = useState("");
+  const submit = () => {
+    const msg = checkPayment(p, balance);
+    if (msg) return setErr(msg);
+    onSubmit(p);
+  };
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-sm bg-white rounded-xl p-4 shadow-xl">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-lg font-semibold">Payment — {customer.name}</div>
+          <button onClick={onCancel} className="text-gray-500">✕</button>
+        </div>
+        <div className="text-sm space-y-2">
+          <Row label="Balance" value={fmt(balance, cur)} bold />
+          <div className="flex items-center gap-2">
+            <select value={p.method} onChange={e => setP(x => ({ ...x, method: e.target.value }))} className="px-2 py-2 border rounded-lg">
+              {["Cash", "Card", "E-Wallet"].map(m => <option key={m}>{m}</option>)}
+            </select>
+            <input type="number" min={0} autoFocus value={p.amount} onChange={e => setP(x => ({ ...x, amount: e.target.value }))}
+              className="flex-1 min-w-0 px-3 py-2 border rounded-lg" />
+          </div>
+          {p.method !== "Cash" && (
+            <input value={p.ref} onChange={e => setP(x => ({ ...x, ref: e.target.value }))}
+              placeholder="Reference / approval no. *" className="w-full px-3 py-2 border rounded-lg" />
+          )}
+        </div>
+        {err && <div className="text-red-600 text-sm mt-2">{err}</div>}
+        <div className="mt-3 flex gap-2">
+          <button onClick={onCancel} className="flex-1 px-4 py-2 border rounded-lg">Cancel</button>
+          <button onClick={submit} className="flex-1 px-4 py-2 rounded-lg bg-gray-900 text-white">Post &amp; print</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ============ Customer lookup (POS cart) ============ */
+export function CustomerPicker({ customers, sales, refunds, payments, settings, canCredit, onPick, onAdd, onCancel }) {
+  const cur = settings.currency;
+  const [q, setQ] = useState("");
+  const [adding, setAdding] = useState(null);
+  const rows = findCustomers(customers, q).slice(0, 30);
+  const accounts = useAccounts(rows, sales, refunds, payments, cur);
+
+  if (adding) {
+    return <CustomerModal customer={adding} customers={customers} cur={cur} canCredit={canCredit}
+      onSave={onAdd} onCancel={() => setAdding(null)} />;
+  }
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-lg bg-white rounded-xl p-4 shadow-xl">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-lg font-semibold">Customer</div>
+          <button onClick={onCancel} className="text-gray-500">✕</button>
+        </div>
+        <div className="flex gap-2 mb-2">
+          <input value={q} onChange={e => setQ(e.target.value)} autoFocus placeholder="Name or phone…"
+            onKeyDown={e => { if (e.key === "Enter" && rows.length === 1) onPick(rows[0]); }}
+            className="flex-1 px-3 py-2 border rounded-lg text-sm" />
+          <button onClick={() => setAdding(newCustomer({ name: /\d/.test(q) ? "" : q, phone: /\d/.test(q) ? q : "" }))}
+            className="px-3 py-2 rounded-lg border text-sm hover:bg-gray-50">+ New</button>
+        </div>
+        <div className="divide-y max-h-[60vh] overflow-auto">
+          {rows.map(c => {
+            const a = accounts[c.id];
+            return (
+              <button key={c.id} onClick={() => onPick(c)} className="w-full text-left py-2 px-1 flex items-center gap-3 text-sm hover:bg-gray-50">
+                <div className="flex-1 min-w-0">
+                  <div className="font-medium truncate">{c.name}</div>
+                  <div className="text-xs text-gray-500">{c.phone || "—"}</div>
+                </div>
+                {loyaltyOn(settings) && <div className="text-xs text-gray-500">{a.points} pts</div>}
+                {c.limit > 0 && (
+                  <div className={`text-xs ${a.overdue > 0 ? "text-red-600" : "text-gray-500"}`}>
+                    {fmt(a.balance, cur)} / {fmt(c.limit, cur)}
+                  </div>
+                )}
+              </button>
+            );
+          })}
+          {!rows.length && <div className="text-center text-gray-500 py-8">No customers found.</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ============ Printable statement of account ============ */
+// Activity between `from` and `to` (inclusive), opening with the balance
+// brought forward and closing with what is owed and overdue today.
+export function Statement({ customer, ledger, from, to, currency, tpl }) {
+  const before = ledger.filter(r => from && localDate(r.ts) < from);
+  const rows = ledger.filter(r => (!from || localDate(r.ts) >= from) && (!to || localDate(r.ts) <= to));
+  const opening = before.length ? before[before.length - 1].balance : 0;
+  const closing = rows.length ? rows[rows.length - 1].balance : opening;
+  const overdue = overdueOf(ledger, currency);
+  return (
+    <>
+      <DocHeader tpl={tpl}>
+        <div style={{ fontWeight: 700 }}>STATEMENT OF ACCOUNT</div>
+      </DocHeader>
+      <hr/>
+      <div>{customer.name}</div>
+      {customer.address && <div className="muted">{customer.address}</div>}
+      {customer.tin && <div className="muted">TIN: {customer.tin}</div>}
+      <div className="muted">Period: {from || "…"} to {to || "…"}</div>
+      <div className="muted">Terms: {customer.terms} days • Limit: {fmt(customer.limit, currency)}</div>
+      <hr/>
+      <table><tbody>
+        <tr><td>Balance forward</td><td className="r">{fmt(opening, currency)}</td></tr>
+        {rows.map(r => (
+          <tr key={r.ref}>
+            <td>{localDate(r.ts)} {r.kind} {r.ref}{r.due ? ` (due ${r.due})` : ""}</td>
+            <td className="r">{r.charge ? fmt(r.charge, currency) : `− ${fmt(r.credit, currency)}`}</td>
+          </tr>
+        ))}
+      </tbody></table>
+      <hr/>
+      <table><tbody>
+        <tr><td style={{fontWeight:700}}>BALANCE</td><td className="r" style={{fontWeight:700}}>{fmt(closing, currency)}</td></tr>
+        {overdue > 0 && <tr><td>Overdue as of today</td><td className="r">{fmt(overdue, currency)}</td></tr>}
+      </tbody></table>
+      <hr/>
+      <div className="c muted">Printed {new Date().toLocaleString("en-PH")}</div>
+    </>
+  );
+}
+
+/* ============ Printable payment acknowledgement ============ */
+export function PaymentDoc({ payment, balance, tpl }) {
+  const cur = payment.currency;
+  return (
+    <>
+      <DocHeader tpl={tpl}>
+        <div style={{ fontWeight: 700 }}>ACKNOWLEDGEMENT RECEIPT</div>
+      </DocHeader>
+      <hr/>
+      <div className="muted">No: {payment.id}</div>
+      <div className="muted">Date: {payment.time}</div>
+      <div className="muted">Cashier: {payment.cashier}</div>
+      <hr/>
+      <div>Received from {payment.customerName}</div>
+      <div>on account, by {payment.method}{payment.ref ? ` (Ref ${payment.ref})` : ""}</div>
+      <table><tbody>
+        <tr><td style={{fontWeight:700}}>AMOUNT</td><td className="r" style={{fontWeight:700}}>{fmt(payment.amount, cur)}</td></tr>
+        <tr><td>Balance after payment</td><td className="r">{fmt(balance, cur)}</td></tr>
+      </tbody></table>
+      <hr/>
+      <div className="c muted">This is not an official receipt.</div>
+    </>
+  );
+}
+
+/* ============ Loyalty points (Settings) ============ */
+export function LoyaltySettings({ settings, setSettings }) {
+  const cfg = loyaltyConfig(settings);
+  const set = (k, v) => setSettings(s => ({ ...s, loyalty: { ...loyaltyConfig(s), [k]: Math.max(0, Number(v) || 0) } }));
+  return (
+    <div className="bg-white border rounded-2xl p-4">
+      <div className="font-semibold mb-3">Loyalty points</div>
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        <label className="flex items-center gap-2">
+          <span className="text-gray-500">1 point per</span>
+          <input type="number" min={0} value={cfg.earnPer} onChange={e => set("earnPer", e.target.value)}
+            className="w-24 px-2 py-1 border rounded-lg" />
+          <span className="text-gray-500">{settings.currency} spent</span>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-500">Each point redeems for</span>
+          <input type="number" min={0} step="0.01" value={cfg.pointValue} onChange={e => set("pointValue", e.target.value)}
+            className="w-24 px-2 py-1 border rounded-lg" />
+          <span className="text-gray-500">{settings.currency}</span>
+        </label>
+      </div>
+      <div className="text-xs text-gray-500 mt-2">
+        Set "1 point per" to 0 to stop earning. Points are earned on sales with a customer attached and redeemed with the Points tender.
+      </div>
+    </div>
+  );
+}
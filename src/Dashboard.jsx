@@ -0,0 +1,236 @@
+import React, { useMemo, useState } from "react";
+import { fmt, localDate } from "./util";
+import { analyze, deadStock, valuation } from "./analytics";
+import { downloadCSV } from "./csv";
+import { bucketsCSV, productSalesCSV, deadStockCSV, valuationCSV } from "./exporter";
+import { qtyText, unitOf } from "./units";
+
+const daysAgo = (n) => localDate(new Date(Date.now() - n * 24 * 60 * 60 * 1000));
+const pct = (r) => (r.net ? `${(((r.net - r.cost) / r.net) * 100).toFixed(1)}%` : "—");
+
+/* ---------- Charts (plain divs, no chart library) ---------- */
+// Vertical bars, e.g. sales per day or hour; negative (returns-heavy) bars in red.
+function Columns({ rows, label, cur }) {
+  const max = Math.max(1, ...rows.map(r => Math.abs(r.amount)));
+  const every = Math.ceil(rows.length / 16); // keep the axis readable
+  return (
+    <div>
+      <div className="flex items-end gap-px h-40">
+        {rows.map(r => (
+          <div key={r.key} className="flex-1 h-full flex items-end" title={`${label(r.key, true)}: ${fmt(r.amount, cur)} • ${r.count} sale(s)`}>
+            <div className={`w-full rounded-t ${r.amount < 0 ? "bg-red-400" : "bg-gray-800"}`}
+              style={{ height: `${(Math.abs(r.amount) / max) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-px mt-1 text-[10px] text-gray-500">
+        {rows.map((r, i) => <div key={r.key} className="flex-1 text-center overflow-hidden">{i % every ? "" : label(r.key)}</div>)}
+      </div>
+    </div>
+  );
+}
+
+// Horizontal bars with the amount (and margin, when known) beside each.
+function Bars({ rows, cur, margin }) {
+  const max = Math.max(1, ...rows.map(r => Math.abs(r.amount)));
+  return (
+    <div className="space-y-1 text-sm">
+      {rows.map(r => (
+        <div key={r.key} className="flex items-center gap-2">
+          <div className="w-32 truncate" title={r.key}>{r.key}</div>
+          <div className="flex-1 bg-gray-100 rounded h-4">
+            <div className="bg-gray-800 rounded h-4" style={{ width: `${(Math.max(0, r.amount) / max) * 100}%` }} />
+          </div>
+          <div className="w-28 text-right">{fmt(r.amount, cur)}</div>
+          {margin && <div className="w-16 text-right text-gray-500">{pct(r)}</div>}
+        </div>
+      ))}
+      {!rows.length && <div className="text-gray-500 py-4 text-center">No sales in this range.</div>}
+    </div>
+  );
+}
+
+function Card({ title, onExport, className = "", children }) {
+  return (
+    <div className={`bg-white border rounded-2xl p-4 ${className}`}>
+      <div className="flex items-center justify-between mb-3">
+        <div className="font-semibold">{title}</div>
+        {onExport && <button onClick={onExport} className="px-3 py-1 rounded-lg border text-sm hover:bg-gray-50">Export CSV</button>}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function Stat({ label, value, sub }) {
+  return (
+    <div className="bg-white border rounded-2xl p-3">
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className="text-lg font-semibold">{value}</div>
+      {sub && <div className="text-xs text-gray-500">{sub}</div>}
+    </div>
+  );
+}
+
+function Sellers({ rows, cur }) {
+  return (
+    <table className="min-w-full text-sm">
+      <thead className="text-left text-gray-500">
+        <tr>
+          <th className="py-1 pr-2">Item</th>
+          <th className="py-1 pr-2 text-right">Qty</th>
+          <th className="py-1 pr-2 text-right">Sales</th>
+          <th className="py-1 text-right">Margin</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(r => (
+          <tr key={r.key} className="border-t">
+            <td className="py-1 pr-2">{r.name}</td>
+            <td className="py-1 pr-2 text-right">{r.qty}</td>
+            <td className="py-1 pr-2 text-right">{fmt(r.amount, cur)}</td>
+            <td className="py-1 text-right text-gray-500">{pct(r)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/* ============ Dashboard View (Admin) ============ */
+export default function Dashboard({ sales, refunds, inv, settings }) {
+  const cur = settings.currency;
+  const [from, setFrom] = useState(daysAgo(29));
+  const [to, setTo] = useState(localDate(new Date()));
+  const [idle, setIdle] = useState(30); // days without a sale for dead stock
+  const a = useMemo(() => analyze({ sales, refunds, inv, from, to }), [sales, refunds, inv, from, to]);
+  const dead = useMemo(() => deadStock(inv, sales, Number(idle) || 0), [inv, sales, idle]);
+  const stock = useMemo(() => valuation(inv), [inv]);
+  const stockCost = stock.reduce((x, r) => x + (r.cost || 0), 0);
+  const stockRetail = stock.reduce((x, r) => x + r.retail, 0);
+  const sellers = a.products.filter(r => r.qty > 0 || inv.some(p => p.id === r.key));
+  const csv = (name, text) => downloadCSV(`${name}-${from || "all"}-to-${to || "all"}.csv`, text);
+  const ranges = [["Today", 0], ["7 days", 6], ["30 days", 29], ["90 days", 89]];
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+      <div className="bg-white border rounded-2xl p-4 flex flex-wrap items-center gap-2 text-sm">
+        <div className="font-semibold mr-auto">Dashboard</div>
+        {ranges.map(([label, n]) => (
+          <button key={label} onClick={() => { setFrom(daysAgo(n)); setTo(localDate(new Date())); }}
+            className={`px-3 py-1 rounded-lg border ${from === daysAgo(n) && to === localDate(new Date()) ? "bg-gray-900 text-white border-gray-900" : "bg-white border-gray-300"}`}>
+            {label}
+          </button>
+        ))}
+        <label className="flex items-center gap-2">
+          <span className="text-gray-500">From</span>
+          <input type="date" value={from} onChange={e => setFrom(e.target.value)} className="px-3 py-1 border rounded-lg" />
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-500">To</span>
+          <input type="date" value={to} onChange={e => setTo(e.target.value)} className="px-3 py-1 border rounded-lg" />
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3">
+        <Stat label="Net sales" value={fmt(a.net, cur)} sub={a.returns ? `${fmt(a.gross, cur)} less ${fmt(a.returns, cur)} returns` : null} />
+        <Stat label="Transactions" value={a.count} />
+        <Stat label="Average basket" value={fmt(a.avgBasket, cur)} sub={`${a.avgItems.toFixed(1)} items`} />
+        <Stat label="Gross margin" value={fmt(a.margin, cur)} sub={`${a.marginPct.toFixed(1)}% of ${fmt(a.revenue, cur)} net of VAT`} />
+        <Stat label="Stock at cost" value={fmt(stockCost, cur)} sub={`${fmt(stockRetail, cur)} at selling price`} />
+        <Stat label={`Dead stock (${idle}d)`} value={dead.length} sub={`${fmt(dead.reduce((x, r) => x + (r.value || 0), 0), cur)} at cost`} />
+      </div>
+      {a.noCost.length > 0 && (
+        <div className="p-2 rounded-lg bg-amber-50 text-amber-700 border border-amber-200 text-sm">
+          {a.noCost.length} item(s) sold without a cost, so the margin is overstated. Enter costs in Inventory or when receiving.
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Card title="Sales by day" onExport={() => csv("sales-by-day", bucketsCSV(a.byDay, "date"))}>
+          {a.byDay.length ? <Columns rows={a.byDay} cur={cur} label={(k, long) => (long ? k : k.slice(8))} />
+            : <div className="text-gray-500 py-4 text-center text-sm">No sales in this range.</div>}
+        </Card>
+        <Card title="Sales by hour" onExport={() => csv("sales-by-hour", bucketsCSV(a.byHour, "hour"))}>
+          {a.byHour.length ? <Columns rows={a.byHour} cur={cur} label={(k, long) => (long ? `${k}:00` : k)} />
+            : <div className="text-gray-500 py-4 text-center text-sm">No sales in this range.</div>}
+        </Card>
+        <Card title="Sales by category" onExport={() => csv("sales-by-category", bucketsCSV(a.byCategory, "category"))}>
+          <Bars rows={a.byCategory} cur={cur} margin />
+        </Card>
+        <Card title="Sales by cashier" onExport={() => csv("sales-by-cashier", bucketsCSV(a.byCashier, "cashier"))}>
+          <Bars rows={a.byCashier} cur={cur} />
+        </Card>
+        <Card title="Top sellers" onExport={() => csv("product-sales", productSalesCSV(sellers))}>
+          <Sellers rows={sellers.filter(r => r.qty > 0).slice(0, 10)} cur={cur} />
+        </Card>
+        <Card title="Bottom sellers" onExport={() => csv("product-sales", productSalesCSV(sellers))}>
+          <Sellers rows={[...sellers].reverse().slice(0, 10)} cur={cur} />
+        </Card>
+      </div>
+
+      <Card title="Dead stock" onExport={() => downloadCSV(`dead-stock-${idle}d-${to}.csv`, deadStockCSV(dead))}>
+        <label className="flex items-center gap-2 text-sm mb-2">
+          <span className="text-gray-500">No sales in the last</span>
+          <input type="number" min={1} value={idle} onChange={e => setIdle(e.target.value)} className="w-20 px-2 py-1 border rounded-lg" />
+          <span className="text-gray-500">days</span>
+        </label>
+        <table className="min-w-full text-sm">
+          <thead className="text-left text-gray-500">
+            <tr>
+              <th className="py-1 pr-2">Item</th>
+              <th className="py-1 pr-2">Category</th>
+              <th className="py-1 pr-2 text-right">On hand</th>
+              <th className="py-1 pr-2">Last sold</th>
+              <th className="py-1 text-right">Value at cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {dead.map(r => (
+              <tr key={r.p.id} className="border-t">
+                <td className="py-1 pr-2">{r.p.name}</td>
+                <td className="py-1 pr-2">{r.p.category}</td>
+                <td className="py-1 pr-2 text-right">{qtyText(r.p.stock, unitOf(r.p))}</td>
+                <td className="py-1 pr-2">{r.last ? localDate(r.last) : "Never"}</td>
+                <td className="py-1 text-right">{r.value == null ? "—" : fmt(r.value, cur)}</td>
+              </tr>
+            ))}
+            {!dead.length && <tr><td colSpan={5} className="text-center text-gray-500 py-4">Everything on hand has sold recently.</td></tr>}
+          </tbody>
+        </table>
+      </Card>
+
+      <Card title="Inventory valuation" onExport={() => downloadCSV(`inventory-valuation-${localDate(new Date())}.csv`, valuationCSV(stock))}>
+        <table className="min-w-full text-sm">
+          <thead className="text-left text-gray-500">
+            <tr>
+              <th className="py-1 pr-2">Item</th>
+              <th className="py-1 pr-2">Category</th>
+              <th className="py-1 pr-2 text-right">On hand</th>
+              <th className="py-1 pr-2 text-right">Unit cost</th>
+              <th className="py-1 pr-2 text-right">At cost</th>
+              <th className="py-1 text-right">At price</th>
+            </tr>
+          </thead>
+          <tbody>
+            {stock.map(r => (
+              <tr key={r.p.id} className="border-t">
+                <td className="py-1 pr-2">{r.p.name}</td>
+                <td className="py-1 pr-2">{r.p.category}</td>
+                <td className="py-1 pr-2 text-right">{qtyText(r.p.stock, unitOf(r.p))}</td>
+                <td className="py-1 pr-2 text-right">{r.p.cost == null ? "—" : fmt(r.p.cost, cur)}</td>
+                <td className="py-1 pr-2 text-right">{r.cost == null ? "—" : fmt(r.cost, cur)}</td>
+                <td className="py-1 text-right">{fmt(r.retail, cur)}</td>
+              </tr>
+            ))}
+            <tr className="border-t font-semibold">
+              <td className="py-1 pr-2" colSpan={4}>Total</td>
+              <td className="py-1 pr-2 text-right">{fmt(stockCost, cur)}</td>
+              <td className="py-1 text-right">{fmt(stockRetail, cur)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React from "react";
+import { fmt } from "./util";
+import { heldTotal } from "./held";
+import { lineQtyText } from "./units";
+
+/* ============ Held carts ============ */
+export default function HeldModal({ held, currency, onResume, onDiscard, onClose }) {
+  const rows = [...held].sort((a, b) => a.ts.localeCompare(b.ts));
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-lg bg-white rounded-xl p-4 shadow-xl">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-lg font-semibold">Held carts ({held.length})</div>
+          <button onClick={onClose} className="text-gray-500">✕</button>
+        </div>
+        {!rows.length && <div className="text-center text-gray-500 py-8">No carts on hold.</div>}
+        <div className="divide-y max-h-[60vh] overflow-auto">
+          {rows.map(h => (
+            <div key={h.id} className="py-2 flex items-center gap-3 text-sm">
+              <div className="flex-1 min-w-0">
+                <div className="font-medium truncate">{h.label || "Unlabelled"}</div>
+                <div className="text-xs text-gray-500 truncate">
+                  {new Date(h.ts).toLocaleTimeString("en-PH")} • {h.cashier} • {h.cart.map(it => `${lineQtyText(it)} × ${it.name}`).join(", ")}
+                </div>
+              </div>
+              <div className="whitespace-nowrap">{fmt(heldTotal(h), currency)}</div>
+              <button onClick={() => onResume(h)} className="px-3 py-1.5 rounded-lg bg-gray-900 text-white">Resume</button>
+              <button onClick={() => onDiscard(h)} className="px-3 py-1.5 rounded-lg border text-red-600">Discard</button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useMemo, useState } from "react";
+import { parseCSV, toCSV, downloadCSV } from "./csv";
+import { IMPORT_FIELDS, guessMapping, planImport } from "./importer";
+
+/* ============ CSV import (Inventory) ============ */
+export default function ImportModal({ inv, onApply, onCancel }) {
+  const [file, setFile] = useState(null); // { name, headers, rows }
+  const [map, setMap] = useState({});
+  const [only, setOnly] = useState("all"); // preview filter
+
+  const load = (f) => {
+    if (!f) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const [headers = [], ...rows] = parseCSV(String(reader.result));
+      if (!rows.length) return alert("No data rows found in that file");
+      setFile({ name: f.name, headers, rows });
+      setMap(guessMapping(headers));
+    };
+    reader.readAsText(f);
+  };
+
+  const plan = useMemo(() => (file ? planImport(file.rows, map, inv) : []), [file, map, inv]);
+  const count = (a) => plan.filter(r => r.action === a).length;
+  const shown = plan.filter(r => only === "all" || r.action === only || (only === "warn" && r.warnings.length));
+
+  const template = () => downloadCSV("inventory-template.csv",
+    toCSV([], Object.keys(IMPORT_FIELDS).map(f => [f, () => ""])));
+
+  const apply = () => {
+    const ok = plan.filter(r => r.action !== "error");
+    if (!ok.length) return alert("Nothing to import");
+    if (count("error") && !confirm(`${count("error")} row(s) have errors and will be skipped. Continue?`)) return;
+    onApply(plan);
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-5xl bg-white rounded-xl p-4 shadow-xl">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-lg font-semibold">Import inventory (CSV)</div>
+          <button onClick={onCancel} className="text-gray-500">✕</button>
+        </div>
+
+        <div className="flex items-center gap-2 text-sm mb-3">
+          <input type="file" accept=".csv,.txt,text/csv" onChange={e => load(e.target.files[0])} />
+          <button onClick={template} className="ml-auto px-3 py-1 border rounded-lg">Download template</button>
+        </div>
+        <div className="text-xs text-gray-500 mb-3">
+          In Excel use File → Save As → “CSV UTF-8”. Dates may be YYYY-MM-DD or MM/DD/YYYY. Rows are matched to existing items by ID, then SKU.
+        </div>
+
+        {file && (
+          <>
+            {/* Column mapping */}
+            <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-2 text-sm mb-3">
+              {Object.entries(IMPORT_FIELDS).map(([f, label]) => (
+                <label key={f} className="flex flex-col">
+                  <span className="text-gray-500 text-xs">{label}</span>
+                  <select value={map[f] ?? ""} onChange={e => setMap(m => ({ ...m, [f]: e.target.value === "" ? null : Number(e.target.value) }))}
+                    className="px-2 py-1 border rounded-lg">
+                    <option value="">— skip —</option>
+                    {file.headers.map((h, i) => <option key={i} value={i}>{h || `Column ${i + 1}`}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            {/* Dry-run summary */}
+            <div className="flex flex-wrap items-center gap-2 text-sm mb-2">
+              {[["all", `All ${plan.length}`], ["add", `New ${count("add")}`], ["update", `Updates ${count("update")}`],
+                ["error", `Errors ${count("error")}`], ["warn", `Warnings ${plan.filter(r => r.warnings.length).length}`]].map(([k, label]) => (
+                <button key={k} onClick={() => setOnly(k)}
+                  className={`px-3 py-1 rounded-lg border ${only === k ? "bg-gray-900 text-white border-gray-900" : "bg-white border-gray-300"}`}>
+                  {label}
+                </button>
+              ))}
+              <div className="ml-auto text-gray-500">{file.name} • dry run, nothing saved yet</div>
+            </div>
+
+            <div className="overflow-auto max-h-[45vh] border rounded-lg">
+              <table className="min-w-full text-sm">
+                <thead className="text-left text-gray-500 bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="py-1 px-2">Line</th>
+                    <th className="py-1 px-2">Action</th>
+                    {Object.values(IMPORT_FIELDS).map(l => <th key={l} className="py-1 px-2">{l}</th>)}
+                    <th className="py-1 px-2">Issues</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shown.map(r => (
+                    <tr key={r.line} className={`border-t ${r.action === "error" ? "bg-red-50" : ""}`}>
+                      <td className="py-1 px-2 text-gray-500">{r.line}</td>
+                      <td className={`py-1 px-2 ${r.action === "error" ? "text-red-600" : r.action === "add" ? "text-green-700" : "text-blue-700"}`}>
+                        {r.action === "update" ? `Update ${r.match.id}` : r.action === "add" ? "Add" : "Skip"}
+                      </td>
+                      {Object.keys(IMPORT_FIELDS).map(f => (
+                        <td key={f} className={`py-1 px-2 ${r.match && r.data[f] != null && r.data[f] !== r.match[f] && f !== "expiry" ? "font-semibold" : ""}`}>
+                          {r.data[f] ?? ""}
+                        </td>
+                      ))}
+                      <td className="py-1 px-2 text-xs">
+                        {r.errors.map(e => <div key={e} className="text-red-600">{e}</div>)}
+                        {r.warnings.map(w => <div key={w} className="text-amber-700">{w}</div>)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div className="mt-3 flex gap-2">
+          <button onClick={onCancel} className="flex-1 px-4 py-2 border rounded-lg">Cancel</button>
+          <button onClick={apply} disabled={!file}
+            className="flex-1 px-4 py-2 rounded-lg bg-gray-900 text-white disabled:opacity-50">
+            Apply {file ? count("add") + count("update") : ""} row(s)
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import { isExpired, expSoon, daysUntil, localDate } from "./util";
+import { addLot, updateLot } from "./lots";
+import { receiveCost } from "./costing";
+import { unitOf, isMeasured } from "./units";
+import CommitInput from "./CommitInput";
+
+/* ============ Lot drill-down (Inventory) ============ */
+export default function Lots({ p, onChange, onReceive, onAdjust }) {
+  const blank = { qty: "", cost: "", expiry: "", received: localDate(new Date()), supplierRef: "" };
+  const [lot, setLot] = useState(blank);
+
+  const receive = () => {
+    if (!(Number(lot.qty) > 0)) return alert("Quantity must be greater than 0");
+    if (!isMeasured(unitOf(p)) && !Number.isInteger(Number(lot.qty))) return alert("Whole pieces only");
+    if (lot.cost !== "" && !(Number(lot.cost) >= 0)) return alert("Unit cost must be 0 or more");
+    const np = addLot(receiveCost(p, Number(lot.qty), lot.cost), lot);
+    onReceive(np, np.lots[np.lots.length - 1]);
+    setLot(blank);
+  };
+
+  const lots = [...p.lots].sort((a, b) => (a.expiry || "9999").localeCompare(b.expiry || "9999"));
+
+  return (
+    <div>
+      <table className="w-full text-sm">
+        <thead className="text-left text-gray-500">
+          <tr>
+            <th className="py-1 pr-2">Lot</th>
+            <th className="py-1 pr-2">Qty</th>
+            <th className="py-1 pr-2">Expiry</th>
+            <th className="py-1 pr-2">Received</th>
+            <th className="py-1 pr-2">Supplier ref</th>
+            <th className="py-1 pr-2">Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lots.map(l => {
+            const status = l.qty < 0 ? "Short" : l.qty === 0 ? "Empty" : isExpired(l.expiry) ? "Expired"
+              : expSoon(l.expiry) ? `Exp (${daysUntil(l.expiry)}d)` : "Sellable";
+            return (
+              <tr key={l.id} className="border-t">
+                <td className="py-1 pr-2 font-mono">{l.id}</td>
+                <td className="py-1 pr-2">
+                  {l.qty}
+                  <button onClick={() => onAdjust(l.id)} className="ml-2 px-2 py-0.5 text-xs border rounded-lg">Adjust</button>
+                </td>
+                <td className="py-1 pr-2">
+                  <CommitInput type="date" value={l.expiry}
+                    onCommit={v => onChange(updateLot(p, l.id, { expiry: v || null }))}
+                    className="px-2 py-1 border rounded-lg" />
+                </td>
+                <td className="py-1 pr-2 text-gray-500">{l.received || "—"}</td>
+                <td className="py-1 pr-2">
+                  <CommitInput value={l.supplierRef}
+                    onCommit={v => onChange(updateLot(p, l.id, { supplierRef: v }))}
+                    className="w-32 px-2 py-1 border rounded-lg" />
+                </td>
+                <td className={`py-1 pr-2 ${status === "Expired" ? "text-red-600" : status.startsWith("Exp") ? "text-amber-700" : "text-gray-500"}`}>{status}</td>
+              </tr>
+            );
+          })}
+          {lots.length === 0 && (
+            <tr><td colSpan={6} className="text-center text-gray-500 py-3">No lots on hand.</td></tr>
+          )}
+        </tbody>
+      </table>
+
+      {/* Receive a new lot */}
+      <div className="mt-2 grid grid-cols-2 lg:grid-cols-6 gap-2">
+        <input type="number" min={0} placeholder={`Qty (${unitOf(p)}) *`} value={lot.qty}
+          onChange={e => setLot(s => ({ ...s, qty: e.target.value }))} className="px-3 py-1 border rounded-lg" />
+        <input type="number" min={0} placeholder={`Unit cost per ${unitOf(p)}`} value={lot.cost}
+          onChange={e => setLot(s => ({ ...s, cost: e.target.value }))} className="px-3 py-1 border rounded-lg" />
+        <input type="date" title="Expiry" value={lot.expiry}
+          onChange={e => setLot(s => ({ ...s, expiry: e.target.value }))} className="px-3 py-1 border rounded-lg" />
+        <input type="date" title="Received" value={lot.received}
+          onChange={e => setLot(s => ({ ...s, received: e.target.value }))} className="px-3 py-1 border rounded-lg" />
+        <input placeholder="Supplier ref / DR no." value={lot.supplierRef}
+          onChange={e => setLot(s => ({ ...s, supplierRef: e.target.value }))} className="px-3 py-1 border rounded-lg" />
+        <button onClick={receive} className="px-3 py-1 rounded-lg bg-gray-900 text-white">+ Receive Lot</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React, { useState } from "react";
+import { PERMISSIONS } from "./permissions";
+
+/* ============ Manager override ============ */
+// A supervisor authorizes one action the signed-in user lacks rights for.
+// `onApprove(creds)` resolves to `{ ok, approver, msg }`.
+export default function OverrideModal({ request, user, onApprove, onCancel }) {
+  const [mode, setMode] = useState("pin"); // "pin" | "password"
+  const [pin, setPin] = useState("");
+  const [u, setU] = useState("");
+  const [p, setP] = useState("");
+  const [err, setErr] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    const res = await onApprove(mode === "pin" ? { pin } : { username: u.trim(), password: p });
+    setBusy(false);
+    if (!res.ok) { setErr(res.msg); setPin(""); setP(""); }
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 bg-black/40 flex items-center justify-center p-4">
+      <form onSubmit={submit} className="w-full max-w-sm bg-white rounded-xl p-4 shadow-xl">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-lg font-semibold">Manager override</div>
+          <button type="button" onClick={onCancel} className="text-gray-500">✕</button>
+        </div>
+        <div className="text-sm text-gray-600 mb-3">
+          {user.fullName} is not allowed to <b>{request.what}</b> ({PERMISSIONS[request.perm] || request.perm}).
+          A supervisor must approve.
+        </div>
+        <div className="flex gap-1 mb-2 text-sm">
+          {["pin", "password"].map(m => (
+            <button type="button" key={m} onClick={() => { setMode(m); setErr(""); }}
+              className={`flex-1 px-3 py-1 rounded-lg border ${mode === m ? "bg-gray-900 text-white border-gray-900" : "bg-white border-gray-300"}`}>
+              {m === "pin" ? "PIN" : "Credentials"}
+            </button>
+          ))}
+        </div>
+        {mode === "pin" ? (
+          <input value={pin} autoFocus type="password" inputMode="numeric" maxLength={6} placeholder="Supervisor PIN"
+            onChange={e => setPin(e.target.value.replace(/\D/g, ""))}
+            className="w-full mb-2 px-3 py-2 border rounded-lg text-center tracking-[0.5em]" />
+        ) : (
+          <>
+            <input value={u} autoFocus onChange={e => setU(e.target.value)} placeholder="Supervisor username"
+              className="w-full mb-2 px-3 py-2 border rounded-lg" />
+            <input value={p} onChange={e => setP(e.target.value)} type="password" placeholder="Password"
+              className="w-full mb-2 px-3 py-2 border rounded-lg" />
+          </>
+        )}
+        {err && <div className="text-red-600 text-sm mb-2">{err}</div>}
+        <div className="mt-1 flex gap-2">
+          <button type="button" onClick={onCancel} className="flex-1 px-4 py-2 border rounded-lg">Cancel</button>
+          <button disabled={busy} className="flex-1 px-4 py-2 rounded-lg bg-gray-900 text-white">Approve</button>
+        </div>
+      </form>
+    </div>
+  );
+}
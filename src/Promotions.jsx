@@ -0,0 +1,264 @@
+import React, { useMemo, useState } from "react";
+import { fmt } from "./util";
+import { PROMO_TYPES, PROMO_SCOPES, DAYS, newPromo, checkPromo, isLive } from "./promotions";
+
+// One line describing what a promotion does, for the list.
+const describe = (pr, inv, cur) => {
+  const name = (id) => inv.find(p => p.id === id)?.name || id;
+  const what = pr.scope === "all" ? "everything" : pr.scope === "product" ? name(pr.target)
+    : pr.scope === "category" ? pr.target : `items expiring within ${pr.target} days`;
+  switch (pr.type) {
+    case "percent": return `${pr.pct}% off ${what}`;
+    case "amount":  return `${fmt(pr.amount, cur)} off each ${what}`;
+    case "bxgy":    return `Buy ${pr.buy} get ${pr.get} ${pr.pct >= 100 ? "free" : `${pr.pct}% off`}: ${what}`;
+    case "tiers":   return `${what}: ${pr.tiers.map(t => `${t.min}+ ${t.pct}% off`).join(", ")}`;
+    case "bundle":  return `${pr.items.map(c => `${c.qty} × ${name(c.productId)}`).join(" + ")} for ${fmt(pr.price, cur)}`;
+    default:        return "";
+  }
+};
+
+const when = (pr) => [
+  pr.from || pr.to ? `${pr.from || "…"} to ${pr.to || "…"}` : "",
+  pr.days?.length ? pr.days.map(d => DAYS[d]).join(" ") : "",
+  pr.start || pr.end ? `${pr.start || "00:00"}–${pr.end || "24:00"}` : "",
+].filter(Boolean).join(" • ") || "Always";
+
+/* ============ Promotions (Settings) ============ */
+export default function PromotionsSettings({ settings, setSettings, inv }) {
+  const promotions = settings.promotions || [];
+  const cur = settings.currency;
+  const [edit, setEdit] = useState(null); // draft promotion
+  const categories = useMemo(() => [...new Set(inv.map(p => p.category))], [inv]);
+  const now = new Date();
+
+  const save = (pr) => setSettings(s => {
+    const list = s.promotions || [];
+    return { ...s, promotions: list.some(x => x.id === pr.id) ? list.map(x => x.id === pr.id ? pr : x) : [...list, pr] };
+  });
+  const patch = (id, p) => setSettings(s => ({ ...s, promotions: (s.promotions || []).map(x => x.id === id ? { ...x, ...p } : x) }));
+  const remove = (id) => {
+    if (!confirm("Remove this promotion?")) return;
+    setSettings(s => ({ ...s, promotions: (s.promotions || []).filter(x => x.id !== id) }));
+  };
+  // list order is priority: earlier promotions get first pick of the cart
+  const move = (i, d) => setSettings(s => {
+    const list = [...(s.promotions || [])];
+    const j = i + d;
+    if (j < 0 || j >= list.length) return s;
+    [list[i], list[j]] = [list[j], list[i]];
+    return { ...s, promotions: list };
+  });
+
+  return (
+    <div className="bg-white border rounded-2xl p-4">
+      <div className="flex items-center justify-between mb-1">
+        <div className="font-semibold">Promotions</div>
+        <button onClick={() => setEdit(newPromo())} className="px-3 py-1.5 rounded-lg bg-gray-900 text-white text-sm">+ Promotion</button>
+      </div>
+      <div className="text-xs text-gray-500 mb-3">
+        Applied automatically at checkout, in this order; an item discounted by one promotion isn't discounted again.
+        Promotions don't apply to overridden prices or to Senior / PWD sales.
+      </div>
+
+      <table className="min-w-full text-sm">
+        <thead className="text-left text-gray-500">
+          <tr>
+            <th className="py-2 pr-2">Name</th>
+            <th className="py-2 pr-2">Rule</th>
+            <th className="py-2 pr-2">When</th>
+            <th className="py-2 pr-2">Active</th>
+            <th className="py-2 pr-2">Action</th>
+          </tr>
+        </thead>
+        <tbody>
+          {promotions.map((pr, i) => (
+            <tr key={pr.id} className="border-t">
+              <td className="py-2 pr-2">
+                {pr.name}
+                {isLive(pr, now) && <span className="ml-2 px-2 py-[2px] border rounded-full text-[10px] text-green-700">running</span>}
+              </td>
+              <td className="py-2 pr-2 text-gray-600">{describe(pr, inv, cur)}</td>
+              <td className="py-2 pr-2 text-gray-500">{when(pr)}</td>
+              <td className="py-2 pr-2">
+                <input type="checkbox" checked={pr.active !== false} onChange={e => patch(pr.id, { active: e.target.checked })} />
+              </td>
+              <td className="py-2 pr-2 whitespace-nowrap">
+                <button onClick={() => move(i, -1)} disabled={i === 0} className="px-2 py-1 rounded-lg border mr-1 disabled:opacity-40">↑</button>
+                <button onClick={() => move(i, 1)} disabled={i === promotions.length - 1} className="px-2 py-1 rounded-lg border mr-1 disabled:opacity-40">↓</button>
+                <button onClick={() => setEdit(pr)} className="px-3 py-1.5 rounded-lg border mr-1">Edit</button>
+                <button onClick={() => remove(pr.id)} className="px-3 py-1.5 rounded-lg bg-red-600 text-white">Remove</button>
+              </td>
+            </tr>
+          ))}
+          {promotions.length === 0 && (
+            <tr><td colSpan={5} className="py-4 text-center text-gray-500">No promotions yet.</td></tr>
+          )}
+        </tbody>
+      </table>
+
+      {edit && (
+        <PromoModal promo={edit} promotions={promotions} inv={inv} categories={categories} cur={cur}
+          onSave={pr => { save(pr); setEdit(null); }} onCancel={() => setEdit(null)} />
+      )}
+    </div>
+  );
+}
+
+/* ============ Promotion editor ============ */
+function PromoModal({ promo, promotions, inv, categories, cur, onSave, onCancel }) {
+  const [pr, setPr] = useState(promo);
+  const [err, setErr] = useState("");
+  const set = (p) => setPr(x => ({ ...x, ...p }));
+  const setType = (type) => set({ type, ...(type === "bxgy" ? { pct: 100 } : type === "percent" && pr.pct >= 100 ? { pct: 10 } : {}) });
+  const setTier = (i, p) => set({ tiers: pr.tiers.map((t, j) => j === i ? { ...t, ...p } : t) });
+  const setItem = (i, p) => set({ items: pr.items.map((c, j) => j === i ? { ...c, ...p } : c) });
+  const toggleDay = (d) => set({ days: pr.days.includes(d) ? pr.days.filter(x => x !== d) : [...pr.days, d].sort() });
+
+  const submit = () => {
+    const clean = {
+      ...pr,
+      name: pr.name.trim(),
+      pct: Number(pr.pct), amount: Number(pr.amount), buy: Number(pr.buy), get: Number(pr.get), price: Number(pr.price),
+      target: pr.scope === "all" ? "" : pr.target,
+      tiers: pr.tiers.map(t => ({ min: Number(t.min), pct: Number(t.pct) })),
+      items: pr.items.map(c => ({ productId: c.productId, qty: Number(c.qty) })),
+    };
+    const msg = checkPromo(clean, promotions);
+    if (msg) return setErr(msg);
+    onSave(clean);
+  };
+
+  const input = "px-3 py-2 border rounded-lg";
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-xl bg-white rounded-xl p-4 shadow-xl max-h-[90vh] overflow-auto">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-lg font-semibold">{promotions.some(x => x.id === pr.id) ? "Edit promotion" : "New promotion"}</div>
+          <button onClick={onCancel} className="text-gray-500">✕</button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          <input value={pr.name} onChange={e => set({ name: e.target.value })} placeholder="Name (printed on the receipt) *" className={`col-span-2 ${input}`} />
+          <select value={pr.type} onChange={e => setType(e.target.value)} className={input}>
+            {Object.entries(PROMO_TYPES).map(([k, l]) => <option key={k} value={k}>{l}</option>)}
+          </select>
+          {pr.type !== "bundle" ? (
+            <select value={pr.scope} onChange={e => set({ scope: e.target.value, target: "" })} className={input}>
+              {Object.entries(PROMO_SCOPES).map(([k, l]) => <option key={k} value={k}>{l}</option>)}
+            </select>
+          ) : <div />}
+
+          {pr.type !== "bundle" && pr.scope === "product" && (
+            <select value={pr.target} onChange={e => set({ target: e.target.value })} className={`col-span-2 ${input}`}>
+              <option value="">Pick a product…</option>
+              {inv.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+          )}
+          {pr.type !== "bundle" && pr.scope === "category" && (
+            <select value={pr.target} onChange={e => set({ target: e.target.value })} className={`col-span-2 ${input}`}>
+              <option value="">Pick a category…</option>
+              {categories.map(c => <option key={c}>{c}</option>)}
+            </select>
+          )}
+          {pr.type !== "bundle" && pr.scope === "expiring" && (
+            <input type="number" min={0} value={pr.target} onChange={e => set({ target: e.target.value })}
+              placeholder="Days to expiry" className={`col-span-2 ${input}`} />
+          )}
+
+          {pr.type === "percent" && (
+            <label className="flex items-center gap-2 col-span-2">
+              <input type="number" min={0} max={100} value={pr.pct} onChange={e => set({ pct: e.target.value })} className={`w-24 ${input}`} />
+              <span className="text-gray-500">% off</span>
+            </label>
+          )}
+          {pr.type === "amount" && (
+            <label className="flex items-center gap-2 col-span-2">
+              <input type="number" min={0} value={pr.amount} onChange={e => set({ amount: e.target.value })} className={`w-28 ${input}`} />
+              <span className="text-gray-500">{cur} off each unit</span>
+            </label>
+          )}
+          {pr.type === "bxgy" && (
+            <div className="col-span-2 flex flex-wrap items-center gap-2">
+              <span className="text-gray-500">Buy</span>
+              <input type="number" min={1} value={pr.buy} onChange={e => set({ buy: e.target.value })} className={`w-20 ${input}`} />
+              <span className="text-gray-500">get</span>
+              <input type="number" min={1} value={pr.get} onChange={e => set({ get: e.target.value })} className={`w-20 ${input}`} />
+              <span className="text-gray-500">at</span>
+              <input type="number" min={0} max={100} value={pr.pct} onChange={e => set({ pct: e.target.value })} className={`w-20 ${input}`} />
+              <span className="text-gray-500">% off (100 = free; the cheapest go free)</span>
+            </div>
+          )}
+          {pr.type === "tiers" && (
+            <div className="col-span-2 space-y-1">
+              {pr.tiers.map((t, i) => (
+                <div key={i} className="flex items-center gap-2">
+                  <input type="number" min={1} value={t.min} onChange={e => setTier(i, { min: e.target.value })} className={`w-24 ${input}`} />
+                  <span className="text-gray-500">or more:</span>
+                  <input type="number" min={0} max={100} value={t.pct} onChange={e => setTier(i, { pct: e.target.value })} className={`w-20 ${input}`} />
+                  <span className="text-gray-500">% off all</span>
+                  <button onClick={() => set({ tiers: pr.tiers.filter((_, j) => j !== i) })} className="text-gray-400 hover:text-red-500">✕</button>
+                </div>
+              ))}
+              <button onClick={() => set({ tiers: [...pr.tiers, { min: "", pct: "" }] })} className="px-3 py-1 rounded-lg border">+ Tier</button>
+            </div>
+          )}
+          {pr.type === "bundle" && (
+            <div className="col-span-2 space-y-1">
+              {pr.items.map((c, i) => (
+                <div key={i} className="flex items-center gap-2">
+                  <input type="number" min={1} value={c.qty} onChange={e => setItem(i, { qty: e.target.value })} className={`w-20 ${input}`} />
+                  <span className="text-gray-500">×</span>
+                  <select value={c.productId} onChange={e => setItem(i, { productId: e.target.value })} className={`flex-1 min-w-0 ${input}`}>
+                    <option value="">Pick a product…</option>
+                    {inv.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                  </select>
+                  <button onClick={() => set({ items: pr.items.filter((_, j) => j !== i) })} className="text-gray-400 hover:text-red-500">✕</button>
+                </div>
+              ))}
+              <div className="flex items-center gap-2">
+                <button onClick={() => set({ items: [...pr.items, { productId: "", qty: 1 }] })} className="px-3 py-1 rounded-lg border">+ Product</button>
+                <span className="ml-auto text-gray-500">Bundle price</span>
+                <input type="number" min={0} value={pr.price} onChange={e => set({ price: e.target.value })} className={`w-28 ${input}`} />
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="mt-4 text-sm font-medium">When</div>
+        <div className="grid grid-cols-2 gap-2 text-sm mt-1">
+          <label className="space-y-1">
+            <div className="text-gray-500">From date</div>
+            <input type="date" value={pr.from} onChange={e => set({ from: e.target.value })} className={`w-full ${input}`} />
+          </label>
+          <label className="space-y-1">
+            <div className="text-gray-500">To date</div>
+            <input type="date" value={pr.to} onChange={e => set({ to: e.target.value })} className={`w-full ${input}`} />
+          </label>
+          <label className="space-y-1">
+            <div className="text-gray-500">From time</div>
+            <input type="time" value={pr.start} onChange={e => set({ start: e.target.value })} className={`w-full ${input}`} />
+          </label>
+          <label className="space-y-1">
+            <div className="text-gray-500">To time</div>
+            <input type="time" value={pr.end} onChange={e => set({ end: e.target.value })} className={`w-full ${input}`} />
+          </label>
+          <div className="col-span-2 flex flex-wrap items-center gap-2">
+            {DAYS.map((d, i) => (
+              <label key={d} className="flex items-center gap-1">
+                <input type="checkbox" checked={pr.days.includes(i)} onChange={() => toggleDay(i)} />
+                <span>{d}</span>
+              </label>
+            ))}
+            <span className="text-xs text-gray-500">(none ticked = every day)</span>
+          </div>
+        </div>
+
+        {err && <div className="text-red-600 text-sm mt-2">{err}</div>}
+        <div className="mt-3 flex gap-2">
+          <button onClick={onCancel} className="flex-1 px-4 py-2 border rounded-lg">Cancel</button>
+          <button onClick={submit} className="flex-1 px-4 py-2 rounded-lg bg-gray-900 text-white">Save</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,325 @@
+import React, { useState } from "react";
+import { suggestReorder, draftPO, newSupplier, isOpen, outstanding, reorderPoint, needsReorder } from "./purchasing";
+import { parseCost } from "./costing";
+
+/* ============ Purchasing View (Admin) ============ */
+export default function Purchasing({ inv, suppliers, saveSuppliers, pos, savePOs, user, onReceive }) {
+  const [tab, setTab] = useState("suggested"); // "suggested" | "orders" | "suppliers"
+  const tabs = [["suggested", "Suggested reorder"], ["orders", `Purchase orders (${pos.filter(isOpen).length} open)`], ["suppliers", "Suppliers"]];
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-6">
+      <div className="bg-white border rounded-2xl p-4">
+        <div className="flex items-center gap-2 mb-4 text-sm">
+          {tabs.map(([k, label]) => (
+            <button key={k} onClick={() => setTab(k)}
+              className={`px-3 py-1 rounded-lg border ${tab === k ? "bg-gray-900 text-white border-gray-900" : "bg-white border-gray-300"}`}>
+              {label}
+            </button>
+          ))}
+        </div>
+        {tab === "suggested" && (
+          <Suggested inv={inv} suppliers={suppliers} pos={pos} user={user}
+            onDraft={po => { savePOs([...pos, po]); setTab("orders"); }} />
+        )}
+        {tab === "orders" && <Orders pos={pos} savePOs={savePOs} onReceive={onReceive} />}
+        {tab === "suppliers" && <Suppliers suppliers={suppliers} saveSuppliers={saveSuppliers} inv={inv} />}
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Suggested reorder, grouped by supplier ---------- */
+function Suggested({ inv, suppliers, pos, user, onDraft }) {
+  const groups = suggestReorder(inv, pos);
+  const [qtys, setQtys] = useState({}); // productId → edited qty
+
+  const draft = (supplier, lines) => {
+    const picked = lines.map(l => ({ ...l, qty: qtys[l.productId] ?? l.qty })).filter(l => Number(l.qty) > 0);
+    if (!picked.length) return alert("Nothing to order");
+    onDraft(draftPO({ supplier, lines: picked, user }));
+  };
+
+  const keys = Object.keys(groups);
+  if (!keys.length) return <div className="text-center text-gray-500 py-8">Nothing at or below its reorder point.</div>;
+
+  return (
+    <div className="space-y-4">
+      {keys.map(key => {
+        const supplier = suppliers.find(s => s.id === key);
+        return (
+          <div key={key || "none"} className="border rounded-xl p-3">
+            <div className="flex items-center justify-between mb-2">
+              <div className="font-semibold">{supplier ? supplier.name : "No supplier assigned"}</div>
+              {supplier
+                ? <button onClick={() => draft(supplier, groups[key])} className="px-3 py-1.5 rounded-lg bg-gray-900 text-white text-sm">Draft PO</button>
+                : <div className="text-xs text-gray-500">Assign a supplier in Inventory to order these.</div>}
+            </div>
+            <table className="min-w-full text-sm">
+              <thead className="text-left text-gray-500">
+                <tr>
+                  <th className="py-1 pr-2">Item</th>
+                  <th className="py-1 pr-2 text-right">On hand</th>
+                  <th className="py-1 pr-2 text-right">Reorder at</th>
+                  <th className="py-1 pr-2 text-right">On order</th>
+                  <th className="py-1 pr-2 text-right">Order qty</th>
+                </tr>
+              </thead>
+              <tbody>
+                {groups[key].map(l => (
+                  <tr key={l.productId} className="border-t">
+                    <td className="py-1 pr-2">{l.name}</td>
+                    <td className="py-1 pr-2 text-right">{l.onHand}</td>
+                    <td className="py-1 pr-2 text-right">{reorderPoint(inv.find(p => p.id === l.productId))}</td>
+                    <td className="py-1 pr-2 text-right">{l.pending}</td>
+                    <td className="py-1 pr-2 text-right">
+                      <input type="number" min={0} value={qtys[l.productId] ?? l.qty}
+                        onChange={e => setQtys(s => ({ ...s, [l.productId]: e.target.value }))}
+                        className="w-20 px-2 py-1 border rounded-lg text-right" />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/* ---------- Purchase orders ---------- */
+function Orders({ pos, savePOs, onReceive }) {
+  const [showAll, setShowAll] = useState(false);
+  const [open, setOpen] = useState(null);
+  const [receiving, setReceiving] = useState(null);
+
+  const update = (po) => savePOs(pos.map(x => x.id === po.id ? po : x));
+  const cancel = (po) => {
+    if (!confirm(po.status === "Partial" ? "Close this PO? Outstanding quantities will not be received." : "Cancel this PO?")) return;
+    update({ ...po, status: po.status === "Partial" ? "Received" : "Cancelled" });
+  };
+
+  const rows = [...pos].filter(po => showAll || isOpen(po)).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return (
+    <div>
+      <label className="flex items-center gap-2 text-sm mb-2">
+        <input type="checkbox" checked={showAll} onChange={e => setShowAll(e.target.checked)} /> Show received / cancelled
+      </label>
+      <table className="min-w-full text-sm">
+        <thead className="text-left text-gray-500">
+          <tr>
+            <th className="py-2 pr-2">PO</th>
+            <th className="py-2 pr-2">Supplier</th>
+            <th className="py-2 pr-2">Created</th>
+            <th className="py-2 pr-2">Lines</th>
+            <th className="py-2 pr-2">Status</th>
+            <th className="py-2 pr-2">Action</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(po => (
+            <React.Fragment key={po.id}>
+              <tr className="border-t">
+                <td className="py-2 pr-2">
+                  <button onClick={() => setOpen(open === po.id ? null : po.id)} className="font-mono underline">{po.id}</button>
+                </td>
+                <td className="py-2 pr-2">{po.supplierName}</td>
+                <td className="py-2 pr-2">{new Date(po.createdAt).toLocaleString("en-PH")} • {po.createdBy}</td>
+                <td className="py-2 pr-2">{po.lines.length} ({po.lines.reduce((a, l) => a + (l.received || 0), 0)}/{po.lines.reduce((a, l) => a + l.qty, 0)} received)</td>
+                <td className="py-2 pr-2">{po.status}</td>
+                <td className="py-2 pr-2 whitespace-nowrap">
+                  {po.status === "Draft" && (
+                    <button onClick={() => update({ ...po, status: "Ordered", orderedAt: new Date().toISOString() })}
+                      className="px-3 py-1.5 rounded-lg border mr-1">Mark ordered</button>
+                  )}
+                  {isOpen(po) && (
+                    <>
+                      <button onClick={() => setReceiving(po)} className="px-3 py-1.5 rounded-lg bg-gray-900 text-white mr-1">Receive</button>
+                      <button onClick={() => cancel(po)} className="px-3 py-1.5 rounded-lg border">{po.status === "Partial" ? "Close" : "Cancel"}</button>
+                    </>
+                  )}
+                </td>
+              </tr>
+              {open === po.id && (
+                <tr className="bg-gray-50">
+                  <td colSpan={6} className="p-3">
+                    <table className="w-full text-sm">
+                      <thead className="text-left text-gray-500">
+                        <tr><th className="py-1 pr-2">Item</th><th className="py-1 pr-2 text-right">Ordered</th><th className="py-1 pr-2 text-right">Unit cost</th><th className="py-1 pr-2 text-right">Received</th></tr>
+                      </thead>
+                      <tbody>
+                        {po.lines.map(l => (
+                          <tr key={l.productId} className="border-t">
+                            <td className="py-1 pr-2">{l.name}</td>
+                            <td className="py-1 pr-2 text-right">
+                              {po.status === "Draft"
+                                ? <input type="number" min={0} value={l.qty}
+                                    onChange={e => update({ ...po, lines: po.lines.map(x => x === l ? { ...x, qty: Math.max(0, Number(e.target.value) || 0) } : x) })}
+                                    className="w-20 px-2 py-1 border rounded-lg text-right" />
+                                : l.qty}
+                            </td>
+                            <td className="py-1 pr-2 text-right">
+                              {isOpen(po)
+                                ? <input type="number" min={0} value={l.cost ?? ""} placeholder="—"
+                                    onChange={e => update({ ...po, lines: po.lines.map(x => x === l ? { ...x, cost: parseCost(e.target.value) } : x) })}
+                                    className="w-24 px-2 py-1 border rounded-lg text-right" />
+                                : l.cost ?? "—"}
+                            </td>
+                            <td className="py-1 pr-2 text-right">{l.received || 0}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {(po.receipts || []).map((r, i) => (
+                      <div key={i} className="text-xs text-gray-500 mt-1">
+                        Received {new Date(r.ts).toLocaleString("en-PH")} by {r.user}{r.ref ? ` • ${r.ref}` : ""}: {r.lines.map(g => `${po.lines.find(l => l.productId === g.productId)?.name} ×${g.qty}`).join(", ")}
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+          {rows.length === 0 && (
+            <tr><td colSpan={6} className="text-center text-gray-500 py-8">No purchase orders.</td></tr>
+          )}
+        </tbody>
+      </table>
+
+      {receiving && (
+        <ReceiveModal po={receiving} onCancel={() => setReceiving(null)}
+          onSubmit={(got, ref) => { onReceive(receiving, got, ref); setReceiving(null); }} />
+      )}
+    </div>
+  );
+}
+
+function ReceiveModal({ po, onSubmit, onCancel }) {
+  const [got, setGot] = useState(() => po.lines.map(l => ({ productId: l.productId, qty: outstanding(l), expiry: "", cost: l.cost ?? "" })));
+  const [ref, setRef] = useState("");
+  const [err, setErr] = useState("");
+  const set = (i, patch) => setGot(g => g.map((x, j) => j === i ? { ...x, ...patch } : x));
+
+  const submit = () => {
+    const bad = got.find((g, i) => Number(g.qty) < 0 || Number(g.qty) > outstanding(po.lines[i]));
+    if (bad) return setErr("Received quantity must be between 0 and what is outstanding");
+    if (got.some(g => g.cost !== "" && !(Number(g.cost) >= 0))) return setErr("Unit cost must be 0 or more");
+    if (!got.some(g => Number(g.qty) > 0)) return setErr("Nothing received");
+    onSubmit(got, ref.trim());
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-2xl bg-white rounded-xl p-4 shadow-xl">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-lg font-semibold">Receive {po.id} — {po.supplierName}</div>
+          <button onClick={onCancel} className="text-gray-500">✕</button>
+        </div>
+        <table className="w-full text-sm">
+          <thead className="text-left text-gray-500">
+            <tr>
+              <th className="py-1 pr-2">Item</th>
+              <th className="py-1 pr-2 text-right">Outstanding</th>
+              <th className="py-1 pr-2">Received</th>
+              <th className="py-1 pr-2">Unit cost</th>
+              <th className="py-1 pr-2">Expiry</th>
+            </tr>
+          </thead>
+          <tbody>
+            {po.lines.map((l, i) => (
+              <tr key={l.productId} className="border-t">
+                <td className="py-1 pr-2">{l.name}</td>
+                <td className="py-1 pr-2 text-right">{outstanding(l)}</td>
+                <td className="py-1 pr-2">
+                  <input type="number" min={0} max={outstanding(l)} value={got[i].qty} disabled={!outstanding(l)}
+                    onChange={e => set(i, { qty: e.target.value })} className="w-20 px-2 py-1 border rounded-lg" />
+                </td>
+                <td className="py-1 pr-2">
+                  <input type="number" min={0} value={got[i].cost} disabled={!outstanding(l)} placeholder="—"
+                    onChange={e => set(i, { cost: e.target.value })} className="w-24 px-2 py-1 border rounded-lg" />
+                </td>
+                <td className="py-1 pr-2">
+                  <input type="date" value={got[i].expiry} disabled={!outstanding(l)}
+                    onChange={e => set(i, { expiry: e.target.value })} className="px-2 py-1 border rounded-lg" />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="text-xs text-gray-500 mt-1">Unit costs update each item's average cost; leave blank if unknown.</div>
+        <input value={ref} onChange={e => setRef(e.target.value)} placeholder="Delivery receipt / invoice no."
+          className="mt-3 w-full px-3 py-2 border rounded-lg text-sm" />
+        {err && <div className="text-red-600 text-sm mt-2">{err}</div>}
+        <div className="mt-3 flex gap-2">
+          <button onClick={onCancel} className="flex-1 px-4 py-2 border rounded-lg">Cancel</button>
+          <button onClick={submit} className="flex-1 px-4 py-2 rounded-lg bg-gray-900 text-white">Receive into stock</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Supplier directory ---------- */
+function Suppliers({ suppliers, saveSuppliers, inv }) {
+  const blank = { name: "", contact: "", phone: "", email: "", terms: "" };
+  const [form, setForm] = useState(blank);
+  const fields = [["name", "Name *"], ["contact", "Contact person"], ["phone", "Phone"], ["email", "Email"], ["terms", "Terms (e.g. 30 days)"]];
+
+  const add = () => {
+    if (!form.name.trim()) return alert("Name is required");
+    if (suppliers.some(s => s.name.toLowerCase() === form.name.trim().toLowerCase())) return alert("Supplier already exists");
+    saveSuppliers([...suppliers, newSupplier(form)]);
+    setForm(blank);
+  };
+  const edit = (id, patch) => saveSuppliers(suppliers.map(s => s.id === id ? { ...s, ...patch } : s));
+  const remove = (s) => {
+    const n = inv.filter(p => p.supplierId === s.id).length;
+    if (!confirm(n ? `${n} item(s) use ${s.name}. Remove anyway?` : `Remove ${s.name}?`)) return;
+    saveSuppliers(suppliers.filter(x => x.id !== s.id));
+  };
+
+  return (
+    <div>
+      <div className="mb-4 grid grid-cols-1 sm:grid-cols-3 lg:grid-cols-6 gap-2">
+        {fields.map(([k, label]) => (
+          <input key={k} className="px-3 py-2 border rounded-xl" placeholder={label}
+            value={form[k]} onChange={e => setForm(s => ({ ...s, [k]: e.target.value }))} />
+        ))}
+        <button onClick={add} className="px-3 py-2 rounded-xl bg-gray-900 text-white">+ Add Supplier</button>
+      </div>
+      <table className="min-w-full text-sm">
+        <thead className="text-left text-gray-500">
+          <tr>
+            {fields.map(([k, label]) => <th key={k} className="py-2 pr-2">{label.replace(" *", "")}</th>)}
+            <th className="py-2 pr-2">Items</th>
+            <th className="py-2 pr-2">Action</th>
+          </tr>
+        </thead>
+        <tbody>
+          {suppliers.map(s => (
+            <tr key={s.id} className="border-t">
+              {fields.map(([k]) => (
+                <td key={k} className="py-2 pr-2">
+                  <input value={s[k] || ""} onChange={e => edit(s.id, { [k]: e.target.value })}
+                    className="w-full px-2 py-1 border rounded-lg" />
+                </td>
+              ))}
+              <td className="py-2 pr-2">{inv.filter(p => p.supplierId === s.id).length}</td>
+              <td className="py-2 pr-2">
+                <button onClick={() => remove(s)} className="px-3 py-1.5 rounded-lg bg-red-600 text-white">Remove</button>
+              </td>
+            </tr>
+          ))}
+          {suppliers.length === 0 && (
+            <tr><td colSpan={fields.length + 2} className="text-center text-gray-500 py-8">No suppliers yet.</td></tr>
+          )}
+        </tbody>
+      </table>
+      <div className="text-xs text-gray-500 mt-2">
+        {inv.filter(p => !p.supplierId).length} item(s) have no supplier. {inv.filter(needsReorder).length} at or below reorder point.
+      </div>
+    </div>
+  );
+}
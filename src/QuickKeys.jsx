@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import { fmt } from "./util";
+import { sellable } from "./lots";
+import { findUnit, sellUnits, unitOf } from "./units";
+import { QUICK_COLORS, quickKeyConfig, newQuickKey, parseNotes } from "./quickkeys";
+
+const IMAGE_MAX = 100 * 1024; // bytes; images are stored with the settings
+
+/* ============ Quick-key page (POS) ============ */
+// The first nine keys answer to Alt+1…Alt+9.
+export function QuickKeyGrid({ keys, inv, cur, onPick }) {
+  return (
+    <div className="grid grid-cols-3 md:grid-cols-4 xl:grid-cols-6 gap-2">
+      {keys.map((k, i) => {
+        const p = inv.find(x => x.id === k.productId);
+        const u = p && findUnit(p, k.uom);
+        return (
+          <button key={k.id} onClick={() => u && onPick(p, k.uom)} disabled={!u}
+            title={p ? p.name : "Product no longer exists"}
+            className={`relative text-left border rounded-xl p-2 hover:shadow ${QUICK_COLORS[k.color] || QUICK_COLORS.white} ${!u || !sellable(p) ? "opacity-50" : ""}`}>
+            {i < 9 && <span className="absolute top-1 right-1 text-[10px] text-gray-500">Alt+{i + 1}</span>}
+            {k.image && <img src={k.image} alt="" className="h-14 w-full object-cover rounded-lg mb-1" />}
+            <div className="text-sm font-medium line-clamp-2 pr-6">{k.label || p?.name || "—"}</div>
+            {u && <div className="text-xs text-gray-600">{fmt(u.price, cur)}{u.name !== "pc" && ` / ${u.name}`}</div>}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+/* ============ Quick keys & quick cash (Settings) ============ */
+export default function QuickKeySettings({ settings, setSettings, inv }) {
+  const cfg = quickKeyConfig(settings);
+  const [pick, setPick] = useState("");
+  const [notes, setNotes] = useState(cfg.cash.join(", "));
+  const set = (patch) => setSettings(s => ({ ...s, quickKeys: { ...quickKeyConfig(s), ...patch } }));
+  const setKeys = (fn) => setSettings(s => {
+    const c = quickKeyConfig(s);
+    return { ...s, quickKeys: { ...c, keys: fn(c.keys) } };
+  });
+  const patch = (id, p) => setKeys(keys => keys.map(k => k.id === id ? { ...k, ...p } : k));
+  const move = (i, d) => setKeys(keys => {
+    const j = i + d;
+    if (j < 0 || j >= keys.length) return keys;
+    const list = [...keys];
+    [list[i], list[j]] = [list[j], list[i]];
+    return list;
+  });
+
+  const add = () => {
+    if (!pick) return alert("Choose a product");
+    setKeys(keys => [...keys, newQuickKey(pick)]);
+    setPick("");
+  };
+  const saveNotes = () => {
+    const cash = parseNotes(notes);
+    if (!cash || !cash.length) return alert("Enter note amounts separated by commas, e.g. 100, 500, 1000");
+    set({ cash: cash.slice(0, 3) });
+    setNotes(cash.slice(0, 3).join(", "));
+  };
+  const loadImage = (id, f) => {
+    if (!f) return;
+    if (f.size > IMAGE_MAX) return alert("Image must be under 100 KB");
+    const reader = new FileReader();
+    reader.onload = () => patch(id, { image: String(reader.result) });
+    reader.readAsDataURL(f);
+  };
+
+  return (
+    <div className="bg-white border rounded-2xl p-4">
+      <div className="font-semibold mb-1">Quick keys &amp; quick cash</div>
+      <div className="text-xs text-gray-500 mb-3">
+        A page of favourite products on the POS, in this order; the first nine also answer to Alt+1…Alt+9.
+        Quick cash adds a note to the cash payment (F8–F10); Exact (F7) pays the balance due in cash.
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 text-sm mb-4">
+        <label className="flex items-center gap-2">
+          <span className="text-gray-500">Show quick keys</span>
+          <select value={cfg.layout} onChange={e => set({ layout: e.target.value })} className="px-2 py-1 border rounded-lg">
+            <option value="alongside">Above the catalog</option>
+            <option value="instead">Instead of the catalog</option>
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-500">Quick cash notes</span>
+          <input value={notes} onChange={e => setNotes(e.target.value)} onBlur={saveNotes}
+            onKeyDown={e => e.key === "Enter" && saveNotes()} className="w-40 px-2 py-1 border rounded-lg" />
+          <span className="text-gray-500">{settings.currency}, up to 3</span>
+        </label>
+      </div>
+
+      <div className="mb-3 flex flex-wrap gap-2 text-sm">
+        <select value={pick} onChange={e => setPick(e.target.value)} className="flex-1 min-w-0 px-3 py-2 border rounded-xl">
+          <option value="">Product…</option>
+          {inv.map(p => <option key={p.id} value={p.id}>{p.name} ({p.id})</option>)}
+        </select>
+        <button onClick={add} className="px-3 py-2 rounded-xl bg-gray-900 text-white">+ Quick Key</button>
+      </div>
+
+      <table className="min-w-full text-sm">
+        <thead className="text-left text-gray-500">
+          <tr>
+            <th className="py-2 pr-2">#</th>
+            <th className="py-2 pr-2">Product</th>
+            <th className="py-2 pr-2">Unit</th>
+            <th className="py-2 pr-2">Label</th>
+            <th className="py-2 pr-2">Color</th>
+            <th className="py-2 pr-2">Image</th>
+            <th className="py-2 pr-2">Action</th>
+          </tr>
+        </thead>
+        <tbody>
+          {cfg.keys.map((k, i) => {
+            const p = inv.find(x => x.id === k.productId);
+            const units = p ? sellUnits(p) : [];
+            return (
+              <tr key={k.id} className="border-t">
+                <td className="py-2 pr-2 text-gray-500">{i + 1}</td>
+                <td className="py-2 pr-2">{p ? p.name : <span className="text-red-600">Missing ({k.productId})</span>}</td>
+                <td className="py-2 pr-2">
+                  {units.length > 1 ? (
+                    <select value={k.uom || unitOf(p)} onChange={e => patch(k.id, { uom: e.target.value === unitOf(p) ? null : e.target.value })}
+                      className="px-2 py-1 border rounded-lg">
+                      {units.map(u => <option key={u.name}>{u.name}</option>)}
+                    </select>
+                  ) : (p ? unitOf(p) : "—")}
+                </td>
+                <td className="py-2 pr-2">
+                  <input value={k.label} onChange={e => patch(k.id, { label: e.target.value })} placeholder={p?.name || ""}
+                    className="w-40 px-2 py-1 border rounded-lg" />
+                </td>
+                <td className="py-2 pr-2">
+                  <div className="flex gap-1">
+                    {Object.entries(QUICK_COLORS).map(([c, cls]) => (
+                      <button key={c} onClick={() => patch(k.id, { color: c })} title={c}
+                        className={`w-5 h-5 rounded-full border ${cls} ${k.color === c ? "ring-2 ring-gray-900" : ""}`} />
+                    ))}
+                  </div>
+                </td>
+                <td className="py-2 pr-2">
+                  <div className="flex items-center gap-2">
+                    {k.image && <img src={k.image} alt="" className="w-8 h-8 object-cover rounded" />}
+                    <input type="file" accept="image/png,image/jpeg,image/gif,image/webp" onChange={e => loadImage(k.id, e.target.files[0])}
+                      className="w-44 text-xs" />
+                    {k.image && <button onClick={() => patch(k.id, { image: null })} className="text-xs text-red-600">Remove</button>}
+                  </div>
+                </td>
+                <td className="py-2 pr-2 whitespace-nowrap">
+                  <button onClick={() => move(i, -1)} disabled={i === 0} className="px-2 py-1 rounded-lg border disabled:opacity-40">↑</button>
+                  <button onClick={() => move(i, 1)} disabled={i === cfg.keys.length - 1} className="ml-1 px-2 py-1 rounded-lg border disabled:opacity-40">↓</button>
+                  <button onClick={() => setKeys(keys => keys.filter(x => x.id !== k.id))}
+                    className="ml-1 px-3 py-1.5 rounded-lg bg-red-600 text-white">Remove</button>
+                </td>
+              </tr>
+            );
+          })}
+          {!cfg.keys.length && <tr><td colSpan={7} className="text-center text-gray-500 py-4">No quick keys yet.</td></tr>}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,222 @@
+import React, { useEffect, useState } from "react";
+import { Receipt } from "./ui";
+import { receiptTemplate, receiptBytes } from "./receipt";
+import { printerSupport, pairPrinter, sendToPrinter, rasterize, DOTS } from "./printer";
+import { DEFAULT_SERIES, editSeries, nextNumber, seriesLocked, formatOR } from "./orseries";
+import { getMeta, transact, META } from "./db";
+
+const LOGO_MAX = 200 * 1024; // bytes; it is stored with the settings
+
+const SAMPLE = {
+  id: "OR-SAMPLE", time: new Date().toLocaleString("en-PH"), cashier: "Sample Cashier", currency: "PHP",
+  items: [{ id: "S1", name: "Arabica Beans 1kg", price: 950, qty: 1 }, { id: "S2", name: "Paper Cups 12oz (50s)", price: 150, qty: 2 }],
+  sub: 1250, discLabel: "Regular", discPct: 0, discAmt: 0, vatPct: 12, taxAmt: 133.93, taxIncl: true, vatRemoved: 0,
+  vatable: 1116.07, vatExempt: 0, zeroRated: 0, total: 1250,
+  tenders: [{ type: "Cash", currency: "PHP", rate: 1, amount: 1500, base: 1500, ref: "", last4: "" }], change: 250,
+};
+
+/* ============ Receipt template & printer (Settings) ============ */
+export default function ReceiptSettings({ settings, setSettings }) {
+  const tpl = receiptTemplate(settings);
+  const support = printerSupport();
+  const [msg, setMsg] = useState("");
+  const set = (patch) => setSettings(s => ({ ...s, receipt: { ...receiptTemplate(s), ...patch } }));
+
+  const loadLogo = (f) => {
+    if (!f) return;
+    if (f.size > LOGO_MAX) return alert("Logo must be under 200 KB; a small black-and-white PNG prints best");
+    const reader = new FileReader();
+    reader.onload = () => set({ logo: String(reader.result) });
+    reader.readAsDataURL(f);
+  };
+
+  const pair = async () => {
+    setMsg("");
+    try {
+      await pairPrinter(tpl.output);
+      setMsg("Printer paired.");
+    } catch (e) {
+      setMsg(`Not paired: ${e.message}`);
+    }
+  };
+
+  const test = async () => {
+    setMsg("");
+    try {
+      const logo = tpl.logo ? await rasterize(tpl.logo, DOTS[tpl.width]) : null;
+      await sendToPrinter(receiptBytes({ ...SAMPLE, currency: settings.currency }, tpl, { logo, drawer: tpl.drawer }), tpl);
+      setMsg("Test receipt sent.");
+    } catch (e) {
+      setMsg(`Test print failed: ${e.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-white border rounded-2xl p-4">
+      <div className="font-semibold mb-3">Receipt &amp; printer</div>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div className="lg:col-span-2 grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm content-start">
+          <label className="space-y-1">
+            <div className="text-gray-500">Store name</div>
+            <input value={tpl.name} onChange={e => set({ name: e.target.value })} className="w-full px-3 py-2 border rounded-xl" />
+          </label>
+          <label className="space-y-1">
+            <div className="text-gray-500">TIN</div>
+            <input value={tpl.tin} onChange={e => set({ tin: e.target.value })} placeholder="000-000-000-000"
+              className="w-full px-3 py-2 border rounded-xl" />
+          </label>
+          <label className="space-y-1 sm:col-span-2">
+            <div className="text-gray-500">Address</div>
+            <input value={tpl.address} onChange={e => set({ address: e.target.value })} className="w-full px-3 py-2 border rounded-xl" />
+          </label>
+          <label className="space-y-1">
+            <div className="text-gray-500">MIN (machine identification no.)</div>
+            <input value={tpl.min} onChange={e => set({ min: e.target.value })} className="w-full px-3 py-2 border rounded-xl" />
+          </label>
+          <label className="space-y-1">
+            <div className="text-gray-500">Machine serial no.</div>
+            <input value={tpl.serial} onChange={e => set({ serial: e.target.value })} className="w-full px-3 py-2 border rounded-xl" />
+          </label>
+          <label className="space-y-1">
+            <div className="text-gray-500">Permit to use (PTU) no.</div>
+            <input value={tpl.permit} onChange={e => set({ permit: e.target.value })} className="w-full px-3 py-2 border rounded-xl" />
+          </label>
+          <div className="space-y-1">
+            <div className="text-gray-500">Permit valid from / to</div>
+            <div className="flex gap-2">
+              <input type="date" value={tpl.permitFrom} onChange={e => set({ permitFrom: e.target.value })} className="flex-1 min-w-0 px-3 py-2 border rounded-xl" />
+              <input type="date" value={tpl.permitTo} onChange={e => set({ permitTo: e.target.value })} className="flex-1 min-w-0 px-3 py-2 border rounded-xl" />
+            </div>
+          </div>
+          <label className="space-y-1">
+            <div className="text-gray-500">Header lines (one per line)</div>
+            <textarea rows={3} value={tpl.header} onChange={e => set({ header: e.target.value })}
+              placeholder="Operated by …&#10;Tel. …" className="w-full px-3 py-2 border rounded-xl" />
+          </label>
+          <label className="space-y-1">
+            <div className="text-gray-500">Footer</div>
+            <textarea rows={3} value={tpl.footer} onChange={e => set({ footer: e.target.value })}
+              className="w-full px-3 py-2 border rounded-xl" />
+          </label>
+          <div className="space-y-1">
+            <div className="text-gray-500">Logo</div>
+            <div className="flex items-center gap-2">
+              <input type="file" accept="image/png,image/jpeg,image/gif" onChange={e => loadLogo(e.target.files[0])} className="min-w-0" />
+              {tpl.logo && <button onClick={() => set({ logo: null })} className="px-3 py-1 rounded-lg border text-red-600">Remove</button>}
+            </div>
+          </div>
+          <label className="space-y-1">
+            <div className="text-gray-500">Paper width</div>
+            <select value={tpl.width} onChange={e => set({ width: Number(e.target.value) })} className="w-full px-3 py-2 border rounded-xl">
+              <option value={58}>58 mm</option>
+              <option value={80}>80 mm</option>
+            </select>
+          </label>
+          <label className="space-y-1">
+            <div className="text-gray-500">Print receipts via</div>
+            <select value={tpl.output} onChange={e => set({ output: e.target.value })} className="w-full px-3 py-2 border rounded-xl">
+              <option value="html">Browser print dialog</option>
+              <option value="serial" disabled={!support.serial}>ESC/POS over serial{support.serial ? "" : " (not supported here)"}</option>
+              <option value="usb" disabled={!support.usb}>ESC/POS over USB{support.usb ? "" : " (not supported here)"}</option>
+            </select>
+          </label>
+          {tpl.output === "serial" && (
+            <label className="space-y-1">
+              <div className="text-gray-500">Baud rate</div>
+              <select value={tpl.baudRate} onChange={e => set({ baudRate: Number(e.target.value) })} className="w-full px-3 py-2 border rounded-xl">
+                {[9600, 19200, 38400, 57600, 115200].map(b => <option key={b} value={b}>{b}</option>)}
+              </select>
+            </label>
+          )}
+          <label className="flex items-center gap-2 sm:col-span-2">
+            <input type="checkbox" checked={tpl.drawer} onChange={e => set({ drawer: e.target.checked })} />
+            <span>Open the cash drawer on cash sales (drawer wired to the printer)</span>
+          </label>
+          {tpl.output !== "html" && (
+            <div className="sm:col-span-2 flex flex-wrap items-center gap-2">
+              <button onClick={pair} className="px-3 py-2 rounded-lg border">Pair printer</button>
+              <button onClick={test} className="px-3 py-2 rounded-lg bg-gray-900 text-white">Test print</button>
+              {msg && <span className="text-gray-600">{msg}</span>}
+            </div>
+          )}
+          <div className="sm:col-span-2 text-xs text-gray-500">
+            ESC/POS printing needs Chrome or Edge. If the printer cannot be reached at checkout, the print dialog opens instead.
+          </div>
+        </div>
+
+        <div>
+          <div className="text-sm text-gray-500 mb-1">Preview</div>
+          <div className="border rounded-xl p-3 font-mono text-xs bg-gray-50 receipt-preview"
+            style={{ maxWidth: tpl.width === 58 ? 240 : 320 }}>
+            <Receipt receipt={{ ...SAMPLE, currency: settings.currency }} tpl={tpl} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ============ OR series (Settings) ============ */
+// The counter is only ever changed inside a transaction, so an edit here
+// cannot race a sale being rung up in another tab.
+export function OrSeriesSettings({ syncing }) {
+  const [series, setSeries] = useState(null);
+  const [form, setForm] = useState(null);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    getMeta("orSeries").then(s => {
+      const v = { ...DEFAULT_SERIES, ...(s || {}) };
+      setSeries(v);
+      setForm({ prefix: v.prefix, pad: v.pad, start: v.start });
+    });
+  }, []);
+  if (!series) return null;
+
+  const save = async () => {
+    setErr("");
+    try {
+      const res = await transact([META], async tx => {
+        const r = editSeries(await tx.get(META, "orSeries"), form, syncing);
+        if (r.error) throw new Error(r.error);
+        await tx.put(META, r.series, "orSeries");
+        return r.series;
+      });
+      setSeries(res.result);
+    } catch (e) {
+      setErr(e.message);
+    }
+  };
+
+  const preview = editSeries(series, form, syncing).series;
+  const locked = seriesLocked({ ...series, prefix: form.prefix.trim() });
+  return (
+    <div className="bg-white border rounded-2xl p-4">
+      <div className="font-semibold mb-1">Official receipt numbers</div>
+      <div className="text-xs text-gray-500 mb-3">
+        Gapless and never reused; a voided receipt keeps its number. Give every terminal its own prefix (e.g. A-OR-, B-OR-); connecting to sync does this for a terminal still on OR-.
+      </div>
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <label className="space-y-1">
+          <div className="text-gray-500">Prefix</div>
+          <input value={form.prefix} onChange={e => setForm(f => ({ ...f, prefix: e.target.value }))} className="w-32 px-3 py-2 border rounded-xl" />
+        </label>
+        <label className="space-y-1">
+          <div className="text-gray-500">Digits</div>
+          <input type="number" min={1} max={12} value={form.pad} disabled={locked}
+            onChange={e => setForm(f => ({ ...f, pad: e.target.value }))} className="w-20 px-3 py-2 border rounded-xl disabled:bg-gray-50" />
+        </label>
+        <label className="space-y-1">
+          <div className="text-gray-500">Starting number</div>
+          <input type="number" min={1} value={form.start} disabled={locked}
+            onChange={e => setForm(f => ({ ...f, start: e.target.value }))} className="w-28 px-3 py-2 border rounded-xl disabled:bg-gray-50" />
+        </label>
+        <button onClick={save} className="px-3 py-2 rounded-xl bg-gray-900 text-white">Save</button>
+        <div className="text-gray-600 pb-2">
+          Next OR: <span className="font-mono">{preview ? formatOR(preview.prefix, preview.pad, nextNumber(preview)) : "—"}</span>
+        </div>
+      </div>
+      {err && <div className="text-red-600 text-sm mt-2">{err}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useMemo, useState } from "react";
+import { fmt } from "./util";
+import { Row, DocHeader } from "./ui";
+import { returnable, refundAmount } from "./refunds";
+import { soldExpired } from "./lots";
+import { lineKey, lineQtyText, qtyText, isMeasured, qtyRound } from "./units";
+
+/* ============ Printable refund / credit note ============ */
+export function RefundDoc({ refund, tpl }) {
+  return (
+    <>
+      <DocHeader tpl={tpl}>
+        <div style={{ fontWeight: 700 }}>{refund.settlement === "Credit Note" ? "CREDIT NOTE" : "REFUND"}{refund.kind === "void" ? " (VOID)" : ""}</div>
+      </DocHeader>
+      <hr/>
+      <div className="muted">No: {refund.id}</div>
+      <div className="muted">Ref OR: {refund.saleId}</div>
+      <div className="muted">Date: {refund.time}</div>
+      <div className="muted">Cashier: {refund.cashier}</div>
+      <div className="muted">Authorized: {refund.authorizedBy}</div>
+      <div className="muted">Reason: {refund.reason}</div>
+      <hr/>
+      <table><tbody>
+        {refund.lines.map(l => (
+          <tr key={lineKey(l)}><td>{lineQtyText(l)} × {l.name}{l.damaged ? " (damaged)" : ""}</td><td className="r">{fmt(l.price * l.qty, refund.currency)}</td></tr>
+        ))}
+      </tbody></table>
+      <hr/>
+      <table><tbody>
+        <tr><td style={{fontWeight:700}}>TOTAL</td><td className="r" style={{fontWeight:700}}>{fmt(refund.amount, refund.currency)}</td></tr>
+        {refund.account > 0 && <tr><td>Credited to account</td><td className="r">{fmt(refund.account, refund.currency)}</td></tr>}
+        {refund.pointsBack > 0 && <tr><td>Points returned</td><td className="r">{refund.pointsBack}</td></tr>}
+        {refund.pointsLost > 0 && <tr><td>Points reversed</td><td className="r">{refund.pointsLost}</td></tr>}
+      </tbody></table>
+      <hr/>
+      <div className="c muted">Customer signature: ____________</div>
+    </>
+  );
+}
+
+/* ============ Return / void dialog ============ */
+export function ReturnModal({ sale, refunds, inv, onSubmit, onCancel }) {
+  const left = useMemo(() => returnable(sale, refunds), [sale, refunds]);
+  const [qty, setQty] = useState({});           // line key -> qty to return
+  const [damaged, setDamaged] = useState(() => {
+    const d = {};
+    for (const it of sale.items) d[lineKey(it)] = soldExpired(inv.find(p => p.id === it.id), it);
+    return d;
+  });
+  const [reason, setReason] = useState("");
+  const [settlement, setSettlement] = useState("Refund");
+  const [err, setErr] = useState("");
+
+  // a void takes back the whole, untouched receipt in one go
+  const isVoid = sale.items.every(it => left[lineKey(it)] === it.qty && Number(qty[lineKey(it)] || 0) === it.qty);
+  const lines = sale.items
+    .filter(it => Number(qty[lineKey(it)]) > 0)
+    .map(it => ({
+      id: it.id, name: it.name, price: it.price, qty: Number(qty[lineKey(it)]),
+      ...(it.uom ? { uom: it.uom, factor: it.factor } : {}),
+      // the line's promotions, for the share being returned
+      ...(it.promos ? { promos: it.promos.map(o => ({ ...o, amount: o.amount * Number(qty[lineKey(it)]) / it.qty })) } : {}),
+      damaged: !!damaged[lineKey(it)],
+    }));
+
+  // weighed lines can be returned in part; counted ones by whole units
+  const setLine = (it, v) => {
+    const n = Math.max(0, Number(v) || 0);
+    setQty(q => ({ ...q, [lineKey(it)]: Math.min(left[lineKey(it)], isMeasured(it.uom) ? qtyRound(n) : Math.floor(n)) }));
+  };
+  const all = () => setQty(Object.fromEntries(sale.items.map(it => [lineKey(it), left[lineKey(it)]])));
+
+  const submit = () => {
+    if (!lines.length) return setErr("Select at least one item to return.");
+    if (!reason.trim()) return setErr("A reason is required.");
+    onSubmit({ lines, reason: reason.trim(), settlement, kind: isVoid ? "void" : "return" });
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-lg bg-white rounded-xl p-4 shadow-xl">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-lg font-semibold">Return / void — {sale.id}</div>
+          <button onClick={onCancel} className="text-gray-500">✕</button>
+        </div>
+
+        <table className="w-full text-sm">
+          <thead className="text-left text-gray-500">
+            <tr>
+              <th className="py-1 pr-2">Item</th>
+              <th className="py-1 pr-2">Sold</th>
+              <th className="py-1 pr-2">Return</th>
+              <th className="py-1 pr-2">Damaged</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sale.items.map(it => (
+              <tr key={lineKey(it)} className="border-t">
+                <td className="py-1 pr-2">{it.name}</td>
+                <td className="py-1 pr-2 text-gray-500">{lineQtyText(it)}{left[lineKey(it)] < it.qty ? ` (${qtyText(left[lineKey(it)], it.uom)} left)` : ""}</td>
+                <td className="py-1 pr-2">
+                  <input type="number" min={0} max={left[lineKey(it)]} step={isMeasured(it.uom) ? "any" : 1} value={qty[lineKey(it)] || 0} disabled={!left[lineKey(it)]}
+                    onChange={e => setLine(it, e.target.value)}
+                    className="w-16 px-2 py-1 border rounded-lg" />
+                </td>
+                <td className="py-1 pr-2">
+                  <input type="checkbox" checked={!!damaged[lineKey(it)]}
+                    onChange={e => setDamaged(d => ({ ...d, [lineKey(it)]: e.target.checked }))} />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button onClick={all} className="mt-2 text-xs text-gray-500 hover:text-gray-800">Return everything left</button>
+
+        <div className="mt-3 grid grid-cols-2 gap-2 text-sm">
+          <select value={settlement} onChange={e => setSettlement(e.target.value)} className="px-3 py-2 border rounded-lg">
+            <option>Refund</option><option>Credit Note</option>
+          </select>
+          <input value={reason} onChange={e => setReason(e.target.value)} placeholder="Reason *"
+            className="px-3 py-2 border rounded-lg" />
+        </div>
+
+        <div className="mt-3 text-sm space-y-1">
+          <Row label={isVoid ? "Void whole receipt" : "Return selected lines"} value={fmt(refundAmount(sale, lines), sale.currency)} bold />
+        </div>
+        {err && <div className="text-red-600 text-sm mt-2">{err}</div>}
+
+        <div className="mt-3 flex gap-2">
+          <button onClick={onCancel} className="flex-1 px-4 py-2 border rounded-lg">Cancel</button>
+          <button onClick={submit} className="flex-1 px-4 py-2 rounded-lg bg-red-600 text-white">
+            {isVoid ? "Void receipt" : "Issue " + settlement.toLowerCase()}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+import React, { useMemo, useState } from "react";
+import { fmt, localDate } from "./util";
+import { Row, TotalsRows } from "./ui";
+import { isFullyReturned } from "./refunds";
+import { downloadCSV } from "./csv";
+import { salesCSV } from "./exporter";
+import { TENDER_TYPES, saleTenders, appliedByType, tenderText } from "./tenders";
+import { lineKey, lineQtyText, itemCount } from "./units";
+
+/* ============ Sales Journal View ============ */
+export default function Sales({ sales, refunds, onReprint, onReturn, onReprintRefund }) {
+  const [from, setFrom] = useState(localDate(new Date()));
+  const [to, setTo] = useState(localDate(new Date()));
+  const [cashier, setCashier] = useState("All");
+  const [method, setMethod] = useState("All");
+  const [promo, setPromo] = useState("All");
+  const [or, setOr] = useState("");
+  const [open, setOpen] = useState(null); // expanded sale id
+
+  const cashiers = useMemo(() => ["All", ...new Set(sales.map(s => s.cashier))], [sales]);
+  const promoNames = useMemo(() => [...new Set(sales.flatMap(s => (s.promos || []).map(p => p.name)))], [sales]);
+
+  const rows = useMemo(() => {
+    const t = or.trim().toLowerCase();
+    return sales
+      .filter(s => {
+        const d = localDate(s.ts);
+        return (!from || d >= from) && (!to || d <= to) &&
+          (cashier === "All" || s.cashier === cashier) &&
+          (method === "All" || saleTenders(s).some(t => t.type === method)) &&
+          (promo === "All" || (s.promos || []).some(p => p.name === promo)) &&
+          (!t || s.id.toLowerCase().includes(t) || (s.customer?.name || "").toLowerCase().includes(t));
+      })
+      .sort((a, b) => b.ts.localeCompare(a.ts));
+  }, [sales, from, to, cashier, method, promo, or]);
+
+  const sum = rows.reduce((a, s) => a + s.total, 0);
+  const cur = rows[0]?.currency || "PHP";
+  const byDiscount = {};
+  for (const s of rows) if (s.discAmt) byDiscount[s.discLabel || "Discount"] = (byDiscount[s.discLabel || "Discount"] || 0) + s.discAmt;
+  // per promotion: how many sales used it and what it gave away
+  const byPromo = {};
+  for (const s of rows) for (const p of s.promos || []) {
+    const e = byPromo[p.name] = byPromo[p.name] || { count: 0, amount: 0 };
+    e.count++;
+    e.amount += p.amount;
+  }
+  const vatExempt = rows.reduce((a, s) => a + (s.vatExempt || 0), 0);
+  const byTender = {};
+  for (const s of rows) for (const [k, v] of Object.entries(appliedByType(s))) byTender[k] = (byTender[k] || 0) + v;
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-6">
+      <div className="bg-white border rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="font-semibold">Sales</div>
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-gray-500">{rows.length} transactions • {fmt(sum, cur)}</span>
+            <button onClick={() => downloadCSV(`sales-${from || "all"}-to-${to || "all"}.csv`, salesCSV([...rows].reverse(), refunds))}
+              disabled={!rows.length} className="px-3 py-1 rounded-lg border hover:bg-gray-50 disabled:opacity-50">Export CSV</button>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="mb-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-2 text-sm">
+          <label className="flex items-center gap-2">
+            <span className="text-gray-500">From</span>
+            <input type="date" value={from} onChange={e => setFrom(e.target.value)} className="flex-1 px-3 py-2 border rounded-xl" />
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="text-gray-500">To</span>
+            <input type="date" value={to} onChange={e => setTo(e.target.value)} className="flex-1 px-3 py-2 border rounded-xl" />
+          </label>
+          <select value={cashier} onChange={e => setCashier(e.target.value)} className="px-3 py-2 border rounded-xl">
+            {cashiers.map(c => <option key={c}>{c}</option>)}
+          </select>
+          <select value={method} onChange={e => setMethod(e.target.value)} className="px-3 py-2 border rounded-xl">
+            <option>All</option>{TENDER_TYPES.map(t => <option key={t}>{t}</option>)}
+          </select>
+          <select value={promo} onChange={e => setPromo(e.target.value)} className="px-3 py-2 border rounded-xl">
+            <option value="All">All promotions</option>{promoNames.map(p => <option key={p}>{p}</option>)}
+          </select>
+          <input value={or} onChange={e => setOr(e.target.value)} placeholder="OR no. / customer…"
+            className="px-3 py-2 border rounded-xl" />
+        </div>
+
+        {rows.length > 0 && (
+          <div className="mb-3 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600">
+            {Object.entries(byTender).map(([k, v]) => <div key={k}>{k}: {fmt(v, cur)}</div>)}
+            {Object.entries(byDiscount).map(([k, v]) => <div key={k}>{k}: − {fmt(v, cur)}</div>)}
+            {Object.entries(byPromo).map(([k, v]) => <div key={k}>{k} ({v.count}×): − {fmt(v.amount, cur)}</div>)}
+            {vatExempt > 0 && <div>VAT-exempt sales: {fmt(vatExempt, cur)}</div>}
+          </div>
+        )}
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="py-2 pr-2">OR</th>
+                <th className="py-2 pr-2">Date</th>
+                <th className="py-2 pr-2">Cashier</th>
+                <th className="py-2 pr-2">Method</th>
+                <th className="py-2 pr-2">Items</th>
+                <th className="py-2 pr-2 text-right">Total</th>
+                <th className="py-2 pr-2">Status</th>
+                <th className="py-2 pr-2">Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(s => {
+                const docs = refunds.filter(r => r.saleId === s.id);
+                const status = !docs.length ? "" : docs.some(r => r.kind === "void") ? "Voided"
+                  : isFullyReturned(s, refunds) ? "Returned" : "Partly returned";
+                return (
+                  <React.Fragment key={s.id}>
+                    <tr className="border-t cursor-pointer hover:bg-gray-50" onClick={() => setOpen(open === s.id ? null : s.id)}>
+                      <td className="py-2 pr-2 font-mono">{s.id}</td>
+                      <td className="py-2 pr-2">{s.time}</td>
+                      <td className="py-2 pr-2">{s.cashier}</td>
+                      <td className="py-2 pr-2">{s.method}</td>
+                      <td className="py-2 pr-2">{itemCount(s.items)}</td>
+                      <td className="py-2 pr-2 text-right">{fmt(s.total, s.currency)}</td>
+                      <td className={`py-2 pr-2 ${status ? "text-red-600" : ""}`}>{status}</td>
+                      <td className="py-2 pr-2 whitespace-nowrap">
+                        <button onClick={e => { e.stopPropagation(); onReprint(s); }}
+                          className="px-3 py-1.5 rounded-lg border hover:bg-gray-50">Reprint</button>
+                        {!isFullyReturned(s, refunds) && (
+                          <button onClick={e => { e.stopPropagation(); onReturn(s); }}
+                            className="ml-1 px-3 py-1.5 rounded-lg border text-red-600 hover:bg-red-50">Return</button>
+                        )}
+                      </td>
+                    </tr>
+                    {open === s.id && (
+                      <tr className="bg-gray-50">
+                        <td colSpan={8} className="p-3">
+                          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <table className="w-full text-sm">
+                              <tbody>
+                                {s.items.map(it => (
+                                  <tr key={lineKey(it)}>
+                                    <td className="py-1 pr-2">
+                                      {lineQtyText(it)} × {it.name}
+                                      {(it.promos || []).map(o => (
+                                        <div key={o.id} className="text-xs text-green-700">{o.name} − {fmt(o.amount, s.currency)}</div>
+                                      ))}
+                                    </td>
+                                    <td className="py-1 pr-2 text-gray-500">{fmt(it.price, s.currency)}</td>
+                                    <td className="py-1 text-right">{fmt(it.price * it.qty, s.currency)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                            <div className="space-y-1">
+                              <TotalsRows t={s} cur={s.currency} />
+                              {s.scPwd && <Row label="Holder" value={`${s.scPwd.name} • ${s.scPwd.idNo}`} />}
+                              {s.customer && (
+                                <Row label="Customer" value={[s.customer.name, s.pointsEarned && `+${s.pointsEarned} pts`, s.pointsUsed && `−${s.pointsUsed} pts`].filter(Boolean).join(" • ")} />
+                              )}
+                              {saleTenders(s).map((t, i) => (
+                                <div key={i} className="text-gray-600">{tenderText(t, (n, c) => fmt(n, c || s.currency), s.currency)}</div>
+                              ))}
+                              {s.change > 0 && <Row label="Change" value={fmt(s.change, s.currency)} />}
+                            </div>
+                          </div>
+                          {docs.map(r => (
+                            <div key={r.id} className="mt-3 pt-2 border-t flex items-center gap-3 text-red-700">
+                              <div className="font-mono">{r.id}</div>
+                              <div>{r.time}</div>
+                              <div className="flex-1">{r.lines.map(l => `${lineQtyText(l)} × ${l.name}`).join(", ")} — {r.reason}</div>
+                              <div>− {fmt(r.amount, r.currency)}</div>
+                              <button onClick={() => onReprintRefund(r)}
+                                className="px-3 py-1.5 rounded-lg border hover:bg-white">Reprint</button>
+                            </div>
+                          ))}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+              {rows.length === 0 && (
+                <tr><td colSpan={8} className="text-center text-gray-500 py-8">No transactions found.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="text-xs text-gray-500 mt-2">
+          Sales are saved locally in your browser.
+        </div>
+      </div>
+    </div>
+  );
+}
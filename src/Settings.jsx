@@ -0,0 +1,129 @@
+import React, { useState } from "react";
+import { STATUTORY, pricesIncludeTax } from "./pricing";
+import Backup from "./Backup";
+import SyncSettings from "./Sync";
+import CurrencySettings from "./Currency";
+import ReceiptSettings, { OrSeriesSettings } from "./Receipt";
+import { ScaleSettings } from "./Units";
+import PromotionsSettings from "./Promotions";
+import { LoyaltySettings } from "./Customers";
+import QuickKeySettings from "./QuickKeys";
+
+/* ============ Settings View (Admin) ============ */
+export default function Settings({ settings, setSettings, user, sync, inv }) {
+  const discountTypes = settings.discountTypes || [];
+  const [draft, setDraft] = useState({ name: "", pct: "" });
+
+  const addType = () => {
+    const name = draft.name.trim();
+    const pct = Number(draft.pct);
+    if (!name) return alert("Name is required");
+    if (name === "Regular" || STATUTORY[name] || discountTypes.some(t => t.name === name)) return alert(`"${name}" already exists`);
+    if (!(pct > 0 && pct <= 100)) return alert("Percent must be between 0 and 100");
+    setSettings(s => ({ ...s, discountTypes: [...(s.discountTypes || []), { name, pct }] }));
+    setDraft({ name: "", pct: "" });
+  };
+  const setTypePct = (name, pct) =>
+    setSettings(s => ({ ...s, discountTypes: (s.discountTypes || []).map(t => t.name === name ? { ...t, pct: Number(pct) || 0 } : t) }));
+  const removeType = (name) => setSettings(s => ({ ...s, discountTypes: (s.discountTypes || []).filter(t => t.name !== name) }));
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+      {/* Tax */}
+      <div className="bg-white border rounded-2xl p-4">
+        <div className="font-semibold mb-3">Tax</div>
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <label className="flex items-center gap-2">
+            <span className="text-gray-500">VAT %</span>
+            <input type="number" min={0} max={30} value={settings.vat}
+              onChange={e => setSettings(s => ({ ...s, vat: Number(e.target.value) }))}
+              className="w-20 px-2 py-1 border rounded-lg" />
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={pricesIncludeTax(settings)}
+              onChange={e => setSettings(s => ({ ...s, pricesIncludeTax: e.target.checked }))} />
+            <span>Prices include VAT</span>
+          </label>
+        </div>
+        <div className="text-xs text-gray-500 mt-2">
+          Turn this off for VAT-exclusive price lists (e.g. USD wholesale); VAT is then added on top at checkout.
+          Each product's tax class (VATable, VAT-exempt, zero-rated) is set in Inventory.
+        </div>
+      </div>
+
+      <CurrencySettings settings={settings} setSettings={setSettings} />
+
+      {/* Discount types */}
+      <div className="bg-white border rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="font-semibold">Discount types</div>
+          <div className="text-sm text-gray-500">{discountTypes.length + 3} types</div>
+        </div>
+
+        <div className="mb-4 grid grid-cols-1 sm:grid-cols-3 gap-2">
+          <input className="px-3 py-2 border rounded-xl" placeholder="Promo name *"
+            value={draft.name} onChange={e => setDraft(s => ({ ...s, name: e.target.value }))} />
+          <input type="number" min={0} max={100} className="px-3 py-2 border rounded-xl" placeholder="Percent off"
+            value={draft.pct} onChange={e => setDraft(s => ({ ...s, pct: e.target.value }))} />
+          <button onClick={addType} className="px-3 py-2 rounded-xl bg-gray-900 text-white">+ Add Discount</button>
+        </div>
+
+        <table className="min-w-full text-sm">
+          <thead className="text-left text-gray-500">
+            <tr>
+              <th className="py-2 pr-2">Name</th>
+              <th className="py-2 pr-2">Percent</th>
+              <th className="py-2 pr-2">Rule</th>
+              <th className="py-2 pr-2">Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="border-t">
+              <td className="py-2 pr-2">Regular</td>
+              <td className="py-2 pr-2">{settings.discount || 0}%</td>
+              <td className="py-2 pr-2 text-gray-500">Store-wide Disc% from the top bar, before VAT</td>
+              <td />
+            </tr>
+            {Object.entries(STATUTORY).map(([k, d]) => (
+              <tr key={k} className="border-t">
+                <td className="py-2 pr-2">{d.label}</td>
+                <td className="py-2 pr-2">{d.pct}%</td>
+                <td className="py-2 pr-2 text-gray-500">Statutory: eligible items VAT-exempt, name and {d.idLabel} required</td>
+                <td />
+              </tr>
+            ))}
+            {discountTypes.map(t => (
+              <tr key={t.name} className="border-t">
+                <td className="py-2 pr-2">{t.name}</td>
+                <td className="py-2 pr-2">
+                  <input type="number" min={0} max={100} value={t.pct} onChange={e => setTypePct(t.name, e.target.value)}
+                    className="w-20 px-2 py-1 border rounded-lg" />
+                </td>
+                <td className="py-2 pr-2 text-gray-500">Whole sale, before VAT</td>
+                <td className="py-2 pr-2">
+                  <button onClick={() => removeType(t.name)} className="px-3 py-1.5 rounded-lg bg-red-600 text-white">Remove</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <PromotionsSettings settings={settings} setSettings={setSettings} inv={inv} />
+
+      <LoyaltySettings settings={settings} setSettings={setSettings} />
+
+      <QuickKeySettings settings={settings} setSettings={setSettings} inv={inv} />
+
+      <ReceiptSettings settings={settings} setSettings={setSettings} />
+
+      <OrSeriesSettings key={String(sync.cfg.enabled)} syncing={sync.cfg.enabled} />
+
+      <ScaleSettings settings={settings} setSettings={setSettings} />
+
+      <SyncSettings {...sync} user={user} />
+
+      <Backup user={user} />
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+import React, { useState } from "react";
+import { fmt } from "./util";
+import { Row, DocHeader } from "./ui";
+
+/* ============ Printable X / Z reading ============ */
+export function Reading({ kind, shift, reading, currency, tpl }) {
+  const r = reading;
+  return (
+    <>
+      <DocHeader tpl={tpl}>
+        <div style={{ fontWeight: 700 }}>{kind}-READING</div>
+      </DocHeader>
+      <hr/>
+      <div className="muted">Shift: {shift.id}</div>
+      <div className="muted">Opened: {new Date(shift.openedAt).toLocaleString("en-PH")} ({shift.openedBy})</div>
+      {shift.closedAt && <div className="muted">Closed: {new Date(shift.closedAt).toLocaleString("en-PH")} ({shift.closedBy})</div>}
+      <div className="muted">Printed: {new Date().toLocaleString("en-PH")}</div>
+      <hr/>
+      <table><tbody>
+        {Object.entries(r.byMethod).map(([m, v]) => (
+          <tr key={m}><td>{m}</td><td className="r">{fmt(v, currency)}</td></tr>
+        ))}
+        <tr><td style={{fontWeight:700}}>GROSS SALES</td><td className="r" style={{fontWeight:700}}>{fmt(r.gross, currency)}</td></tr>
+      </tbody></table>
+      <hr/>
+      <table><tbody>
+        <tr><td>Transactions</td><td className="r">{r.count}</td></tr>
+        <tr><td>VATable sales</td><td className="r">{fmt(r.vatable || 0, currency)}</td></tr>
+        <tr><td>VAT collected</td><td className="r">{fmt(r.vat, currency)}</td></tr>
+        <tr><td>VAT-exempt sales</td><td className="r">{fmt(r.vatExempt || 0, currency)}</td></tr>
+        <tr><td>Zero-rated sales</td><td className="r">{fmt(r.zeroRated || 0, currency)}</td></tr>
+        <tr><td>Discounts given</td><td className="r">{fmt(r.discounts, currency)}</td></tr>
+        {Object.entries(r.byDiscount || {}).map(([k, v]) => (
+          <tr key={k}><td>&nbsp;&nbsp;{k}</td><td className="r">{fmt(v, currency)}</td></tr>
+        ))}
+        <tr><td>Refunds / voids ({r.refundCount || 0})</td><td className="r">{fmt(r.refunds || 0, currency)}</td></tr>
+        {r.collectionCount > 0 && <tr><td>Account payments ({r.collectionCount})</td><td className="r">{fmt(r.collections, currency)}</td></tr>}
+      </tbody></table>
+      <hr/>
+      <table><tbody>
+        <tr><td>Opening float</td><td className="r">{fmt(shift.float, currency)}</td></tr>
+        <tr><td>Cash received</td><td className="r">{fmt(r.cashIn, currency)}</td></tr>
+        <tr><td>Change given</td><td className="r">− {fmt(r.changeOut, currency)}</td></tr>
+        <tr><td>Cash refunds</td><td className="r">− {fmt(r.cashOut || 0, currency)}</td></tr>
+        {r.collectedCash > 0 && <tr><td>Account payments (cash)</td><td className="r">{fmt(r.collectedCash, currency)}</td></tr>}
+        <tr><td style={{fontWeight:700}}>Expected cash</td><td className="r" style={{fontWeight:700}}>{fmt(r.expectedCash, currency)}</td></tr>
+        {Object.entries(r.foreignCash || {}).map(([c, v]) => (
+          <tr key={c}><td>Foreign cash ({c})</td><td className="r">{fmt(v, c)}</td></tr>
+        ))}
+        {shift.closedAt && (
+          <>
+            <tr><td>Counted cash</td><td className="r">{fmt(shift.counted, currency)}</td></tr>
+            <tr><td style={{fontWeight:700}}>{shift.overShort < 0 ? "SHORT" : "OVER"}</td><td className="r" style={{fontWeight:700}}>{fmt(Math.abs(shift.overShort), currency)}</td></tr>
+          </>
+        )}
+      </tbody></table>
+      <hr/>
+      <div className="c muted">*** END OF {kind}-READING ***</div>
+    </>
+  );
+}
+
+/* ============ Open shift (opening float) ============ */
+export function OpenShiftModal({ user, currency, onOpen, onLogout }) {
+  const [float, setFloat] = useState(0);
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-center justify-center p-4">
+      <form onSubmit={e => { e.preventDefault(); onOpen(float); }}
+        className="w-full max-w-sm bg-white rounded-xl p-4 shadow-xl">
+        <div className="text-lg font-semibold mb-1">Open shift</div>
+        <div className="text-sm text-gray-500 mb-3">Hi {user.fullName}, count the cash drawer before your first sale.</div>
+        <div className="text-sm text-gray-500 mb-1">Opening float ({currency})</div>
+        <input type="number" min={0} autoFocus value={float} onChange={e => setFloat(e.target.value)}
+          className="w-full px-3 py-2 border rounded-lg" />
+        <div className="mt-3 flex gap-2">
+          <button type="button" onClick={onLogout} className="flex-1 px-4 py-2 border rounded-lg">Logout</button>
+          <button className="flex-1 px-4 py-2 rounded-lg bg-gray-900 text-white">Open shift</button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+/* ============ Close shift (Z-reading) ============ */
+export function CloseShiftModal({ shift, reading, currency, onClose, onCancel }) {
+  const [counted, setCounted] = useState("");
+  const diff = (Number(counted) || 0) - reading.expectedCash;
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-md bg-white rounded-xl p-4 shadow-xl">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-lg font-semibold">Close shift (Z-reading)</div>
+          <button onClick={onCancel} className="text-gray-500">✕</button>
+        </div>
+        <div className="text-sm space-y-1">
+          <Row label="Transactions" value={reading.count} />
+          <Row label="Gross sales" value={fmt(reading.gross, currency)} />
+          <Row label="Opening float" value={fmt(shift.float, currency)} />
+          <Row label="Expected cash" value={fmt(reading.expectedCash, currency)} bold />
+          {Object.entries(reading.foreignCash || {}).map(([c, v]) => <Row key={c} label={`Foreign cash (${c}), count apart`} value={fmt(v, c)} />)}
+        </div>
+        <div className="text-sm text-gray-500 mt-3 mb-1">Counted cash</div>
+        <input type="number" min={0} autoFocus value={counted} onChange={e => setCounted(e.target.value)}
+          className="w-full px-3 py-2 border rounded-lg" />
+        {counted !== "" && (
+          <div className={`text-sm mt-2 ${diff < 0 ? "text-red-600" : diff > 0 ? "text-amber-700" : "text-green-700"}`}>
+            {diff < 0 ? "Short" : diff > 0 ? "Over" : "Balanced"} {diff !== 0 && fmt(Math.abs(diff), currency)}
+          </div>
+        )}
+        <div className="mt-3 flex gap-2">
+          <button onClick={onCancel} className="flex-1 px-4 py-2 border rounded-lg">Cancel</button>
+          <button onClick={() => onClose(counted)} disabled={counted === ""}
+            className={`flex-1 px-4 py-2 rounded-lg text-white ${counted !== "" ? "bg-gray-900" : "bg-gray-400 cursor-not-allowed"}`}>
+            Close &amp; print Z
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ============ Closed shifts (Admin) ============ */
+export default function Shifts({ shifts, currency, onReprint }) {
+  const [open, setOpen] = useState(null);
+  const rows = [...shifts].sort((a, b) => b.closedAt.localeCompare(a.closedAt));
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-6">
+      <div className="bg-white border rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="font-semibold">Closed shifts</div>
+          <div className="text-sm text-gray-500">{rows.length} shifts</div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="py-2 pr-2">Opened</th>
+                <th className="py-2 pr-2">Closed</th>
+                <th className="py-2 pr-2">Cashier</th>
+                <th className="py-2 pr-2 text-right">Sales</th>
+                <th className="py-2 pr-2 text-right">Expected</th>
+                <th className="py-2 pr-2 text-right">Counted</th>
+                <th className="py-2 pr-2 text-right">Over/Short</th>
+                <th className="py-2 pr-2">Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(sh => (
+                <React.Fragment key={sh.id}>
+                  <tr className="border-t cursor-pointer hover:bg-gray-50" onClick={() => setOpen(open === sh.id ? null : sh.id)}>
+                    <td className="py-2 pr-2">{new Date(sh.openedAt).toLocaleString("en-PH")}</td>
+                    <td className="py-2 pr-2">{new Date(sh.closedAt).toLocaleString("en-PH")}</td>
+                    <td className="py-2 pr-2">{sh.openedBy}</td>
+                    <td className="py-2 pr-2 text-right">{fmt(sh.reading.gross, currency)}</td>
+                    <td className="py-2 pr-2 text-right">{fmt(sh.reading.expectedCash, currency)}</td>
+                    <td className="py-2 pr-2 text-right">{fmt(sh.counted, currency)}</td>
+                    <td className={`py-2 pr-2 text-right ${sh.overShort < 0 ? "text-red-600" : sh.overShort > 0 ? "text-amber-700" : "text-gray-500"}`}>
+                      {fmt(sh.overShort, currency)}
+                    </td>
+                    <td className="py-2 pr-2">
+                      <button onClick={e => { e.stopPropagation(); onReprint(sh); }}
+                        className="px-3 py-1.5 rounded-lg border hover:bg-gray-50">Reprint Z</button>
+                    </td>
+                  </tr>
+                  {open === sh.id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan={8} className="p-3">
+                        <div className="max-w-sm space-y-1">
+                          {Object.entries(sh.reading.byMethod).map(([m, v]) => <Row key={m} label={m} value={fmt(v, currency)} />)}
+                          <Row label="Transactions" value={sh.reading.count} />
+                          <Row label="VATable sales" value={fmt(sh.reading.vatable || 0, currency)} />
+                          <Row label="VAT collected" value={fmt(sh.reading.vat, currency)} />
+                          <Row label="Zero-rated sales" value={fmt(sh.reading.zeroRated || 0, currency)} />
+                          <Row label="Discounts given" value={fmt(sh.reading.discounts, currency)} />
+                          {Object.entries(sh.reading.byDiscount || {}).map(([k, v]) => <Row key={k} label={`· ${k}`} value={fmt(v, currency)} />)}
+                          {sh.reading.vatExempt > 0 && <Row label="VAT-exempt sales" value={fmt(sh.reading.vatExempt, currency)} />}
+                          <Row label={`Refunds / voids (${sh.reading.refundCount || 0})`} value={fmt(sh.reading.refunds || 0, currency)} />
+                          <Row label="Opening float" value={fmt(sh.float, currency)} />
+                          <Row label="Cash received" value={fmt(sh.reading.cashIn, currency)} />
+                          <Row label="Change given" value={`− ${fmt(sh.reading.changeOut, currency)}`} />
+                          <Row label="Cash refunds" value={`− ${fmt(sh.reading.cashOut || 0, currency)}`} />
+                          {Object.entries(sh.reading.foreignCash || {}).map(([c, v]) => <Row key={c} label={`Foreign cash (${c})`} value={fmt(v, c)} />)}
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+              {rows.length === 0 && (
+                <tr><td colSpan={8} className="text-center text-gray-500 py-8">No closed shifts yet.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
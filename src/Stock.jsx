@@ -0,0 +1,116 @@
+import React, { useState } from "react";
+import { Row } from "./ui";
+import { MOVEMENT_TYPES, MANUAL_TYPES, adjustLot } from "./stock";
+import { unitOf, isMeasured } from "./units";
+
+/* ============ Adjust stock dialog ============ */
+export function AdjustModal({ p, lotId, onApply, onCancel }) {
+  const [lot, setLot] = useState(lotId || p.lots[0]?.id || "");
+  const [type, setType] = useState("count");
+  const [qty, setQty] = useState("");
+  const [note, setNote] = useState("");
+  const [err, setErr] = useState("");
+
+  const cur = p.lots.find(l => l.id === lot);
+  const preview = cur && qty !== "" ? adjustLot(p, lot, type, qty) : null;
+
+  const submit = () => {
+    if (!cur) return setErr("Pick a lot");
+    if (qty === "" || isNaN(Number(qty))) return setErr("Enter a quantity");
+    if (!isMeasured(unitOf(p)) && !Number.isInteger(Number(qty))) return setErr("Whole pieces only");
+    if (type === "spoilage" && Number(qty) > 0) return setErr("Spoilage removes stock; enter a negative quantity");
+    if (!note.trim()) return setErr("A reason is required");
+    if (preview.stock === p.stock) return setErr("Nothing changes");
+    onApply(preview, { type, lotId: lot, note: note.trim() });
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-md bg-white rounded-xl p-4 shadow-xl">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-lg font-semibold">Adjust stock — {p.name}</div>
+          <button onClick={onCancel} className="text-gray-500">✕</button>
+        </div>
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          <select value={lot} onChange={e => setLot(e.target.value)} className="px-3 py-2 border rounded-lg">
+            {p.lots.map(l => <option key={l.id} value={l.id}>{l.id} • {l.qty} • {l.expiry || "no expiry"}</option>)}
+          </select>
+          <select value={type} onChange={e => setType(e.target.value)} className="px-3 py-2 border rounded-lg">
+            {MANUAL_TYPES.map(t => <option key={t} value={t}>{MOVEMENT_TYPES[t]}</option>)}
+          </select>
+          <input type="number" value={qty} onChange={e => setQty(e.target.value)}
+            placeholder={type === "count" ? "Counted qty" : "± qty"} className="px-3 py-2 border rounded-lg" />
+          <input value={note} onChange={e => setNote(e.target.value)} placeholder="Reason / note *"
+            className="px-3 py-2 border rounded-lg" />
+        </div>
+        <div className="mt-3 text-sm space-y-1">
+          <Row label="Lot on hand" value={cur ? cur.qty : "—"} />
+          <Row label="Product stock" value={preview ? `${p.stock} → ${preview.stock}` : p.stock} bold />
+        </div>
+        {err && <div className="text-red-600 text-sm mt-2">{err}</div>}
+        <div className="mt-3 flex gap-2">
+          <button onClick={onCancel} className="flex-1 px-4 py-2 border rounded-lg">Cancel</button>
+          <button onClick={submit} className="flex-1 px-4 py-2 rounded-lg bg-gray-900 text-white">Apply</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ============ Movement history ============ */
+export function HistoryModal({ p, movements, onClose }) {
+  const [type, setType] = useState("All");
+  const rows = movements
+    .filter(m => m.productId === p.id && (type === "All" || m.type === type))
+    .sort((a, b) => b.ts.localeCompare(a.ts));
+  const net = rows.reduce((a, m) => a + m.qty, 0);
+
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-4xl bg-white rounded-xl p-4 shadow-xl">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-lg font-semibold">Stock history — {p.name}</div>
+          <button onClick={onClose} className="text-gray-500">✕</button>
+        </div>
+        <div className="flex items-center gap-2 mb-2 text-sm">
+          <select value={type} onChange={e => setType(e.target.value)} className="px-3 py-1 border rounded-lg">
+            <option value="All">All movements</option>
+            {Object.entries(MOVEMENT_TYPES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+          <div className="ml-auto text-gray-500">{rows.length} movements • net {net > 0 ? "+" : ""}{net}</div>
+        </div>
+        <div className="overflow-auto max-h-[60vh]">
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="py-2 pr-2">When</th>
+                <th className="py-2 pr-2">Type</th>
+                <th className="py-2 pr-2 text-right">Qty</th>
+                <th className="py-2 pr-2">Before → After</th>
+                <th className="py-2 pr-2">Lot</th>
+                <th className="py-2 pr-2">User</th>
+                <th className="py-2 pr-2">Note / Ref</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(m => (
+                <tr key={m.id} className="border-t">
+                  <td className="py-1 pr-2 whitespace-nowrap">{new Date(m.ts).toLocaleString("en-PH")}</td>
+                  <td className="py-1 pr-2">{MOVEMENT_TYPES[m.type] || m.type}</td>
+                  <td className={`py-1 pr-2 text-right ${m.qty < 0 ? "text-red-600" : "text-green-700"}`}>{m.qty > 0 ? "+" : ""}{m.qty}</td>
+                  <td className="py-1 pr-2">{m.before} → {m.after}</td>
+                  <td className="py-1 pr-2 font-mono text-xs">{m.lotId || "—"}</td>
+                  <td className="py-1 pr-2">{m.user}</td>
+                  <td className="py-1 pr-2">{[m.note, m.ref].filter(Boolean).join(" • ")}</td>
+                </tr>
+              ))}
+              {rows.length === 0 && (
+                <tr><td colSpan={7} className="text-center text-gray-500 py-8">No movements recorded.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
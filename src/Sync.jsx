@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from "react";
+import { connect, disconnect } from "./sync";
+import { getMeta, transact, META, SYNCED_STORES } from "./db";
+import { DATASETS } from "./storage";
+
+// What connect() replaces on a terminal joining a server that has data.
+const SHARED = SYNCED_STORES.map(s => DATASETS[s].label.toLowerCase()).join(", ");
+
+const STATE_STYLE = {
+  synced:  "bg-green-50 border-green-300 text-green-800",
+  syncing: "bg-blue-50 border-blue-300 text-blue-800",
+  offline: "bg-amber-50 border-amber-300 text-amber-800",
+  error:   "bg-red-50 border-red-300 text-red-700",
+};
+
+const since = (at) => at ? new Date(at).toLocaleTimeString("en-PH") : "never";
+
+/* ============ Top-bar sync indicator ============ */
+export function SyncBadge({ status, onClick }) {
+  const { state = "syncing", pending = 0, conflicts = 0, at, error } = status || {};
+  const label = { synced: "Synced", syncing: "Syncing…", offline: "Offline", error: "Sync error" }[state];
+  return (
+    <button onClick={onClick} title={error || `Last sync ${since(at)}`}
+      className={`px-2 py-1 rounded-lg border ${STATE_STYLE[conflicts ? "error" : state]}`}>
+      {label}{pending > 0 && ` • ${pending} queued`}{conflicts > 0 && ` • ${conflicts} OR clash${conflicts > 1 ? "es" : ""}`}
+    </button>
+  );
+}
+
+/* ============ Sync settings (Settings) ============ */
+export default function SyncSettings({ cfg, setCfg, status, onSyncNow, user }) {
+  const [url, setUrl] = useState(cfg.url);
+  const [terminal, setTerminal] = useState(cfg.terminal);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [conflicts, setConflicts] = useState([]);
+  useEffect(() => {
+    getMeta("syncConflicts").then(c => setConflicts(c || []));
+  }, [status?.conflicts]);
+  const dismiss = async () => {
+    await transact([META], tx => tx.del(META, "syncConflicts"));
+    setConflicts([]);
+    onSyncNow();
+  };
+
+  const doConnect = async () => {
+    const next = { url: url.trim(), terminal: terminal.trim(), enabled: false };
+    if (!/^https?:\/\//.test(next.url)) return setErr("Server URL must start with http:// or https://");
+    if (!next.terminal) return setErr("Terminal ID is required");
+    setErr("");
+    setBusy(true);
+    try {
+      const res = await connect(next, user, () => confirm(
+        `The server already has data. These records on THIS terminal will be replaced with the server's copy: ${SHARED}. ` +
+        "Users, roles, held carts and settings stay as they are. Continue?"));
+      if (!res) return;
+      if (res === "joined") return window.location.reload();
+      setCfg({ ...next, enabled: true });
+    } catch (e) {
+      setErr(`Could not reach the server: ${e.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const doDisconnect = async () => {
+    if (!confirm("Stop syncing this terminal? Changes made while disconnected are never sent to the server.")) return;
+    await disconnect(cfg);
+    setCfg({ ...cfg, enabled: false });
+  };
+
+  return (
+    <div className="bg-white border rounded-2xl p-4">
+      <div className="font-semibold mb-1">Sync</div>
+      <div className="text-xs text-gray-500 mb-3">
+        Share {SHARED} with other terminals through a central server.
+        Sales keep working offline; queued changes are sent when the connection is back.
+      </div>
+      <div className="text-xs text-amber-700 mb-3">
+        Settings are not synced: VAT, discount types, promotions, exchange rates and the receipt stay per terminal.
+        Set them the same on every terminal, or the same cart can total differently from one till to the next.
+      </div>
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <label className="flex items-center gap-2">
+          <span className="text-gray-500">Server URL</span>
+          <input value={url} onChange={e => setUrl(e.target.value)} disabled={cfg.enabled}
+            placeholder="http://localhost:8787" className="w-64 px-2 py-1 border rounded-lg disabled:bg-gray-50" />
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-500">Terminal ID</span>
+          <input value={terminal} onChange={e => setTerminal(e.target.value)} disabled={cfg.enabled}
+            className="w-28 px-2 py-1 border rounded-lg disabled:bg-gray-50" />
+        </label>
+        {cfg.enabled ? (
+          <>
+            <button onClick={onSyncNow} className="px-3 py-2 rounded-lg border">Sync now</button>
+            <button onClick={doDisconnect} className="px-3 py-2 rounded-lg border text-red-600">Disconnect</button>
+          </>
+        ) : (
+          <button onClick={doConnect} disabled={busy} className="px-3 py-2 rounded-lg bg-gray-900 text-white disabled:opacity-50">
+            {busy ? "Connecting…" : "Connect"}
+          </button>
+        )}
+      </div>
+      {cfg.enabled && (
+        <div className="text-sm mt-3 flex flex-wrap items-center gap-3">
+          <SyncBadge status={status} onClick={onSyncNow} />
+          <span className="text-gray-500">Last sync {since(status?.at)}</span>
+          {status?.error && <span className="text-red-600">{status.error}</span>}
+        </div>
+      )}
+      {conflicts.length > 0 && (
+        <div className="mt-3 p-2 rounded-lg bg-red-50 text-red-700 border border-red-200 text-sm">
+          <div className="font-medium">Another terminal issued OR numbers this terminal already used; their sales were not copied here:</div>
+          <ul className="list-disc pl-5 my-1">
+            {conflicts.map(c => (
+              <li key={`${c.key}-${c.rev}`}>{c.key} from {c.terminal} ({new Date(c.ts).toLocaleString("en-PH")}, total {c.total})</li>
+            ))}
+          </ul>
+          <div className="flex items-center gap-2">
+            <span>Give each terminal its own OR prefix, then</span>
+            <button onClick={dismiss} className="px-2 py-1 rounded-lg border border-red-300 bg-white">Dismiss</button>
+          </div>
+        </div>
+      )}
+      {err && <div className="text-red-600 text-sm mt-2">{err}</div>}
+    </div>
+  );
+}
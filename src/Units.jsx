@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import { fmt } from "./util";
+import { UNITS, unitOf, checkUnits, isWeighed } from "./units";
+import { SCALE_PREFIXES, scaleConfig } from "./scanner";
+
+/* ============ Units of measure dialog (Inventory) ============ */
+export default function UnitsModal({ p, inv, cur, onSave, onCancel }) {
+  const [unit, setUnit] = useState(unitOf(p));
+  const [plu, setPlu] = useState(p.plu || "");
+  const [units, setUnits] = useState(() => (p.units || []).map(u => ({ ...u, price: u.price ?? "", sku: u.sku || "" })));
+  const [err, setErr] = useState("");
+
+  const upd = (i, patch) => setUnits(us => us.map((u, j) => j === i ? { ...u, ...patch } : u));
+  const locked = (p.stock || 0) > 0;
+
+  const save = () => {
+    const msg = checkUnits(p, { unit, units, plu });
+    if (msg) return setErr(msg);
+    const clash = plu && inv.find(x => x.id !== p.id && x.plu === plu);
+    if (clash) return setErr(`Scale code ${plu} belongs to ${clash.name}`);
+    const skus = units.map(u => u.sku.trim()).filter(Boolean);
+    const taken = skus.find(s => s === p.sku || inv.some(x => x.id !== p.id && (x.sku === s || (x.units || []).some(u => u.sku === s))));
+    if (taken || new Set(skus).size < skus.length) return setErr(`Barcode ${taken || "is"} already in use`);
+    onSave({
+      ...p,
+      unit,
+      plu: UNITS[unit].measured && plu ? plu : null,
+      units: units.map(u => ({
+        name: u.name.trim(), factor: Number(u.factor),
+        price: u.price === "" ? null : Number(u.price), sku: u.sku.trim(),
+      })),
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-xl bg-white rounded-xl p-4 shadow-xl">
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-lg font-semibold">Units — {p.name}</div>
+          <button onClick={onCancel} className="text-gray-500">✕</button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          <label className="space-y-1">
+            <div className="text-gray-500">Stocked and priced per</div>
+            <select value={unit} onChange={e => setUnit(e.target.value)} disabled={locked}
+              className="w-full px-3 py-2 border rounded-lg disabled:bg-gray-50">
+              {Object.entries(UNITS).map(([k, u]) => <option key={k} value={k}>{u.label} ({k})</option>)}
+            </select>
+          </label>
+          <label className="space-y-1">
+            <div className="text-gray-500">Scale item code</div>
+            <input value={plu} onChange={e => setPlu(e.target.value.replace(/\D/g, "").slice(0, 5))} inputMode="numeric"
+              placeholder="5 digits" disabled={!UNITS[unit].measured}
+              className="w-full px-3 py-2 border rounded-lg disabled:bg-gray-50" />
+          </label>
+        </div>
+        <div className="text-xs text-gray-500 mt-1">
+          Price {fmt(p.price, cur)} per {unit}.
+          {locked && " The unit can't change while stock is on hand."}
+          {isWeighed({ unit }) && " Scale labels with this code are added by weight or price."}
+        </div>
+
+        <div className="mt-4 text-sm font-medium">Also sold as</div>
+        <table className="w-full text-sm mt-1">
+          <thead className="text-left text-gray-500">
+            <tr>
+              <th className="py-1 pr-2">Unit</th>
+              <th className="py-1 pr-2">{unit} each</th>
+              <th className="py-1 pr-2">Price</th>
+              <th className="py-1 pr-2">Barcode</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {units.map((u, i) => (
+              <tr key={i} className="border-t">
+                <td className="py-1 pr-2">
+                  <input value={u.name} onChange={e => upd(i, { name: e.target.value })} placeholder="box of 12"
+                    className="w-full px-2 py-1 border rounded-lg" />
+                </td>
+                <td className="py-1 pr-2">
+                  <input type="number" min={0} value={u.factor} onChange={e => upd(i, { factor: e.target.value })}
+                    className="w-20 px-2 py-1 border rounded-lg" />
+                </td>
+                <td className="py-1 pr-2">
+                  <input type="number" min={0} value={u.price} onChange={e => upd(i, { price: e.target.value })}
+                    placeholder={fmt(p.price * (Number(u.factor) || 0), cur)} className="w-24 px-2 py-1 border rounded-lg" />
+                </td>
+                <td className="py-1 pr-2">
+                  <input value={u.sku} onChange={e => upd(i, { sku: e.target.value })} className="w-32 px-2 py-1 border rounded-lg" />
+                </td>
+                <td className="py-1 text-right">
+                  <button onClick={() => setUnits(us => us.filter((_, j) => j !== i))} className="text-gray-400 hover:text-red-500">✕</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button onClick={() => setUnits(us => [...us, { name: "", factor: "", price: "", sku: "" }])}
+          className="mt-2 px-3 py-1 rounded-lg border text-sm hover:bg-gray-50">+ Selling unit</button>
+        <div className="text-xs text-gray-500 mt-1">Leave the price blank to charge the base price × quantity.</div>
+
+        {err && <div className="text-red-600 text-sm mt-2">{err}</div>}
+        <div className="mt-3 flex gap-2">
+          <button onClick={onCancel} className="flex-1 px-4 py-2 border rounded-lg">Cancel</button>
+          <button onClick={save} className="flex-1 px-4 py-2 rounded-lg bg-gray-900 text-white">Save</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ============ Scale labels (Settings) ============ */
+export function ScaleSettings({ settings, setSettings }) {
+  const cfg = scaleConfig(settings);
+  const set = (prefix, kind) => setSettings(s => ({ ...s, scale: { ...scaleConfig(s), [prefix]: kind } }));
+  return (
+    <div className="bg-white border rounded-2xl p-4">
+      <div className="font-semibold mb-1">Scale labels</div>
+      <div className="text-xs text-gray-500 mb-3">
+        EAN-13 labels from the weighing scale: 2-digit prefix, 5-digit scale item code, 5-digit weight (grams) or price (centavos), check digit.
+      </div>
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-2 text-sm">
+        {SCALE_PREFIXES.map(pre => (
+          <label key={pre} className="flex items-center gap-2">
+            <span className="font-mono text-gray-500">{pre}</span>
+            <select value={cfg[pre] || "off"} onChange={e => set(pre, e.target.value)} className="flex-1 px-2 py-1 border rounded-lg">
+              <option value="off">Not used</option>
+              <option value="weight">Weight</option>
+              <option value="price">Price</option>
+            </select>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,242 @@
+import React, { useState } from "react";
+import { makeUser, withPassword, withPin, isValidPin, isLocked, isPinLocked, pinInUse } from "./auth";
+import { PERMISSIONS, DEFAULT_ROLES, permsOf } from "./permissions";
+
+const DEFAULT_ROLE_NAMES = Object.keys(DEFAULT_ROLES);
+
+/* ============ Users View (Admin) ============ */
+export default function Users({ users, saveUsers, me, roles, saveRoles, overrides }) {
+  const roleNames = Object.keys(roles);
+  const blank = { username: "", fullName: "", role: "cashier", password: "", pin: "" };
+  const [form, setForm] = useState(blank);
+  const [err, setErr] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const activeAdmins = users.filter(u => u.role === "admin" && !u.disabled);
+  const update = (username, patch) => saveUsers(users.map(u => u.username === username ? { ...u, ...patch } : u));
+  // the PIN pad locks as a whole (see authenticatePin), so it unlocks on every account
+  const unlock = (username) => saveUsers(users.map(u => u.username === username
+    ? { ...u, failed: 0, lockedUntil: null, pinFailed: 0, pinLockedUntil: null }
+    : isPinLocked(u) || u.pinFailed ? { ...u, pinFailed: 0, pinLockedUntil: null } : u));
+
+  // a PIN has to identify exactly one person at the till
+  const pinTaken = (pin, username) => pinInUse(users.filter(u => u.username !== username), pin);
+
+  const add = async () => {
+    setErr("");
+    const username = form.username.trim().toLowerCase();
+    if (!username || !form.fullName.trim()) return setErr("Username and full name are required");
+    if (users.some(u => u.username === username)) return setErr(`"${username}" already exists`);
+    if (form.password.length < 6) return setErr("Password must be at least 6 characters");
+    if (form.pin && !isValidPin(form.pin)) return setErr("PIN must be 4–6 digits");
+    setBusy(true);
+    try {
+      if (form.pin && await pinTaken(form.pin, username)) return setErr("That PIN is already in use");
+      const u = await makeUser({ ...form, username, fullName: form.fullName.trim() });
+      saveUsers([...users, u]);
+      setForm(blank);
+    } finally { setBusy(false); }
+  };
+
+  const toggle = (u) => {
+    if (!u.disabled && u.username === me.username) return alert("You cannot disable your own account.");
+    if (!u.disabled && u.role === "admin" && activeAdmins.length <= 1) return alert("At least one active admin is required.");
+    update(u.username, { disabled: !u.disabled });
+  };
+
+  const setRole = (u, role) => {
+    if (u.role === "admin" && role !== "admin" && activeAdmins.length <= 1 && !u.disabled)
+      return alert("At least one active admin is required.");
+    update(u.username, { role });
+  };
+
+  const resetPassword = async (u) => {
+    const pw = prompt(`New password for ${u.username} (min 6 characters)`);
+    if (pw == null) return;
+    if (pw.length < 6) return alert("Password must be at least 6 characters");
+    const next = await withPassword(u, pw);
+    saveUsers(users.map(x => x.username === u.username ? next : x));
+  };
+
+  const resetPin = async (u) => {
+    const pin = prompt(`Quick-switch PIN for ${u.username} (4–6 digits, blank to remove)`);
+    if (pin == null) return;
+    if (pin && !isValidPin(pin)) return alert("PIN must be 4–6 digits");
+    if (pin && await pinTaken(pin, u.username)) return alert("That PIN is already in use");
+    const next = await withPin(u, pin);
+    saveUsers(users.map(x => x.username === u.username ? next : x));
+  };
+
+  const togglePerm = (role, perm) => {
+    const has = roles[role].includes(perm);
+    saveRoles({ ...roles, [role]: has ? roles[role].filter(x => x !== perm) : [...roles[role], perm] });
+  };
+  const addRole = () => {
+    const name = (prompt("New role name") || "").trim().toLowerCase();
+    if (!name) return;
+    if (roles[name]) return alert(`"${name}" already exists`);
+    saveRoles({ ...roles, [name]: [] });
+  };
+  const removeRole = (role) => {
+    if (users.some(u => u.role === role)) return alert("Reassign the users in this role first.");
+    const { [role]: _, ...rest } = roles;
+    saveRoles(rest);
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+      <div className="bg-white border rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="font-semibold">Users</div>
+          <div className="text-sm text-gray-500">{users.length} accounts</div>
+        </div>
+
+        {/* Add user form */}
+        <div className="mb-2 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-2">
+          <input className="px-3 py-2 border rounded-xl" placeholder="Username *"
+            value={form.username} onChange={e => setForm(s => ({ ...s, username: e.target.value }))} />
+          <input className="px-3 py-2 border rounded-xl" placeholder="Full name *"
+            value={form.fullName} onChange={e => setForm(s => ({ ...s, fullName: e.target.value }))} />
+          <select className="px-3 py-2 border rounded-xl"
+            value={form.role} onChange={e => setForm(s => ({ ...s, role: e.target.value }))}>
+            {roleNames.map(r => <option key={r}>{r}</option>)}
+          </select>
+          <input type="password" className="px-3 py-2 border rounded-xl" placeholder="Password *"
+            value={form.password} onChange={e => setForm(s => ({ ...s, password: e.target.value }))} />
+          <input inputMode="numeric" maxLength={6} className="px-3 py-2 border rounded-xl" placeholder="PIN (optional)"
+            value={form.pin} onChange={e => setForm(s => ({ ...s, pin: e.target.value.replace(/\D/g, "") }))} />
+          <button onClick={add} disabled={busy} className="px-3 py-2 rounded-xl bg-gray-900 text-white">+ Add User</button>
+        </div>
+        {err && <div className="text-red-600 text-sm mb-2">{err}</div>}
+
+        <div className="overflow-x-auto mt-4">
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="py-2 pr-2">Username</th>
+                <th className="py-2 pr-2">Name</th>
+                <th className="py-2 pr-2">Role</th>
+                <th className="py-2 pr-2">PIN</th>
+                <th className="py-2 pr-2">Status</th>
+                <th className="py-2 pr-2">Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(u => {
+                const status = u.disabled ? "Disabled" : isLocked(u) ? "Locked" : isPinLocked(u) ? "PIN locked" : "Active";
+                return (
+                  <tr key={u.username} className="border-t">
+                    <td className="py-2 pr-2 font-mono">{u.username}{u.demo ? " (demo)" : ""}</td>
+                    <td className="py-2 pr-2">
+                      <input value={u.fullName} onChange={e => update(u.username, { fullName: e.target.value })}
+                        className="w-40 px-2 py-1 border rounded-lg" />
+                    </td>
+                    <td className="py-2 pr-2">
+                      <select value={u.role} onChange={e => setRole(u, e.target.value)} className="px-2 py-1 border rounded-lg">
+                        {roleNames.map(r => <option key={r}>{r}</option>)}
+                      </select>
+                    </td>
+                    <td className="py-2 pr-2 text-gray-500">{u.pinHash ? "Set" : "—"}</td>
+                    <td className={`py-2 pr-2 ${status === "Active" ? "text-gray-500" : "text-red-600"}`}>{status}</td>
+                    <td className="py-2 pr-2 whitespace-nowrap space-x-1">
+                      <button onClick={() => resetPassword(u)} className="px-3 py-1.5 rounded-lg border hover:bg-gray-50">Reset password</button>
+                      <button onClick={() => resetPin(u)} className="px-3 py-1.5 rounded-lg border hover:bg-gray-50">PIN</button>
+                      {(isLocked(u) || isPinLocked(u)) && (
+                        <button onClick={() => unlock(u.username)}
+                          className="px-3 py-1.5 rounded-lg border hover:bg-gray-50">Unlock</button>
+                      )}
+                      <button onClick={() => toggle(u)}
+                        className={`px-3 py-1.5 rounded-lg text-white ${u.disabled ? "bg-gray-900" : "bg-red-600"}`}>
+                        {u.disabled ? "Enable" : "Disable"}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="text-xs text-gray-500 mt-2">
+          Passwords and PINs are stored as salted PBKDF2 hashes.
+        </div>
+      </div>
+
+      {/* Role / permission matrix */}
+      <div className="bg-white border rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="font-semibold">Roles &amp; permissions</div>
+          <button onClick={addRole} className="px-3 py-1.5 rounded-lg border hover:bg-gray-50 text-sm">+ Add Role</button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="py-2 pr-2">Permission</th>
+                {roleNames.map(r => (
+                  <th key={r} className="py-2 pr-2 text-center">
+                    {r}
+                    {!DEFAULT_ROLE_NAMES.includes(r) && (
+                      <button onClick={() => removeRole(r)} className="ml-1 text-gray-400 hover:text-red-500">✕</button>
+                    )}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(PERMISSIONS).map(([perm, label]) => (
+                <tr key={perm} className="border-t">
+                  <td className="py-2 pr-2"><span className="font-mono">{perm}</span> <span className="text-gray-500">— {label}</span></td>
+                  {roleNames.map(r => (
+                    <td key={r} className="py-2 pr-2 text-center">
+                      <input type="checkbox" checked={permsOf(roles, r).includes(perm)} disabled={r === "admin"}
+                        onChange={() => togglePerm(r, perm)} />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="text-xs text-gray-500 mt-2">
+          Admins always hold every permission. Anyone lacking a permission can still proceed with a supervisor's override.
+        </div>
+      </div>
+
+      {/* Override log */}
+      <div className="bg-white border rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="font-semibold">Manager overrides</div>
+          <div className="text-sm text-gray-500">{overrides.length} entries</div>
+        </div>
+        <div className="overflow-x-auto max-h-80">
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="py-2 pr-2">When</th>
+                <th className="py-2 pr-2">Action</th>
+                <th className="py-2 pr-2">Permission</th>
+                <th className="py-2 pr-2">Requested by</th>
+                <th className="py-2 pr-2">Approved by</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...overrides].reverse().map(o => (
+                <tr key={o.id} className="border-t">
+                  <td className="py-2 pr-2">{new Date(o.ts).toLocaleString("en-PH")}</td>
+                  <td className="py-2 pr-2">{o.what}</td>
+                  <td className="py-2 pr-2 font-mono">{o.perm}</td>
+                  <td className="py-2 pr-2">{o.cashier}</td>
+                  <td className="py-2 pr-2">{o.approvedBy}</td>
+                </tr>
+              ))}
+              {overrides.length === 0 && (
+                <tr><td colSpan={5} className="text-center text-gray-500 py-8">No overrides yet.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import { localDate } from "./util";
+import { refundAmount } from "./refunds";
+import { lineKey, baseQty, itemCount } from "./units";
+
+/* ========= Sales analytics (Dashboard) ========= */
+// Everything is worked out from the journal: sales in the date range, less
+// the returns and voids issued in it. A line counts at what the customer paid
+// for it (after promotions, discount and VAT, as a refund would give back);
+// margin is that amount without VAT, less the line's cost at the time of
+// sale. Returned goods put back on the shelf give their cost back too;
+// damaged ones stay a loss.
+
+const DAY = 24 * 60 * 60 * 1000;
+const inRange = (ts, from, to) => {
+  const d = localDate(ts);
+  return (!from || d >= from) && (!to || d <= to);
+};
+// share of a sale's total that isn't VAT
+const exVat = (s) => (s.total ? (s.total - (s.taxAmt || 0)) / s.total : 1);
+
+const bucket = (map, key) => map[key] || (map[key] = { key, amount: 0, net: 0, cost: 0, qty: 0, count: 0 });
+const sorted = (map) => Object.values(map).sort((a, b) => b.amount - a.amount);
+
+// Every day from `from` to `to`, so quiet days show as gaps in the chart
+// (only for ranges up to a year; longer ones list the days with activity).
+const days = (map, from, to) => {
+  if (!from || !to || to < from || (new Date(to) - new Date(from)) / DAY > 366) {
+    return Object.values(map).sort((a, b) => a.key.localeCompare(b.key));
+  }
+  const out = [];
+  const [y, m, d] = from.split("-").map(Number);
+  for (let i = 0; ; i++) {
+    const key = localDate(new Date(y, m - 1, d + i));
+    if (key > to) break;
+    out.push(map[key] || { key, amount: 0, net: 0, cost: 0, qty: 0, count: 0 });
+  }
+  return out;
+};
+
+/**
+ * Figures for `from`..`to` (YYYY-MM-DD, inclusive; blank = open-ended).
+ * Returns totals plus `byDay`, `byHour`, `byCategory`, `byCashier` and
+ * `products` rows of `{ key, amount, net, cost, qty, count }`; `noCost` lists
+ * the products sold without a cost (their margin is overstated).
+ */
+export const analyze = ({ sales, refunds, inv, from, to }) => {
+  const products = new Map(inv.map(p => [p.id, p]));
+  const category = (id) => products.get(id)?.category || "Unknown";
+  const byDay = {}, byHour = {}, byCategory = {}, byCashier = {}, byProduct = {};
+  const noCost = new Set();
+  let gross = 0, returns = 0, count = 0, items = 0;
+
+  for (const p of inv) Object.assign(bucket(byProduct, p.id), { name: p.name, category: p.category });
+  const line = (s, it, sign, cost) => {
+    const amount = refundAmount(s, [it]) * sign;
+    const net = amount * exVat(s);
+    const qty = baseQty(it) * sign;
+    for (const b of [bucket(byProduct, it.id), bucket(byCategory, category(it.id))]) {
+      b.amount += amount; b.net += net; b.cost += cost * sign; b.qty += qty;
+    }
+    byProduct[it.id].name ??= it.name;
+    byProduct[it.id].category ??= category(it.id);
+  };
+  const time = (ts, amount, n) => {
+    for (const b of [bucket(byDay, localDate(ts)), bucket(byHour, String(new Date(ts).getHours()).padStart(2, "0"))]) {
+      b.amount += amount; b.count += n;
+    }
+  };
+
+  for (const s of sales) {
+    if (!inRange(s.ts, from, to)) continue;
+    gross += s.total;
+    count++;
+    items += itemCount(s.items);
+    time(s.ts, s.total, 1);
+    const c = bucket(byCashier, s.cashier || "—");
+    c.amount += s.total; c.count++;
+    for (const it of s.items) {
+      if (it.cost == null) noCost.add(it.id);
+      line(s, it, 1, (it.cost || 0) * baseQty(it));
+      byProduct[it.id].count++;
+    }
+  }
+
+  const saleById = new Map(sales.map(s => [s.id, s]));
+  for (const r of refunds) {
+    const s = saleById.get(r.saleId);
+    if (!s || !inRange(r.ts, from, to)) continue;
+    returns += r.amount;
+    time(r.ts, -r.amount, 0);
+    bucket(byCashier, s.cashier || "—").amount -= r.amount;
+    for (const l of r.lines) {
+      const it = s.items.find(x => lineKey(x) === lineKey(l));
+      line(s, l, -1, l.damaged ? 0 : (it?.cost || 0) * baseQty(l));
+    }
+  }
+
+  const net = gross - returns;
+  const revenue = Object.values(byCategory).reduce((a, b) => a + b.net, 0);
+  const cost = Object.values(byCategory).reduce((a, b) => a + b.cost, 0);
+  return {
+    gross, returns, net, count, items,
+    avgBasket: count ? gross / count : 0,
+    avgItems: count ? items / count : 0,
+    revenue, cost, margin: revenue - cost,
+    marginPct: revenue ? ((revenue - cost) / revenue) * 100 : 0,
+    byDay: days(byDay, from, to),
+    byHour: Object.values(byHour).sort((a, b) => a.key.localeCompare(b.key)),
+    byCategory: sorted(byCategory),
+    byCashier: sorted(byCashier),
+    products: sorted(byProduct),
+    noCost: [...noCost],
+  };
+};
+
+/**
+ * Products with stock on hand but no sale in the last `n` days (or never),
+ * longest idle first: `[{ p, last, value }]`, `value` at cost when known.
+ */
+export const deadStock = (inv, sales, n, now = new Date()) => {
+  const last = {};
+  for (const s of sales) for (const it of s.items) if (!last[it.id] || s.ts > last[it.id]) last[it.id] = s.ts;
+  const cutoff = new Date(now.getTime() - n * DAY).toISOString();
+  return inv
+    .filter(p => (p.stock || 0) > 0 && !(last[p.id] > cutoff))
+    .map(p => ({ p, last: last[p.id] || null, value: p.cost != null ? p.cost * p.stock : null }))
+    .sort((a, b) => (a.last || "").localeCompare(b.last || ""));
+};
+
+// Stock on hand at average cost and at selling price, per product.
+export const valuation = (inv) =>
+  inv
+    .filter(p => (p.stock || 0) > 0)
+    .map(p => ({ p, cost: p.cost != null ? p.cost * p.stock : null, retail: p.price * p.stock }))
+    .sort((a, b) => (b.cost ?? 0) - (a.cost ?? 0));
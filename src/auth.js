@@ -0,0 +1,117 @@
+/* ========= User accounts & credentials ========= */
+export const MAX_ATTEMPTS = 5;       // failed logins before lockout
+export const LOCK_MINUTES = 5;
+
+const ITERATIONS = 100000;
+const enc = new TextEncoder();
+const toHex = (buf) => [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
+
+export const newSalt = () => toHex(crypto.getRandomValues(new Uint8Array(16)));
+
+// PBKDF2-SHA256 via WebCrypto; only the salt and derived hash are ever stored.
+export const hashSecret = async (secret, salt) => {
+  const key = await crypto.subtle.importKey("raw", enc.encode(secret), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: enc.encode(salt), iterations: ITERATIONS }, key, 256);
+  return toHex(bits);
+};
+
+export const isValidPin = (pin) => /^\d{4,6}$/.test(pin);
+
+// A seeded account given its own password no longer has the demo one.
+export const withPassword = async ({ demo, ...u }, password) => {
+  const salt = newSalt();
+  return { ...u, salt, hash: await hashSecret(password, salt), failed: 0, lockedUntil: null };
+};
+
+export const withPin = async (u, pin) => {
+  if (!pin) return { ...u, pinSalt: null, pinHash: null };
+  const pinSalt = newSalt();
+  return { ...u, pinSalt, pinHash: await hashSecret(pin, pinSalt) };
+};
+
+export const makeUser = async ({ username, fullName, role, password, pin }) =>
+  withPin(await withPassword({ username, fullName, role, disabled: false }, password), pin);
+
+// First-run accounts. Flagged `demo` so the login hint disappears once an
+// admin has created a real account.
+export const seedUsers = async () => [
+  { ...(await makeUser({ username: "admin", fullName: "Administrator", role: "admin", password: "admin123" })), demo: true },
+  { ...(await makeUser({ username: "cashier", fullName: "Cashier", role: "cashier", password: "cash123" })), demo: true },
+];
+
+export const isLocked = (u) => !!u.lockedUntil && new Date(u.lockedUntil) > new Date();
+
+// The session only ever carries the public part of an account.
+export const publicUser = (u) => ({ username: u.username, role: u.role, fullName: u.fullName });
+
+/**
+ * Check a username/password pair. Returns `{ ok, user, msg, users }` where
+ * `users` is the account list with failure counters / lockout updated.
+ */
+export const authenticate = async (users, username, password) => {
+  const u = users.find(x => x.username === username);
+  if (!u || u.disabled) return { ok: false, msg: "Invalid username or password", users };
+  if (isLocked(u)) return { ok: false, msg: `Account locked. Try again after ${new Date(u.lockedUntil).toLocaleTimeString("en-PH")}`, users };
+
+  const ok = (await hashSecret(password, u.salt)) === u.hash;
+  let next;
+  if (ok) next = { ...u, failed: 0, lockedUntil: null };
+  else {
+    const failed = (u.failed || 0) + 1;
+    const lock = failed >= MAX_ATTEMPTS;
+    next = { ...u, failed: lock ? 0 : failed, lockedUntil: lock ? new Date(Date.now() + LOCK_MINUTES * 60000).toISOString() : null };
+  }
+  const nextUsers = users.map(x => x.username === u.username ? next : x);
+  if (ok) return { ok: true, user: next, users: nextUsers };
+  return {
+    ok: false,
+    msg: next.lockedUntil ? `Too many attempts. Account locked for ${LOCK_MINUTES} minutes.` : "Invalid username or password",
+    users: nextUsers,
+  };
+};
+
+// Quick-switch: find the active account whose PIN matches.
+export const findByPin = async (users, pin) => {
+  for (const u of users) {
+    if (u.disabled || !u.pinHash || isLocked(u)) continue;
+    if ((await hashSecret(pin, u.pinSalt)) === u.pinHash) return u;
+  }
+  return null;
+};
+
+export const isPinLocked = (u) => !!u.pinLockedUntil && new Date(u.pinLockedUntil) > new Date();
+
+/**
+ * Quick-switch by PIN. Returns `{ ok, user, msg, users }` like `authenticate`.
+ * A wrong PIN can't be pinned on one account, so every account with a PIN
+ * counts it (`pinFailed`) and after MAX_ATTEMPTS has PIN entry locked
+ * (`pinLockedUntil`) while passwords keep working.
+ */
+export const authenticatePin = async (users, pin) => {
+  const pinned = users.filter(u => u.pinHash);
+  if (pinned.some(isPinLocked)) return { ok: false, msg: "PIN entry locked. Use your password.", users };
+
+  const found = await findByPin(users, pin);
+  const failed = found ? 0 : Math.max(0, ...pinned.map(u => u.pinFailed || 0)) + 1;
+  const lock = failed >= MAX_ATTEMPTS;
+  const until = lock ? new Date(Date.now() + LOCK_MINUTES * 60000).toISOString() : null;
+  const count = lock ? 0 : failed;
+  const nextUsers = users.map(u => !u.pinHash || ((u.pinFailed || 0) === count && (u.pinLockedUntil || null) === until)
+    ? u : { ...u, pinFailed: count, pinLockedUntil: until });
+  if (found) return { ok: true, user: found, users: nextUsers };
+  return {
+    ok: false,
+    msg: lock ? `Too many attempts. PIN entry locked for ${LOCK_MINUTES} minutes.` : "Unknown PIN",
+    users: nextUsers,
+  };
+};
+
+// Is `pin` set on any account, disabled and locked ones included (they can
+// come back, and two people must never share a PIN)?
+export const pinInUse = async (users, pin) => {
+  for (const u of users) {
+    if (u.pinHash && (await hashSecret(pin, u.pinSalt)) === u.pinHash) return true;
+  }
+  return false;
+};
@@ -0,0 +1,29 @@
+import { describe, it, expect } from "vitest";
+import { withPin, authenticatePin, isPinLocked, MAX_ATTEMPTS } from "./auth";
+
+const guess = async (users, pin, times) => {
+  let r = { users };
+  for (let i = 0; i < times; i++) r = await authenticatePin(r.users, pin);
+  return r;
+};
+
+describe("authenticatePin", () => {
+  it("keeps the failure count on the accounts and locks PIN entry after too many", async () => {
+    const users = [await withPin({ username: "ana" }, "1234"), await withPin({ username: "ben" }, "5678"), { username: "cy" }];
+
+    let r = await guess(users, "0000", MAX_ATTEMPTS - 1);
+    expect(r.users.map(u => u.pinFailed)).toEqual([MAX_ATTEMPTS - 1, MAX_ATTEMPTS - 1, undefined]);
+    r = await authenticatePin(r.users, "1234");
+    expect(r.ok).toBe(true);
+    expect(r.users[0].pinFailed).toBe(0);
+
+    r = await guess(r.users, "0000", MAX_ATTEMPTS);
+    expect(r.msg).toMatch(/locked/);
+    expect(r.users.filter(isPinLocked).map(u => u.username)).toEqual(["ana", "ben"]);
+    expect(r.users[2]).toEqual({ username: "cy" });
+
+    const locked = await authenticatePin(r.users, "1234");
+    expect(locked.ok).toBe(false);
+    expect(locked.users).toBe(r.users);
+  });
+});
@@ -0,0 +1,24 @@
+/* ========= Product cost (moving average) ========= */
+// `p.cost` is what one base unit of the product cost us, averaged over the
+// stock on hand: every delivery received with a unit cost blends in by
+// quantity. It stays null (unknown) until a cost is entered in Inventory or
+// a delivery comes in with one. Sale lines keep the cost at the time of sale,
+// so margins don't move when the average does.
+
+const round = (n) => Math.round(n * 10000) / 10000;
+
+/**
+ * `p` with its cost updated for `qty` base units received at `unitCost`,
+ * before they are added to stock. A blank cost leaves the average alone.
+ */
+export const receiveCost = (p, qty, unitCost) => {
+  if (unitCost === "" || unitCost == null) return p;
+  const c = Number(unitCost), q = Number(qty);
+  if (!(c >= 0) || !(q > 0)) return p;
+  const onHand = Math.max(0, p.stock || 0);
+  const cost = p.cost == null || onHand <= 0 ? c : (onHand * p.cost + q * c) / (onHand + q);
+  return { ...p, cost: round(cost) };
+};
+
+// Cost typed in by hand: a number, or null when cleared.
+export const parseCost = (v) => (v === "" || v == null || !(Number(v) >= 0) ? null : round(Number(v)));
@@ -0,0 +1,57 @@
+/* ========= CSV read / write ========= */
+// Excel-friendly: reads comma, semicolon or tab separated files (whatever the
+// header row uses), quoted fields with embedded newlines, CRLF and a UTF-8 BOM.
+// Writes comma-separated UTF-8 with a BOM so Excel opens accents correctly.
+
+const sniff = (text) => {
+  const head = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [",", ";", "\t"].map(d => [d, head.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+};
+
+/** Parse CSV text into an array of string arrays (blank lines dropped). */
+export const parseCSV = (text) => {
+  text = text.replace(/^﻿/, "");
+  const d = sniff(text);
+  const rows = [];
+  let row = [], field = "", q = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (q) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') q = false;
+      else field += c;
+    } else if (c === '"') q = true;
+    else if (c === d) { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += c;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim() !== ""));
+};
+
+// Text a spreadsheet would run as a formula (=, +, -, @ …) is written with a
+// leading ' so it shows as typed; numbers are left alone.
+const FORMULA = /^[=+\-@\t\r]/;
+export const unescapeCell = (s) => (s[0] === "'" && FORMULA.test(s.slice(1)) ? s.slice(1) : s);
+
+const cell = (v) => {
+  let s = v == null ? "" : String(v);
+  if (typeof v !== "number" && FORMULA.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** `columns` is `[[header, row => value], ...]`. */
+export const toCSV = (rows, columns) =>
+  [columns.map(([h]) => cell(h)).join(","), ...rows.map(r => columns.map(([, get]) => cell(get(r))).join(","))].join("\r\n");
+
+export const downloadCSV = (filename, text) => {
+  const url = URL.createObjectURL(new Blob(["﻿" + text], { type: "text/csv;charset=utf-8" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,20 @@
+import { describe, it, expect } from "vitest";
+import { toCSV, parseCSV } from "./csv";
+import { planImport } from "./importer";
+
+describe("toCSV", () => {
+  const columns = [["id", r => r.id], ["name", r => r.name], ["stock", r => r.stock]];
+
+  it("writes formula-like text with a leading ' and leaves numbers alone", () => {
+    const csv = toCSV([{ id: "A1", name: "=HYPERLINK(\"x\")", stock: -3 }, { id: "A2", name: "@SUM(1)", stock: 4 }], columns);
+    expect(csv.split("\r\n")).toEqual(["id,name,stock", `A1,"'=HYPERLINK(""x"")",-3`, "A2,'@SUM(1),4"]);
+  });
+
+  it("reads its own export back as typed", () => {
+    const inv = [{ id: "A1", sku: "1", name: "Old", price: 1, stock: 0, lots: [] }];
+    const csv = toCSV([{ id: "A1", name: "-Promo pack-", stock: 0 }], columns);
+    const [header, ...rows] = parseCSV(csv);
+    const map = { id: header.indexOf("id"), name: header.indexOf("name") };
+    expect(planImport(rows, map, inv)[0].data.name).toBe("-Promo pack-");
+  });
+});
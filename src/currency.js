@@ -0,0 +1,50 @@
+import { localDate } from "./util";
+
+/* ========= Currencies & exchange rates ========= */
+// Prices, totals and reports are all in the base currency (settings.currency).
+// A foreign tender is converted at the rate in effect on the day of the sale:
+// settings.fxRates = [{ id, currency, rate, from }], `rate` being how many
+// base units one unit of `currency` buys, valid from `from` (YYYY-MM-DD)
+// until a later entry for the same currency takes over.
+
+export const CURRENCIES = ["PHP", "USD", "EUR", "JPY", "SGD", "HKD", "KRW", "CNY", "AUD", "GBP"];
+
+// 2 for PHP / USD, 0 for JPY / KRW — straight from Intl so every ISO code works.
+export const decimals = (cur) =>
+  new Intl.NumberFormat("en", { style: "currency", currency: cur }).resolvedOptions().maximumFractionDigits;
+
+export const roundMoney = (n, cur) => {
+  const f = 10 ** decimals(cur);
+  return Math.round((Number(n) || 0) * f + Number.EPSILON) / f;
+};
+
+// Round *up* to the currency's smallest unit: a foreign amount that must cover a base amount.
+export const ceilMoney = (n, cur) => {
+  const f = 10 ** decimals(cur);
+  return Math.ceil((Number(n) || 0) * f - 1e-6) / f;
+};
+
+/** The rate entry for `cur` in effect on `date` (YYYY-MM-DD), or null. */
+export const rateOn = (rates, cur, date = localDate(new Date())) =>
+  (rates || [])
+    .filter(r => r.currency === cur && r.from <= date && Number(r.rate) > 0)
+    .sort((a, b) => b.from.localeCompare(a.from))[0] || null;
+
+// Currencies a tender can be taken in today: the base plus any with a rate.
+export const tenderCurrencies = (settings, date) =>
+  [settings.currency, ...CURRENCIES.filter(c => c !== settings.currency && rateOn(settings.fxRates, c, date))];
+
+export const newRate = (currency, rate, from) => ({
+  id: `FX-${Date.now()}-${currency}`,
+  currency,
+  rate: Number(rate),
+  from,
+});
+
+export const checkRate = (r, base) => {
+  if (!CURRENCIES.includes(r.currency)) return "Pick a currency";
+  if (r.currency === base) return "The base currency has no rate";
+  if (!(Number(r.rate) > 0)) return "Rate must be more than 0";
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(r.from || "")) return "Effective date is required";
+  return null;
+};
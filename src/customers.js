@@ -0,0 +1,170 @@
+import { fmt, localDate, uniq } from "./util";
+import { roundMoney } from "./currency";
+import { appliedByType, CUSTOMER_TENDERS } from "./tenders";
+
+/* ========= Customers, loyalty points & accounts receivable ========= */
+// A customer record only says who they are and on what terms. What they owe
+// and the points they hold are worked out from the sales, refunds and account
+// payments that name them, so terminals syncing in any order always agree.
+
+const CENT = 0.005;
+const DAY = 24 * 60 * 60 * 1000;
+
+export const newCustomer = ({ name, phone = "", email = "", address = "", tin = "", limit = 0, terms = 30 }) => ({
+  id: `CU-${Date.now()}-${uniq()}`, name: name.trim(), phone: phone.trim(), email: email.trim(), address, tin,
+  limit: Number(limit) || 0,   // credit limit; 0 = no charge account
+  terms: Number(terms) || 0,   // days until a charge falls due
+  createdAt: new Date().toISOString(),
+});
+
+/** Check a new or edited customer; returns an error message or "". */
+export const checkCustomer = (c, customers) => {
+  if (!c.name.trim()) return "Name is required";
+  const phone = c.phone.trim();
+  const clash = phone && customers.find(x => x.id !== c.id && x.phone === phone);
+  if (clash) return `Phone ${phone} belongs to ${clash.name}`;
+  if (!(Number(c.limit) >= 0)) return "Credit limit must be 0 or more";
+  if (!(Number.isInteger(Number(c.terms)) && Number(c.terms) >= 0)) return "Terms must be a whole number of days";
+  return "";
+};
+
+// Name, phone (digits only, so "0917 123 4567" finds "09171234567") or id.
+export const findCustomers = (customers, q) => {
+  const t = q.trim().toLowerCase();
+  const digits = t.replace(/\D/g, "");
+  if (!t) return customers;
+  return customers.filter(c =>
+    c.name.toLowerCase().includes(t) || c.id.toLowerCase() === t ||
+    (digits.length >= 3 && (c.phone || "").replace(/\D/g, "").includes(digits)));
+};
+
+/* ----- Loyalty points ----- */
+// `settings.loyalty`: one point per `earnPer` spent, each point worth
+// `pointValue` when redeemed as a tender. `earnPer` 0 turns earning off.
+export const loyaltyConfig = (settings) => ({ earnPer: 0, pointValue: 1, ...settings.loyalty });
+export const loyaltyOn = (settings) => loyaltyConfig(settings).earnPer > 0;
+
+// What was paid with the Points tender, in money.
+const paidWithPoints = (tenders) =>
+  tenders.filter(t => t.type === "Points").reduce((a, t) => a + (Number(t.base ?? t.amount) || 0), 0);
+
+// Points are earned on the sale total less what was paid with points.
+export const pointsEarned = (total, tenders, settings) => {
+  const { earnPer } = loyaltyConfig(settings);
+  return earnPer > 0 ? Math.max(0, Math.floor((total - paidWithPoints(tenders)) / earnPer + 1e-9)) : 0;
+};
+
+// What the Points tenders of a cart or sale are worth, in points.
+export const pointsUsed = (tenders, settings) => {
+  const paid = paidWithPoints(tenders);
+  return paid ? Math.round(paid / loyaltyConfig(settings).pointValue) : 0;
+};
+
+export const pointsOf = (customer, sales, refunds) => {
+  let n = 0;
+  for (const s of sales) if (s.customer?.id === customer.id) n += (s.pointsEarned || 0) - (s.pointsUsed || 0);
+  for (const r of refunds) if (r.customerId === customer.id) n += (r.pointsBack || 0) - (r.pointsLost || 0);
+  return n;
+};
+
+/* ----- Charge accounts ----- */
+
+export const newPayment = ({ customer, amount, method, ref, user, shiftId, currency }) => {
+  const now = new Date();
+  return {
+    id: `PAY-${now.getTime()}-${uniq()}`,
+    ts: now.toISOString(),
+    time: now.toLocaleString("en-PH"),
+    customerId: customer.id,
+    customerName: customer.name,
+    amount: Number(amount),
+    method,               // "Cash" | "Card" | "E-Wallet"
+    ref: (ref || "").trim(),
+    currency,
+    cashier: user.fullName,
+    shiftId: shiftId || null,
+  };
+};
+
+/**
+ * Every charge, return and payment on `customer`'s account, oldest first:
+ * `[{ ts, ref, kind, note, charge, credit, due, balance }]` with the running
+ * balance. Charges fall due `customer.terms` days after the sale.
+ */
+export const accountLedger = (customer, sales, refunds, payments, cur = "PHP") => {
+  const rows = [];
+  for (const s of sales) {
+    const amt = s.customer?.id === customer.id ? appliedByType(s).Account || 0 : 0;
+    if (amt > 0) rows.push({
+      ts: s.ts, ref: s.id, kind: "Charge", note: `${s.items.length} line(s)`, charge: amt, credit: 0,
+      due: localDate(new Date(s.ts).getTime() + (customer.terms || 0) * DAY),
+    });
+  }
+  for (const r of refunds) {
+    if (r.customerId === customer.id && r.account > 0) {
+      rows.push({ ts: r.ts, ref: r.id, kind: r.kind === "void" ? "Void" : "Return", note: `OR ${r.saleId}`, charge: 0, credit: r.account });
+    }
+  }
+  for (const p of payments) {
+    if (p.customerId === customer.id) {
+      rows.push({ ts: p.ts, ref: p.id, kind: "Payment", note: [p.method, p.ref].filter(Boolean).join(" "), charge: 0, credit: p.amount });
+    }
+  }
+  rows.sort((a, b) => a.ts.localeCompare(b.ts));
+  let balance = 0;
+  for (const r of rows) r.balance = balance = roundMoney(balance + r.charge - r.credit, cur);
+  return rows;
+};
+
+export const balanceOf = (ledger) => ledger.length ? ledger[ledger.length - 1].balance : 0;
+
+// Credits settle the oldest charges first; what is left of each charge past
+// its due date on `today` is overdue.
+export const overdueOf = (ledger, cur = "PHP", today = localDate(new Date())) => {
+  let credits = ledger.reduce((a, r) => a + r.credit, 0);
+  let overdue = 0;
+  for (const r of ledger.filter(r => r.charge > 0)) {
+    const open = Math.max(0, r.charge - credits);
+    credits = Math.max(0, credits - r.charge);
+    if (open > 0 && r.due < today) overdue += open;
+  }
+  return roundMoney(overdue, cur);
+};
+
+/**
+ * The customer-only checks on the tenders: there must be a customer, points
+ * can't exceed what they hold, and a charge must fit in the credit limit.
+ * `account` is `{ customer, balance, points }` or null. Returns error messages.
+ */
+export const checkAccountTenders = (tenders, account, settings) => {
+  const errors = [];
+  const cur = settings.currency;
+  const used = tenders.filter(t => CUSTOMER_TENDERS.includes(t.type) && Number(t.amount) > 0);
+  if (!used.length) return errors;
+  if (!account) return ["Attach a customer to pay with points or charge to account"];
+  if (used.some(t => t.currency && t.currency !== cur)) errors.push(`Points and account charges are in ${cur} only`);
+  const points = used.filter(t => t.type === "Points").reduce((a, t) => a + Number(t.amount), 0);
+  if (points > 0) {
+    const { pointValue } = loyaltyConfig(settings);
+    if (!loyaltyOn(settings) || !(pointValue > 0)) errors.push("Loyalty points are turned off");
+    else if (Math.abs(points / pointValue - Math.round(points / pointValue)) > 1e-6) errors.push(`Points pay in steps of ${fmt(pointValue, cur)}`);
+    else if (Math.round(points / pointValue) > account.points) errors.push(`${account.customer.name} has ${account.points} points`);
+  }
+  const charge = used.filter(t => t.type === "Account").reduce((a, t) => a + Number(t.amount), 0);
+  if (charge > 0) {
+    const { customer, balance } = account;
+    if (!(customer.limit > 0)) errors.push(`${customer.name} has no charge account`);
+    else if (balance + charge > customer.limit + CENT) errors.push(`Over the credit limit; ${fmt(Math.max(0, customer.limit - balance), cur)} available`);
+  }
+  return errors;
+};
+
+// An account payment: positive, no more than is owed, and card / e-wallet need their reference.
+export const checkPayment = ({ amount, method, ref }, balance) => {
+  const n = Number(amount);
+  if (!(n > 0)) return "Amount must be more than 0";
+  if (n > balance + CENT) return "Amount is more than the balance";
+  if (method !== "Cash" && !String(ref || "").trim()) return "Reference / approval no. is required";
+  return "";
+};
+
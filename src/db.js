@@ -0,0 +1,218 @@
+import { sellable, deductFEFO } from "./lots";
+import { issueOR } from "./orseries";
+import { lineKey, baseQty, qtyText, unitOf } from "./units";
+
+/* ========= IndexedDB repository ========= */
+// One object store per collection, keyed by each record's own id, plus a
+// `meta` store for single values (settings, roles, the open shift …).
+// Writes are per record; multi-store changes go through `transact` so they
+// land together or not at all. Every committed change is broadcast so other
+// tabs can patch their in-memory copies, and, while sync is on, queued in the
+// `outbox` store in the same transaction.
+
+const DB_NAME = "mnl-pos";
+const DB_VERSION = 4;
+
+export const STORES = {
+  users:          "username",
+  inventory:      "id",
+  movements:      "id",
+  suppliers:      "id",
+  purchaseOrders: "id",
+  sales:          "id",
+  refunds:        "id",
+  shifts:         "id",
+  overrides:      "id",
+  held:           "id",
+  customers:      "id",
+  payments:       "id",
+};
+export const META = "meta";
+export const OUTBOX = "outbox";
+
+// Collections shared between terminals by the sync module.
+export const SYNCED_STORES = ["inventory", "movements", "sales", "refunds", "shifts", "suppliers", "purchaseOrders", "customers", "payments"];
+let outboxOn = false;
+export const enableOutbox = (on) => { outboxOn = on; };
+
+const req = (r) => new Promise((resolve, reject) => {
+  r.onsuccess = () => resolve(r.result);
+  r.onerror = () => reject(r.error);
+});
+
+let dbp = null;
+export const openDB = () => dbp || (dbp = new Promise((resolve, reject) => {
+  const r = indexedDB.open(DB_NAME, DB_VERSION);
+  r.onupgradeneeded = () => {
+    const db = r.result;
+    for (const [name, keyPath] of Object.entries(STORES)) if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath });
+    if (!db.objectStoreNames.contains(META)) db.createObjectStore(META);
+    if (!db.objectStoreNames.contains(OUTBOX)) db.createObjectStore(OUTBOX, { keyPath: "seq", autoIncrement: true });
+  };
+  r.onsuccess = () => resolve(r.result);
+  r.onerror = () => reject(r.error);
+}));
+
+/* ----- Cross-tab updates ----- */
+// A change is { store, put: [records], del: [keys] } or { meta, value }.
+const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(DB_NAME) : null;
+const listeners = new Set();
+channel && (channel.onmessage = (e) => listeners.forEach(fn => fn(e.data)));
+
+// `fn(changes)` runs for changes committed in *other* tabs.
+export const subscribe = (fn) => {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+};
+const broadcast = (changes) => changes.length && channel?.postMessage(changes);
+
+/**
+ * Run `fn(tx)` in one readwrite transaction over `stores`. Inside, only await
+ * IndexedDB requests (via `tx.get` / `tx.put` / `tx.del` / `tx.getAll`) or the
+ * transaction auto-commits early. Throwing aborts everything.
+ * `tx.putStock(product)` writes a product whose only change is stock; other
+ * terminals rebuild that from the stock movements, so it is queued as a
+ * "stock" op that never overwrites their product fields.
+ * Resolves to `{ result, changes }` once the transaction has committed.
+ * Pass `{ sync: false }` for writes that must not be queued for other
+ * terminals (changes pulled from the server, restores).
+ */
+export const transact = async (stores, fn, { sync = true } = {}) => {
+  const db = await openDB();
+  const queue = sync && outboxOn && stores.some(s => SYNCED_STORES.includes(s));
+  const t = db.transaction(queue ? [...stores, OUTBOX] : stores, "readwrite");
+  const enqueue = (store, op, key, record) => {
+    if (queue && SYNCED_STORES.includes(store)) t.objectStore(OUTBOX).add({ store, op, key, record, ts: new Date().toISOString() });
+  };
+  const done = new Promise((resolve, reject) => {
+    t.oncomplete = resolve;
+    t.onabort = t.onerror = () => reject(t.error || new Error("Transaction aborted"));
+  });
+  const changes = [];
+  const tx = {
+    get: (store, key) => req(t.objectStore(store).get(key)),
+    getAll: (store) => req(t.objectStore(store).getAll()),
+    put: (store, value, key) => {
+      if (store === META) changes.push({ meta: key, value });
+      else changes.push({ store, put: [value] });
+      enqueue(store, "put", store === META ? key : value[STORES[store]], value);
+      return req(store === META ? t.objectStore(store).put(value, key) : t.objectStore(store).put(value));
+    },
+    putStock: (p) => {
+      changes.push({ store: "inventory", put: [p] });
+      enqueue("inventory", "stock", p.id, p);
+      return req(t.objectStore("inventory").put(p));
+    },
+    del: (store, key) => {
+      changes.push(store === META ? { meta: key, value: null } : { store, del: [key] });
+      enqueue(store, "del", key, null);
+      return req(t.objectStore(store).delete(key));
+    },
+  };
+  let result;
+  try {
+    result = await fn(tx);
+  } catch (e) {
+    try { t.abort(); } catch { /* already finished */ }
+    await done.catch(() => {});
+    throw e;
+  }
+  await done;
+  broadcast(changes);
+  return { result, changes };
+};
+
+// Apply one broadcast change to an in-memory list, keeping its order.
+export const patchList = (list, change) => {
+  const key = STORES[change.store];
+  let next = list;
+  for (const r of change.put || []) {
+    const i = next.findIndex(x => x[key] === r[key]);
+    next = i < 0 ? [...next, r] : next.map((x, j) => j === i ? r : x);
+  }
+  if (change.del?.length) next = next.filter(x => !change.del.includes(x[key]));
+  return next;
+};
+
+/* ----- Simple reads & writes ----- */
+export const getAll = async (store, count) => req((await openDB()).transaction(store).objectStore(store).getAll(null, count));
+export const getMeta = async (key) => req((await openDB()).transaction(META).objectStore(META).get(key));
+
+export const setMeta = (key, value) => transact([META], tx => value == null ? tx.del(META, key) : tx.put(META, value, key));
+export const putMany = (store, records) => records.length ? transact([store], tx => Promise.all(records.map(r => tx.put(store, r)))) : null;
+
+/**
+ * Persist a whole-list update by writing only what changed: records whose
+ * object identity differs from `prev`, and deletes for ones that are gone.
+ */
+export const saveList = (store, prev, next) => {
+  const key = STORES[store];
+  const before = new Map(prev.map(r => [r[key], r]));
+  const after = new Set(next.map(r => r[key]));
+  const put = next.filter(r => before.get(r[key]) !== r);
+  const del = prev.filter(r => !after.has(r[key])).map(r => r[key]);
+  if (!put.length && !del.length) return null;
+  return transact([store], async tx => {
+    for (const r of put) await tx.put(store, r);
+    for (const k of del) await tx.del(store, k);
+  });
+};
+
+export const loadAll = async () => {
+  const data = {};
+  for (const store of Object.keys(STORES)) data[store] = await getAll(store);
+  const db = await openDB();
+  const m = db.transaction(META).objectStore(META);
+  const keys = await req(m.getAllKeys());
+  const vals = await req(m.getAll());
+  data.meta = Object.fromEntries(keys.map((k, i) => [k, vals[i]]));
+  return data;
+};
+
+// Wipe and refill every store in one transaction (restore / first import / migration).
+// Never queued for sync.
+export const replaceAll = (data, meta) =>
+  transact([...Object.keys(STORES), META], async tx => {
+    for (const store of Object.keys(STORES)) {
+      for (const r of await tx.getAll(store)) await tx.del(store, r[STORES[store]]);
+      for (const r of data[store] || []) await tx.put(store, r);
+    }
+    for (const [k, v] of Object.entries(meta)) await (v == null ? tx.del(META, k) : tx.put(META, v, k));
+  }, { sync: false });
+
+export const clearOutbox = () =>
+  transact([OUTBOX], async tx => {
+    for (const o of await tx.getAll(OUTBOX)) await tx.del(OUTBOX, o.seq);
+  }, { sync: false });
+
+/**
+ * Ring up a sale atomically: re-read each product, deduct FEFO from the
+ * current record (not this tab's possibly stale copy), take the next OR
+ * number, then write the products, the journal entry, the stock movements
+ * and the advanced OR counter together.
+ * `build(taken, before, after, or)` returns `{ sale, movements }`; `taken` is
+ * the lots each cart line came from, by `lineKey`, and `or` is `{ no, seq }`.
+ * Rejects, changing nothing, if another till sold the stock first.
+ */
+export const commitSale = (cart, build) =>
+  transact(["inventory", "sales", "movements", META], async tx => {
+    const taken = {}, before = {}, after = {};
+    // a product can be on several lines (by the piece and by the box)
+    for (const it of cart) {
+      const p = after[it.id] || await tx.get("inventory", it.id);
+      if (!p) throw new Error(`${it.name} no longer exists`);
+      before[it.id] = before[it.id] || p;
+      if (sellable(p) < baseQty(it)) throw new Error(`Only ${qtyText(sellable(p), unitOf(p))} of ${it.name} left`);
+      const r = deductFEFO(p, baseQty(it));
+      taken[lineKey(it)] = r.taken;
+      after[it.id] = r.product;
+    }
+    for (const p of Object.values(after)) await tx.putStock(p);
+    const or = issueOR(await tx.get(META, "orSeries"));
+    const { sale, movements } = build(taken, Object.values(before), Object.values(after), { no: or.no, seq: or.seq });
+    if (await tx.get("sales", sale.id)) throw new Error(`OR ${sale.id} already exists; give this terminal its own OR prefix`);
+    await tx.put(META, or.series, "orSeries");
+    await tx.put("sales", sale);
+    for (const m of movements) await tx.put("movements", m);
+    return sale;
+  });
@@ -0,0 +1,95 @@
+/* ========= ESC/POS encoder ========= */
+// Builds the byte stream a thermal receipt printer understands. Pure: no
+// printer or browser API is touched, so output can be checked byte by byte.
+//   const e = escpos({ columns: 32 });
+//   e.init().align("center").bold(true).line("SHOP").bold(false).cols("Total", "P100.00").cut();
+//   e.bytes() → Uint8Array
+// Text is sent as plain ASCII (the printers' default code page has no ₱);
+// see `toAscii`.
+
+const ESC = 0x1b, GS = 0x1d;
+
+// Characters per line in Font A: 58 mm paper → 32, 80 mm → 48.
+export const COLUMNS = { 58: 32, 80: 48 };
+
+const ASCII = { "₱": "P", "×": "x", "−": "-", "–": "-", "—": "-", "•": "*", "…": "...", "’": "'", "‘": "'", "“": '"', "”": '"', "\u00a0": " ", "€": "EUR", "¥": "Y", "£": "L", "₩": "W" };
+
+// Strip accents and replace what the printer cannot draw.
+export const toAscii = (s) =>
+  String(s ?? "")
+    .replace(/[₱×−–—•…’‘“”\u00a0€¥£₩]/g, ch => ASCII[ch])
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e\n]/g, "?");
+
+// Word-wrap to `width` columns; words longer than a line are split.
+export const wrap = (s, width) => {
+  const out = [];
+  for (const para of toAscii(s).split("\n")) {
+    let cur = "";
+    for (let w of para.split(" ")) {
+      while (w.length > width) {
+        if (cur) { out.push(cur); cur = ""; }
+        out.push(w.slice(0, width));
+        w = w.slice(width);
+      }
+      if (!cur) cur = w;
+      else if (cur.length + 1 + w.length <= width) cur += " " + w;
+      else { out.push(cur); cur = w; }
+    }
+    out.push(cur);
+  }
+  return out;
+};
+
+export const escpos = ({ columns = 48 } = {}) => {
+  const out = [];
+  let width = 1; // current character width multiplier
+  const cols = () => Math.floor(columns / width);
+  const push = (...b) => { out.push(...b); return e; };
+  const text = (s) => push(...Array.from(toAscii(s), ch => ch.charCodeAt(0)));
+
+  const e = {
+    raw: (...b) => push(...b),
+    init: () => { width = 1; return push(ESC, 0x40); },
+    align: (a) => push(ESC, 0x61, { left: 0, center: 1, right: 2 }[a] ?? 0),
+    bold: (on) => push(ESC, 0x45, on ? 1 : 0),
+    // 1–8 × normal; wider text means fewer columns per line
+    size: (w = 1, h = w) => {
+      width = w;
+      return push(GS, 0x21, ((w - 1) << 4) | (h - 1));
+    },
+    // one or more printed lines, wrapped to the paper
+    line: (s = "") => {
+      for (const l of wrap(s, cols())) text(l + "\n");
+      return e;
+    },
+    // `left` and `right` on one line, right-aligned; long left text wraps above
+    cols: (left, right = "") => {
+      const r = toAscii(right);
+      const ls = wrap(left, Math.max(1, cols() - r.length - 1));
+      ls.slice(0, -1).forEach(l => text(l + "\n"));
+      const last = ls[ls.length - 1];
+      return text(last + " ".repeat(Math.max(1, cols() - last.length - r.length)) + r + "\n");
+    },
+    rule: (ch = "-") => text(ch.repeat(cols()) + "\n"),
+    feed: (n = 1) => push(ESC, 0x64, n),
+    // feed past the cutter, then a partial cut
+    cut: () => push(GS, 0x56, 66, 3),
+    // pulse pin 2 (the usual cash drawer connector) for 50 ms on, 500 ms off
+    drawer: () => push(ESC, 0x70, 0, 25, 250),
+    /**
+     * Print a 1-bit raster `{ width, height, data }`, `data` holding one byte
+     * per pixel (truthy = black), row by row.
+     */
+    image: ({ width: w, height: h, data }) => {
+      const xb = Math.ceil(w / 8);
+      const bits = new Array(xb * h).fill(0);
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) if (data[y * w + x]) bits[y * xb + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+      return push(GS, 0x76, 0x30, 0, xb & 0xff, xb >> 8, h & 0xff, h >> 8, ...bits);
+    },
+    bytes: () => Uint8Array.from(out),
+  };
+  return e;
+};
@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import { escpos, wrap, toAscii } from "./escpos";
+import { receiptBytes, RECEIPT_DEFAULTS } from "./receipt";
+
+// Bytes as a string, so control codes read as \x1b… in failures.
+const str = (bytes) => String.fromCharCode(...bytes);
+
+describe("escpos", () => {
+  it("lays out two columns across 32 and 48 characters", () => {
+    expect(str(escpos({ columns: 32 }).cols("Total", "P100.00").bytes()))
+      .toBe("Total" + " ".repeat(20) + "P100.00\n");
+    expect(str(escpos({ columns: 48 }).cols("Total", "P100.00").bytes()))
+      .toBe("Total" + " ".repeat(36) + "P100.00\n");
+  });
+
+  it("wraps a long left column above the line that carries the amount", () => {
+    expect(str(escpos({ columns: 32 }).cols("2 × Barako coffee beans 250g whole", "P640.00").bytes()))
+      .toBe("2 x Barako coffee beans\n" + "250g whole" + " ".repeat(15) + "P640.00\n");
+  });
+
+  it("splits a word longer than the line", () => {
+    expect(wrap("A".repeat(40), 32)).toEqual(["A".repeat(32), "A".repeat(8)]);
+  });
+
+  it("switches double size on and off and halves the columns meanwhile", () => {
+    const e = escpos({ columns: 32 }).size(2).cols("TOTAL", "P9").size(1).cols("TOTAL", "P9");
+    expect(str(e.bytes())).toBe(
+      "\x1d\x21\x11" + "TOTAL" + " ".repeat(9) + "P9\n" +
+      "\x1d\x21\x00" + "TOTAL" + " ".repeat(25) + "P9\n",
+    );
+  });
+
+  it("encodes bold, alignment, feed, cut and the drawer kick", () => {
+    const e = escpos().init().align("center").bold(true).line("SHOP").bold(false).feed(3).cut().drawer();
+    expect(str(e.bytes())).toBe("\x1b@" + "\x1ba\x01" + "\x1bE\x01" + "SHOP\n" + "\x1bE\x00" + "\x1bd\x03" + "\x1dVB\x03" + "\x1bp\x00\x19\xfa");
+  });
+
+  it("sends plain ASCII", () => {
+    expect(toAscii("₱1,000 – café “ok”")).toBe('P1,000 - cafe "ok"');
+  });
+});
+
+describe("receiptBytes", () => {
+  const sale = {
+    id: "OR-000042", time: "10/19/2026, 9:30:00 AM", cashier: "Maria", currency: "PHP",
+    items: [{ id: "CB", name: "Barako coffee beans 250g whole", price: 320, qty: 2 }],
+    sub: 640, discLabel: "Discount", discPct: 0, discAmt: 0, vatPct: 12, taxAmt: 68.57, taxIncl: true, vatRemoved: 0,
+    total: 640, tenders: [{ type: "Cash", amount: 1000, ref: "", last4: "" }], change: 360,
+  };
+
+  it("prints on 58 mm paper at 32 columns, wrapping long item names", () => {
+    const out = str(receiptBytes(sale, { ...RECEIPT_DEFAULTS, width: 58 }));
+    expect(out).toContain("\n" + "-".repeat(32) + "\n");
+    expect(out).toContain("2 x Barako coffee beans\n250g whole" + " ".repeat(15) + "P640.00\n");
+    expect(out).toContain("\x1bE\x01TOTAL" + " ".repeat(20) + "P640.00\n\x1bE\x00");
+  });
+
+  it("prints on 80 mm paper at 48 columns", () => {
+    const out = str(receiptBytes(sale, { ...RECEIPT_DEFAULTS, width: 80 }));
+    expect(out).toContain("\n" + "-".repeat(48) + "\n");
+    expect(out).toContain("2 x Barako coffee beans 250g whole" + " ".repeat(7) + "P640.00\n");
+    expect(out).toContain("Change" + " ".repeat(35) + "P360.00\n");
+  });
+
+  it("starts with a reset and ends with the cut, then the drawer kick only when asked", () => {
+    const tpl = { ...RECEIPT_DEFAULTS, width: 58 };
+    expect(str(receiptBytes(sale, tpl)).slice(0, 2)).toBe("\x1b@");
+    expect(str(receiptBytes(sale, tpl)).endsWith("\x1dVB\x03")).toBe(true);
+    expect(str(receiptBytes(sale, tpl, { drawer: true })).endsWith("\x1dVB\x03\x1bp\x00\x19\xfa")).toBe(true);
+  });
+});
@@ -0,0 +1,122 @@
+import { toCSV } from "./csv";
+import { localDate, isExpired } from "./util";
+import { sellable } from "./lots";
+import { taxClassOf } from "./pricing";
+import { reorderPoint, reorderQty } from "./purchasing";
+import { TENDER_TYPES, saleTenders, appliedByType, tenderText } from "./tenders";
+import { unitOf, itemCount } from "./units";
+
+/* ========= CSV exports (for the accountant) ========= */
+const money = (n) => (n ?? 0).toFixed(2);
+
+export const inventoryCSV = (inv, suppliers = []) => toCSV(inv, [
+  ["id", p => p.id],
+  ["sku", p => p.sku],
+  ["name", p => p.name],
+  ["category", p => p.category],
+  ["price", p => money(p.price)],
+  ["cost", p => p.cost ?? ""],
+  ["unit", p => unitOf(p)],
+  ["stock", p => p.stock],
+  ["expiry", p => p.expiry || ""],
+  ["sellable", p => sellable(p)],
+  ["damaged", p => p.damaged || 0],
+  ["tax_class", p => taxClassOf(p)],
+  ["reorder_point", p => reorderPoint(p)],
+  ["reorder_qty", p => reorderQty(p)],
+  ["supplier", p => suppliers.find(s => s.id === p.supplierId)?.name || ""],
+]);
+
+// one row per lot, so counts can be checked shelf by shelf
+export const stockLevelsCSV = (inv) => toCSV(
+  inv.flatMap(p => p.lots.map(l => ({ p, l }))),
+  [
+    ["id", r => r.p.id],
+    ["sku", r => r.p.sku],
+    ["name", r => r.p.name],
+    ["lot", r => r.l.id],
+    ["qty", r => r.l.qty],
+    ["expiry", r => r.l.expiry || ""],
+    ["received", r => r.l.received || ""],
+    ["supplier_ref", r => r.l.supplierRef || ""],
+    ["status", r => (r.l.qty <= 0 ? "Empty" : isExpired(r.l.expiry) ? "Expired" : "Sellable")],
+  ],
+);
+
+export const salesCSV = (sales, refunds = []) => toCSV(sales, [
+  ["or_no", s => s.id],
+  ["date", s => localDate(s.ts)],
+  ["time", s => new Date(s.ts).toLocaleTimeString("en-PH")],
+  ["cashier", s => s.cashier],
+  ["shift", s => s.shiftId || ""],
+  ["customer", s => s.customer?.name || ""],
+  ["method", s => s.method],
+  ["tenders", s => saleTenders(s).map(t => tenderText(t, money, s.currency)).join("; ")],
+  ["currency", s => s.currency],
+  ["items", s => itemCount(s.items)],
+  ["subtotal", s => money(s.sub)],
+  ["promotions", s => (s.promos || []).map(p => `${p.name}: ${money(p.amount)}`).join("; ")],
+  ["promo_discount", s => money(s.promoAmt)],
+  ["discount_type", s => (s.discAmt ? s.discLabel || "" : "")],
+  ["discount", s => money(s.discAmt)],
+  ["vatable", s => money(s.vatable)],
+  ["vat", s => money(s.taxAmt)],
+  ["vat_exempt", s => money(s.vatExempt)],
+  ["zero_rated", s => money(s.zeroRated)],
+  ["total", s => money(s.total)],
+  // what each tender type paid toward the total (cash net of change)
+  ...TENDER_TYPES.map(t => [t.toLowerCase().replace("-", "_"), s => money(appliedByType(s)[t])]),
+  ["change", s => money(s.change)],
+  ["points_earned", s => s.pointsEarned || ""],
+  ["points_used", s => s.pointsUsed || ""],
+  ["refunded", s => money(refunds.filter(r => r.saleId === s.id).reduce((a, r) => a + r.amount, 0))],
+  ["voided", s => (refunds.some(r => r.saleId === s.id && r.kind === "void") ? "Y" : "")],
+]);
+
+/* ----- Dashboard ----- */
+const marginPct = (r) => (r.net ? (((r.net - r.cost) / r.net) * 100).toFixed(1) : "");
+
+// sales by day / hour / category / cashier
+export const bucketsCSV = (rows, keyHeader) => toCSV(rows, [
+  [keyHeader, r => r.key],
+  ["transactions", r => r.count || ""],
+  ["sales", r => money(r.amount)],
+  ["net_of_vat", r => (r.net ? money(r.net) : "")],
+  ["cost", r => (r.net ? money(r.cost) : "")],
+  ["margin", r => (r.net ? money(r.net - r.cost) : "")],
+  ["margin_pct", r => marginPct(r)],
+]);
+
+export const productSalesCSV = (rows) => toCSV(rows, [
+  ["id", r => r.key],
+  ["name", r => r.name],
+  ["category", r => r.category],
+  ["qty", r => r.qty],
+  ["sales", r => money(r.amount)],
+  ["net_of_vat", r => money(r.net)],
+  ["cost", r => money(r.cost)],
+  ["margin", r => money(r.net - r.cost)],
+  ["margin_pct", r => marginPct(r)],
+]);
+
+export const deadStockCSV = (rows) => toCSV(rows, [
+  ["id", r => r.p.id],
+  ["name", r => r.p.name],
+  ["category", r => r.p.category],
+  ["stock", r => r.p.stock],
+  ["unit", r => unitOf(r.p)],
+  ["last_sold", r => (r.last ? localDate(r.last) : "")],
+  ["value_at_cost", r => (r.value == null ? "" : money(r.value))],
+]);
+
+export const valuationCSV = (rows) => toCSV(rows, [
+  ["id", r => r.p.id],
+  ["name", r => r.p.name],
+  ["category", r => r.p.category],
+  ["stock", r => r.p.stock],
+  ["unit", r => unitOf(r.p)],
+  ["unit_cost", r => r.p.cost ?? ""],
+  ["value_at_cost", r => (r.cost == null ? "" : money(r.cost))],
+  ["price", r => money(r.p.price)],
+  ["value_at_price", r => money(r.retail)],
+]);
@@ -0,0 +1,65 @@
+import { sellable, expiredQty } from "./lots";
+import { fmt, uniq } from "./util";
+import { findUnit, baseQty, qtyRound, qtyText, lineQtyText, isMeasured } from "./units";
+
+/* ========= Held (parked) carts ========= */
+
+export const holdCart = ({ cart, disc, customerId, label, user, shiftId }) => {
+  const now = new Date();
+  return {
+    id: `H-${now.getTime()}-${uniq()}`,
+    ts: now.toISOString(),
+    label: (label || "").trim(),
+    cart,
+    disc,
+    customerId: customerId || null,
+    cashier: user?.fullName || "—",
+    shiftId: shiftId || null,
+  };
+};
+
+export const heldTotal = (h) => h.cart.reduce((a, it) => a + it.price * it.qty, 0);
+
+/**
+ * Bring a held cart up to date with the inventory: lines for products (or
+ * selling units) that are gone, expired or sold out are dropped, quantities
+ * are capped at what is sellable now, and list prices are refreshed (a
+ * manager-overridden price is kept). Returns `{ cart, notes }`, one note per
+ * change for the cashier.
+ */
+export const revalidateCart = (cart, inv, cur = "PHP") => {
+  const notes = [];
+  const next = [];
+  const used = {}; // base units already given to earlier lines, by product
+  for (const it of cart) {
+    const p = inv.find(x => x.id === it.id);
+    if (!p) { notes.push(`${it.name}: no longer sold, removed`); continue; }
+    const u = findUnit(p, it.uom);
+    if (!u) { notes.push(`${p.name}: no longer sold by the ${it.uom}, removed`); continue; }
+    const avail = qtyRound(sellable(p) - (used[p.id] || 0));
+    if (avail <= 0) {
+      notes.push(`${p.name}: ${expiredQty(p) ? "expired" : "out of stock"}, removed`);
+      continue;
+    }
+    let line = { ...it, name: p.name, uom: u.name, factor: u.factor };
+    if (baseQty(line) > avail) {
+      const fit = isMeasured(u.name) ? qtyRound(avail / u.factor) : Math.floor(avail / u.factor);
+      if (!fit) { notes.push(`${p.name}: not enough left for one ${u.name}, removed`); continue; }
+      notes.push(`${p.name}: only ${qtyText(fit, u.name)} left, qty ${lineQtyText(it)} → ${qtyText(fit, u.name)}`);
+      line.qty = fit;
+    }
+    used[p.id] = qtyRound((used[p.id] || 0) + baseQty(line));
+    const list = it.origPrice ?? it.price;
+    if (list !== u.price) {
+      if (it.origPrice != null) {
+        notes.push(`${p.name}: list price now ${fmt(u.price, cur)}, override ${fmt(it.price, cur)} kept`);
+        line.origPrice = u.price;
+      } else {
+        notes.push(`${p.name}: price ${fmt(it.price, cur)} → ${fmt(u.price, cur)}`);
+        line.price = u.price;
+      }
+    }
+    next.push(line);
+  }
+  return { cart: next, notes };
+};
@@ -0,0 +1,59 @@
+import { useEffect, useRef } from "react";
+
+/* ========= Keyboard shortcuts (POS) ========= */
+// The cashier can run a sale without the mouse. Function keys, Alt+digit and
+// Esc work from anywhere, even while typing in a field; the other keys only
+// when no field has focus, so they never eat what is being typed (and digits
+// stay with the barcode scanner).
+
+export const HOTKEYS = [
+  ["F2", "Search"],
+  ["F3", "Customer"],
+  ["↑ / ↓", "Pick a cart line"],
+  ["+ / −", "Quantity up / down"],
+  ["F4", "Type the quantity"],
+  ["Del", "Remove the line"],
+  ["F6", "Payment amount"],
+  ["F7", "Exact cash"],
+  ["F8–F10", "Quick cash"],
+  ["Enter", "Checkout, then confirm"],
+  ["Alt+1…9", "Quick keys"],
+  ["Esc", "Cancel"],
+];
+
+const isEditable = (el) =>
+  !!el && (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName));
+
+// "F2", "Alt+3", "+", "Delete", "ArrowUp" … or null for combos we don't use.
+// Alt+digit goes by the physical key: on a Mac Alt+1 types "¡".
+const keyName = (e) => {
+  if (e.ctrlKey || e.metaKey) return null;
+  if (e.altKey) return /^Digit\d$/.test(e.code) ? `Alt+${e.code.slice(5)}` : null;
+  return e.key;
+};
+const anywhere = (name) => /^F\d+$/.test(name) || name.startsWith("Alt+") || name === "Escape";
+
+/**
+ * Call `handlers[name]` on keydown, `name` as from keyName. A handler that
+ * returns false lets the key through. Keys a scan already used (the scanner
+ * listens first and prevents the default) are skipped, and so is Enter on a
+ * focused button, which clicks it instead.
+ */
+export function useHotkeys(handlers, enabled = true) {
+  const cb = useRef(handlers);
+  cb.current = handlers;
+
+  useEffect(() => {
+    if (!enabled) return;
+    const onKey = (e) => {
+      const name = keyName(e);
+      const fn = name && cb.current[name];
+      if (!fn || e.defaultPrevented || e.isComposing) return;
+      if (!anywhere(name) && isEditable(e.target)) return;
+      if (name === "Enter" && e.target.tagName === "BUTTON") return;
+      if (fn(e) !== false) e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [enabled]);
+}
@@ -0,0 +1,181 @@
+import { genId } from "./util";
+import { withLots, addLot, deductFEFO } from "./lots";
+import { UNITS, unitOf, isMeasured, qtyRound } from "./units";
+import { parseCost } from "./costing";
+import { unescapeCell } from "./csv";
+
+/* ========= Inventory import (CSV) ========= */
+export const IMPORT_FIELDS = {
+  id:       "ID",
+  sku:      "SKU / Barcode",
+  name:     "Name",
+  category: "Category",
+  price:    "Price",
+  cost:     "Unit cost",
+  unit:     "Unit",
+  stock:    "Stock",
+  expiry:   "Expiry",
+};
+
+const ALIASES = {
+  id: ["id", "code", "item code", "product id"],
+  sku: ["sku", "barcode", "upc", "ean"],
+  name: ["name", "description", "item", "product", "item name", "product name"],
+  category: ["category", "cat", "department", "group"],
+  price: ["price", "srp", "selling price", "unit price"],
+  cost: ["cost", "unit cost", "cost price", "average cost"],
+  unit: ["unit", "uom", "unit of measure"],
+  stock: ["stock", "qty", "quantity", "on hand", "soh"],
+  expiry: ["expiry", "expiration", "exp", "expiry date", "best before"],
+};
+
+// field → column index, guessed from the header row
+export const guessMapping = (headers) => {
+  const norm = headers.map(h => h.trim().toLowerCase());
+  const map = {};
+  for (const f of Object.keys(IMPORT_FIELDS)) {
+    const i = norm.findIndex(h => ALIASES[f].includes(h));
+    map[f] = i >= 0 ? i : null;
+  }
+  return map;
+};
+
+/**
+ * Read a spreadsheet date: YYYY-MM-DD, MM/DD/YYYY (as Excel writes it here)
+ * or an Excel serial day number. Returns YYYY-MM-DD or null if unreadable.
+ */
+export const parseDate = (s) => {
+  s = String(s).trim();
+  let y, m, d;
+  let r;
+  if ((r = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) [, y, m, d] = r.map(Number);
+  else if ((r = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) [, m, d, y] = r.map(Number);
+  else if (/^\d{5}$/.test(s)) {
+    const dt = new Date(Date.UTC(1899, 11, 30) + Number(s) * 86400000);
+    [y, m, d] = [dt.getUTCFullYear(), dt.getUTCMonth() + 1, dt.getUTCDate()];
+  } else return null;
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+};
+
+// "1,250.00" and "₱ 45" read as numbers; "12,50" (decimal comma) reads as 12.5
+const num = (s) => {
+  s = String(s).replace(/[₱\s]/g, "");
+  return Number(/^\d+,\d{1,2}$/.test(s) ? s.replace(",", ".") : s.replace(/,/g, ""));
+};
+
+/**
+ * Dry run: one entry per data row with the action it would take
+ * ("add" | "update" | "error") and its errors / warnings. Nothing changes.
+ */
+export const planImport = (rows, map, inv) => {
+  const seenId = {}, seenSku = {};
+  return rows.map((r, i) => {
+    const line = i + 2; // header is line 1
+    // our own exports mark formula-like text with a leading '
+    const get = (f) => (map[f] == null ? "" : unescapeCell((r[map[f]] ?? "").trim()));
+    const errors = [], warnings = [];
+    const data = {};
+
+    const id = get("id"), sku = get("sku");
+    if (id) data.id = id;
+    if (sku) data.sku = sku;
+    for (const f of ["name", "category"]) if (get(f)) data[f] = get(f);
+
+    if (get("price") !== "") {
+      const v = num(get("price"));
+      if (!isFinite(v) || v < 0) errors.push(`Bad price "${get("price")}"`);
+      else data.price = Math.round(v * 100) / 100;
+    }
+    if (get("cost") !== "") {
+      const v = num(get("cost"));
+      if (!isFinite(v) || v < 0) errors.push(`Bad cost "${get("cost")}"`);
+      else data.cost = parseCost(v);
+    }
+    if (get("unit") !== "") {
+      const v = get("unit").toLowerCase();
+      if (!UNITS[v]) errors.push(`Unknown unit "${get("unit")}" (use ${Object.keys(UNITS).join(", ")})`);
+      else data.unit = v;
+    }
+    if (get("stock") !== "") {
+      // decimals only for measured units; the row's unit wins over the stored one
+      const v = num(get("stock"));
+      const unit = data.unit || unitOf(inv.find(p => p.id === id || (sku && p.sku === sku)));
+      if (!isFinite(v) || v < 0 || (!isMeasured(unit) && !Number.isInteger(v))) errors.push(`Bad stock "${get("stock")}"`);
+      else data.stock = v;
+    }
+    if (get("expiry") !== "") {
+      const v = parseDate(get("expiry"));
+      if (!v) errors.push(`Unreadable date "${get("expiry")}"`);
+      else data.expiry = v;
+    }
+
+    if (id && seenId[id]) errors.push(`Duplicate ID (also on line ${seenId[id]})`);
+    if (sku && seenSku[sku]) errors.push(`Duplicate SKU (also on line ${seenSku[sku]})`);
+    if (id) seenId[id] = line;
+    if (sku) seenSku[sku] = line;
+
+    const byId = id && inv.find(p => p.id === id);
+    const bySku = sku && inv.find(p => p.sku === sku);
+    if (byId && bySku && byId !== bySku) errors.push(`SKU belongs to ${bySku.id}`);
+    const match = byId || bySku || null;
+
+    if (!match) {
+      if (!data.name) errors.push("Name is required for new items");
+      if (data.price == null) warnings.push("No price; will be 0");
+      if (!id) warnings.push("ID will be generated");
+      if (!sku) warnings.push("SKU will be generated");
+    } else {
+      if (id && !byId) warnings.push(`Matched ${match.id} by SKU; ID not changed`);
+      const changed = Object.keys(data).filter(k => k !== "expiry" && data[k] !== match[k]);
+      if (!changed.length) warnings.push("No changes");
+      if (data.expiry && data.stock === match.stock) warnings.push("Expiry only applies to new stock");
+      if (data.unit && data.unit !== unitOf(match) && (match.stock || 0) > 0)
+        errors.push("Unit can't change while stock is on hand");
+    }
+
+    return { line, data, match, action: errors.length ? "error" : match ? "update" : "add", errors, warnings };
+  });
+};
+
+/**
+ * Upsert every non-error row. Stock on existing items is applied as a count
+ * of everything on hand, expired lots included: extra units arrive as a new
+ * lot, missing units come out earliest expiry first.
+ * Returns the new inventory and `[{ before, after, type }]` for the movement log;
+ * throws, changing nothing, if a count can't be applied.
+ */
+export const applyImport = (plan, inv) => {
+  let next = [...inv];
+  const changes = [];
+  for (const row of plan) {
+    if (row.action === "error") continue;
+    const { stock, expiry, ...fields } = row.data;
+    if (row.action === "add") {
+      const category = fields.category || "General";
+      let p = withLots({
+        id: fields.id || genId(category, next),
+        sku: fields.sku || `${Date.now()}${next.length}`.slice(-12),
+        name: fields.name, category, price: fields.price ?? 0, cost: fields.cost ?? null, unit: fields.unit || "pc", taxClass: "vatable", lots: [],
+      });
+      if (stock > 0) {
+        const before = p;
+        p = addLot(p, { qty: stock, expiry, supplierRef: "Import" });
+        changes.push({ before, after: p, type: "receiving" });
+      }
+      next.push(p);
+    } else {
+      const i = next.findIndex(p => p.id === row.match.id);
+      const before = next[i];
+      let p = withLots({ ...before, ...fields, id: before.id });
+      if (stock != null && stock !== p.stock) {
+        p = stock > p.stock ? addLot(p, { qty: stock - p.stock, expiry, supplierRef: "Import" }) : deductFEFO(p, p.stock - stock, true).product;
+        if (p.stock !== qtyRound(stock)) throw new Error(`${p.name}: stock would be ${p.stock}, not ${stock}`);
+        changes.push({ before, after: p, type: "count" });
+      }
+      next[i] = p;
+    }
+  }
+  return { inv: next, changes };
+};
@@ -0,0 +1,79 @@
+import { isExpired, localDate, uniq } from "./util";
+import { qtyRound } from "./units";
+
+/* ========= Stock lots (FEFO) ========= */
+// A product's stock lives in lots: { id, qty, expiry, received, supplierRef }.
+// `p.stock` and `p.expiry` are kept as roll-ups (total on hand, next sellable
+// expiry) so lists and banners can keep reading them directly. Quantities are
+// in the product's base unit and may be fractional (grams, kilos).
+
+const byExpiry = (a, b) => (a.expiry || "9999-12-31").localeCompare(b.expiry || "9999-12-31");
+
+// Lot ids travel with stock movements between terminals, so two terminals
+// receiving the same product must not both make "…-L3".
+export const newLotId = (p) => `${p.id}-L${(p.lots || []).length + 1}-${uniq().slice(0, 4)}`;
+
+// Units another terminal sold that no lot here could cover (see replayMovement)
+// sit in a lot of negative qty, so the total still adds up; they come out of
+// what is sellable until a count or delivery makes up the difference.
+export const shortLotId = (p) => `${p.id}-SHORT`;
+export const shortfall = (p) => -Math.min(0, (p.lots || []).find(l => l.id === shortLotId(p))?.qty || 0);
+
+export const sellableLots = (p) => (p.lots || []).filter(l => l.qty > 0 && !isExpired(l.expiry)).sort(byExpiry);
+export const sellable = (p) => qtyRound(Math.max(0, sellableLots(p).reduce((a, l) => a + l.qty, 0) - shortfall(p)));
+export const expiredQty = (p) => qtyRound((p.lots || []).filter(l => l.qty > 0 && isExpired(l.expiry)).reduce((a, l) => a + l.qty, 0));
+
+// Recompute the roll-ups; products saved before lots existed become one lot.
+export const withLots = (p) => {
+  const lots = p.lots || (p.stock > 0 || p.expiry
+    ? [{ id: `${p.id}-L1`, qty: p.stock || 0, expiry: p.expiry || null, received: null, supplierRef: "" }]
+    : []);
+  const q = { ...p, lots };
+  return { ...q, stock: qtyRound(lots.reduce((a, l) => a + l.qty, 0)), expiry: sellableLots(q)[0]?.expiry ?? null };
+};
+
+export const addLot = (p, { qty, expiry, received, supplierRef }) =>
+  withLots({
+    ...p,
+    lots: [...(p.lots || []), {
+      id: newLotId(p), qty: qtyRound(qty), expiry: expiry || null,
+      received: received || localDate(new Date()), supplierRef: supplierRef || "",
+    }],
+  });
+
+export const updateLot = (p, lotId, patch) =>
+  withLots({ ...p, lots: p.lots.map(l => l.id === lotId ? { ...l, ...patch } : l) });
+
+/**
+ * Take `qty` out of the sellable lots (or, with `expired`, out of every lot
+ * with stock), earliest expiry first.
+ * Returns the updated product and the `[{ lotId, qty }]` actually taken.
+ */
+export const deductFEFO = (p, qty, expired = false) => {
+  let left = qty;
+  const taken = [];
+  const lots = p.lots.map(l => ({ ...l }));
+  for (const l of expired ? lots.filter(l => l.qty > 0).sort(byExpiry) : sellableLots({ lots })) {
+    if (left <= 0) break;
+    const take = Math.min(l.qty, left);
+    l.qty = qtyRound(l.qty - take);
+    left = qtyRound(left - take);
+    taken.push({ lotId: l.id, qty: take });
+  }
+  return { product: withLots({ ...p, lots }), taken };
+};
+
+// Put returned units back into the lot they were sold from, or a fresh lot
+// if that one is gone.
+export const returnToLot = (p, qty, lotId) => {
+  if (lotId && p.lots.some(l => l.id === lotId)) return updateLot(p, lotId, { qty: qtyRound(p.lots.find(l => l.id === lotId).qty + qty) });
+  return addLot(p, { qty, expiry: null, supplierRef: "Return" });
+};
+
+// Did the lots a sale line came from expire since? (decides the damaged default on returns)
+export const soldExpired = (p, line) => {
+  if (!p) return false;
+  const ids = (line.lots || []).map(l => l.lotId);
+  if (!ids.length) return isExpired(p.expiry);
+  return ids.every(id => isExpired(p.lots.find(l => l.id === id)?.expiry));
+};
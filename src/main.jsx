@@ -2,5 +2,16 @@ import React from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
 import './index.css'
+import { initStorage } from './storage'
+import { loadSyncConfig } from './sync'
+import { enableOutbox } from './db'
 
-createRoot(document.getElementById('root')).render(<App />)
+const root = createRoot(document.getElementById('root'))
+
+// bring saved data up to date before anything reads it
+initStorage()
+  .then(() => {
+    enableOutbox(!!loadSyncConfig().enabled)
+    root.render(<App />)
+  })
+  .catch(e => root.render(<div style={{ padding: 24 }}>Cannot open local storage: {e.message}. Make sure the browser allows site data.</div>))
@@ -0,0 +1,77 @@
+/* ========= Official receipt (OR) numbering ========= */
+// Each terminal issues its own gapless series: prefix + zero-padded number,
+// e.g. "A-OR-000123". The counter lives in the meta store ("orSeries") and is
+// advanced in the same transaction that saves the sale, so a sale that fails
+// never uses up a number and a saved one never shares it. Numbers are never
+// reused: a voided receipt keeps its number and is marked void instead.
+//
+// series = { prefix, pad, start, issued: { [prefix]: last number issued } }
+// Switching to a prefix used before carries on after its last number.
+
+export const DEFAULT_SERIES = { prefix: "OR-", pad: 6, start: 1, issued: {} };
+
+// Syncing terminals must not share a prefix: sales are keyed by OR number.
+// A terminal still on the default one switches to a prefix made from its
+// sync terminal id when it connects, e.g. "T-AB12-OR-".
+export const terminalPrefix = (terminal) => `${String(terminal).replace(/[^A-Za-z0-9-]/g, "").slice(0, 8)}-OR-`;
+export const forTerminal = (series, terminal) => {
+  const s = { ...DEFAULT_SERIES, ...(series || {}) };
+  return s.prefix === DEFAULT_SERIES.prefix ? { ...s, prefix: terminalPrefix(terminal) } : s;
+};
+
+export const formatOR = (prefix, pad, n) => `${prefix}${String(n).padStart(pad, "0")}`;
+
+export const nextNumber = (s) => (s.issued?.[s.prefix] ?? s.start - 1) + 1;
+
+// Has the current prefix issued anything yet? Then its start and width are fixed.
+export const seriesLocked = (s) => s.issued?.[s.prefix] != null;
+
+/** Take the next number: `{ series, no, seq }`, `series` being the advanced counter. */
+export const issueOR = (series) => {
+  const s = { ...DEFAULT_SERIES, ...(series || {}) };
+  const seq = nextNumber(s);
+  return { series: { ...s, issued: { ...s.issued, [s.prefix]: seq } }, no: formatOR(s.prefix, s.pad, seq), seq };
+};
+
+/**
+ * `series` with no counter behind a number already in use: each prefix is
+ * moved up to the highest OR among `sales` and, if given, the counters of
+ * `floor` (the series being replaced). Sales from before numbered ORs carry
+ * no `orSeq` and are ignored.
+ */
+export const catchUp = (series, sales, floor) => {
+  const s = { ...DEFAULT_SERIES, ...(series || {}) };
+  const issued = { ...s.issued };
+  const raise = (prefix, n) => { if (n > (issued[prefix] ?? 0)) issued[prefix] = n; };
+  for (const [prefix, n] of Object.entries(floor?.issued || {})) raise(prefix, n);
+  for (const prefix of new Set([s.prefix, ...Object.keys(issued)])) {
+    for (const sale of sales || []) {
+      const digits = sale.id.slice(prefix.length);
+      if (sale.orSeq != null && sale.id.startsWith(prefix) && /^\d+$/.test(digits) && Number(digits) === sale.orSeq) raise(prefix, sale.orSeq);
+    }
+  }
+  return { ...s, issued };
+};
+
+/**
+ * Apply an admin edit `{ prefix, pad, start }`. Returns `{ series }` or
+ * `{ error }`: a prefix that has issued numbers keeps its start and width,
+ * and a `syncing` terminal can't go back to the shared default prefix.
+ */
+export const editSeries = (series, { prefix, pad, start }, syncing = false) => {
+  const s = { ...DEFAULT_SERIES, ...(series || {}) };
+  prefix = String(prefix ?? s.prefix).trim();
+  pad = Number(pad ?? s.pad);
+  start = Number(start ?? s.start);
+  if (!/^[A-Za-z0-9-]{0,12}$/.test(prefix)) return { error: "Prefix: up to 12 letters, digits or dashes" };
+  if (syncing && prefix === DEFAULT_SERIES.prefix) return { error: `Syncing terminals can't share the ${prefix} prefix; give this one its own` };
+  if (!Number.isInteger(pad) || pad < 1 || pad > 12) return { error: "Digits must be 1 to 12" };
+  if (!Number.isInteger(start) || start < 1) return { error: "Starting number must be a whole number from 1" };
+  const used = s.issued[prefix];
+  if (used != null) {
+    if (pad !== s.pad && prefix === s.prefix) return { error: `Digits are fixed once ${prefix} numbers are issued` };
+    if (start !== s.start && prefix === s.prefix) return { error: `${prefix} has issued up to ${used}; its starting number is fixed` };
+  }
+  if (String(used == null ? start : used + 1).length > pad) return { error: `Numbers would not fit in ${pad} digits` };
+  return { series: { ...s, prefix, pad, start } };
+};
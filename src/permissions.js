@@ -0,0 +1,38 @@
+import { uniq } from "./util";
+
+/* ========= Permission matrix ========= */
+export const PERMISSIONS = {
+  "settings.edit":  "Change VAT % and currency",
+  "inventory.edit": "Add, edit and remove products",
+  "sale.discount":  "Apply or change sale discounts",
+  "sale.void":      "Void or return a completed receipt",
+  "price.override": "Override an item's selling price",
+  "shifts.view":    "Browse closed shifts",
+  "customers.manage": "Edit customers and credit limits, post account payments",
+  "reports.view":   "View the sales dashboard",
+  "users.manage":   "Manage user accounts and roles",
+};
+
+// Roles are nothing more than named sets of permissions. `admin` always
+// holds every permission so the store can never lock itself out.
+export const DEFAULT_ROLES = {
+  admin:      Object.keys(PERMISSIONS),
+  supervisor: ["sale.discount", "sale.void", "price.override", "shifts.view", "customers.manage"],
+  cashier:    [],
+};
+
+export const permsOf = (roles, role) =>
+  role === "admin" ? Object.keys(PERMISSIONS) : (roles[role] || []);
+
+export const can = (roles, user, perm) => !!user && permsOf(roles, user.role).includes(perm);
+
+export const logOverride = ({ perm, what, user, approver }) => {
+  const now = new Date();
+  return {
+    id: `OV-${now.getTime()}-${uniq()}`,
+    ts: now.toISOString(),
+    perm, what,
+    cashier: user.fullName,
+    approvedBy: approver.fullName,
+  };
+};
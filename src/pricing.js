@@ -0,0 +1,93 @@
+import { roundMoney } from "./currency";
+import { applyPromotions, NO_PROMOS } from "./promotions";
+import { lineKey } from "./units";
+
+/* ========= Totals engine ========= */
+
+// Statutory 20% discounts (RA 9994 / RA 10754). The eligible part of the sale
+// is VAT-exempt: VAT comes off first, then the 20% applies to what's left.
+export const STATUTORY = {
+  Senior: { label: "Senior Citizen", pct: 20, idLabel: "OSCA ID No." },
+  PWD:    { label: "PWD",            pct: 20, idLabel: "PWD ID No." },
+};
+
+export const isStatutory = (type) => !!STATUTORY[type];
+
+// Eligible unless the product explicitly opts out (e.g. tobacco, alcohol).
+export const scEligible = (p) => !p || p.scEligible !== false;
+
+/**
+ * Resolve a per-sale discount choice into `{ type, label, pct }`.
+ * `type` is "Regular" (the store-wide Disc%), "Senior", "PWD" or the name of
+ * one of `settings.discountTypes`.
+ */
+export const resolveDiscount = (type, settings) => {
+  if (isStatutory(type)) return { type, label: `${STATUTORY[type].label} discount`, pct: STATUTORY[type].pct };
+  const custom = (settings.discountTypes || []).find(t => t.name === type);
+  if (custom) return { type, label: custom.name, pct: Number(custom.pct) || 0 };
+  return { type: "Regular", label: "Discount", pct: Number(settings.discount) || 0 };
+};
+
+export const TAX_CLASSES = {
+  vatable: "VATable",
+  exempt:  "VAT-exempt",
+  zero:    "Zero-rated",
+};
+export const taxClassOf = (p) => (p && TAX_CLASSES[p.taxClass] ? p.taxClass : "vatable");
+
+// Philippine shelf prices include VAT; wholesale (e.g. USD) price lists don't.
+export const pricesIncludeTax = (settings) => settings.pricesIncludeTax !== false;
+
+/**
+ * Work out a sale's totals and its BIR breakdown (VATable / VAT / VAT-exempt /
+ * zero-rated). Prices are read as VAT-inclusive or VAT-exclusive according to
+ * `settings.pricesIncludeTax`; only `vatable` products carry VAT either way.
+ * Promotions running at `now` come off each line first (see promotions.js),
+ * then the per-sale discount applies to what's left. `linePaid` is what each
+ * line (by `lineKey`) comes to after all of that, VAT included: what a return
+ * of it gives back.
+ */
+export function computeTotals(cart, inv, settings, discType = "Regular", now = new Date()) {
+  const vatPct = Number(settings.vat) || 0;
+  const v = vatPct / 100;
+  const inclusive = pricesIncludeTax(settings);
+  const d = resolveDiscount(discType, settings);
+  const statutory = isStatutory(d.type);
+  const rate = d.pct / 100;
+  const promo = statutory ? NO_PROMOS : applyPromotions(cart, inv, settings.promotions, now, settings.currency || "PHP");
+
+  let sub = 0, discAmt = 0, taxAmt = 0, vatable = 0, vatExempt = 0, zeroRated = 0, vatRemoved = 0;
+  const linePaid = {};
+  for (const x of cart) {
+    const p = inv.find(q => q.id === x.id);
+    const cls = taxClassOf(p);
+    const gross = x.price * x.qty;
+    sub += gross;
+    const amt = gross - (promo.byLine[lineKey(x)] || []).reduce((a, o) => a + o.amount, 0);
+
+    if (statutory && scEligible(p)) {
+      // VAT off first (inclusive prices only), then 20% of the net; the rest is VAT-exempt
+      const net = cls === "vatable" && inclusive ? amt / (1 + v) : amt;
+      vatRemoved += amt - net;
+      discAmt += net * rate;
+      vatExempt += net * (1 - rate);
+      linePaid[lineKey(x)] = net * (1 - rate);
+      continue;
+    }
+
+    const after = statutory ? amt : amt * (1 - rate);
+    discAmt += amt - after;
+    if (cls === "exempt") vatExempt += after;
+    else if (cls === "zero") zeroRated += after;
+    else if (inclusive) { vatable += after / (1 + v); taxAmt += after - after / (1 + v); }
+    else { vatable += after; taxAmt += after * v; }
+    linePaid[lineKey(x)] = cls === "vatable" && !inclusive ? after * (1 + v) : after;
+  }
+
+  return {
+    // the amount due is rounded to what the base currency can be paid in (whole yen for JPY)
+    sub, promoAmt: promo.total, promos: promo.promos, promoLines: promo.byLine, linePaid, discAmt, taxAmt, total: roundMoney(vatable + taxAmt + vatExempt + zeroRated, settings.currency || "PHP"),
+    vatable, vatExempt, zeroRated, vatRemoved, taxIncl: inclusive,
+    discType: d.type, discLabel: d.label, discPct: d.pct, vatPct,
+  };
+}
@@ -0,0 +1,90 @@
+/* ========= Thermal printer transports ========= */
+// Raw bytes to a receipt printer over Web Serial or WebUSB (Chromium only).
+// The browser asks the cashier to pick the printer once (`pairPrinter`, which
+// must run from a click); after that the granted port / device is reused.
+
+// Printable width in dots at 203 dpi, by paper width in mm.
+export const DOTS = { 58: 384, 80: 576 };
+
+export const printerSupport = () => ({
+  serial: typeof navigator !== "undefined" && "serial" in navigator,
+  usb: typeof navigator !== "undefined" && "usb" in navigator,
+});
+
+export const pairPrinter = async (output) => {
+  if (output === "serial") return navigator.serial.requestPort();
+  if (output === "usb") return navigator.usb.requestDevice({ filters: [] });
+  throw new Error(`Unknown printer output "${output}"`);
+};
+
+const grantedPort = async () => {
+  const [port] = await navigator.serial.getPorts();
+  if (!port) throw new Error("No serial printer paired; pair one in Settings");
+  return port;
+};
+
+const grantedDevice = async () => {
+  const [device] = await navigator.usb.getDevices();
+  if (!device) throw new Error("No USB printer paired; pair one in Settings");
+  return device;
+};
+
+const sendSerial = async (bytes, baudRate) => {
+  const port = await grantedPort();
+  await port.open({ baudRate });
+  try {
+    const w = port.writable.getWriter();
+    await w.write(bytes);
+    w.releaseLock();
+  } finally {
+    await port.close();
+  }
+};
+
+// The printer class interface is the one with a bulk OUT endpoint.
+const sendUSB = async (bytes) => {
+  const device = await grantedDevice();
+  await device.open();
+  try {
+    if (!device.configuration) await device.selectConfiguration(1);
+    const iface = device.configuration.interfaces.find(i =>
+      i.alternate.endpoints.some(ep => ep.direction === "out" && ep.type === "bulk"));
+    if (!iface) throw new Error("USB device has no printer endpoint");
+    const ep = iface.alternate.endpoints.find(ep => ep.direction === "out" && ep.type === "bulk");
+    await device.claimInterface(iface.interfaceNumber);
+    await device.transferOut(ep.endpointNumber, bytes);
+    await device.releaseInterface(iface.interfaceNumber);
+  } finally {
+    await device.close();
+  }
+};
+
+/** Send ESC/POS bytes to the printer picked by `tpl.output`. */
+export const sendToPrinter = (bytes, tpl) =>
+  tpl.output === "serial" ? sendSerial(bytes, Number(tpl.baudRate) || 9600) : sendUSB(bytes);
+
+/**
+ * Turn an image (data: URL) into a 1-bit raster for `escpos().image`, at
+ * most `maxWidth` dots wide (384 on 58 mm paper, 576 on 80 mm).
+ */
+export const rasterize = (src, maxWidth) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => {
+    const scale = Math.min(1, maxWidth / img.width);
+    const width = Math.max(1, Math.round(img.width * scale));
+    const height = Math.max(1, Math.round(img.height * scale));
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(img, 0, 0, width, height);
+    const px = ctx.getImageData(0, 0, width, height).data;
+    const data = new Uint8Array(width * height);
+    for (let i = 0; i < data.length; i++) data[i] = px[i * 4] * 0.299 + px[i * 4 + 1] * 0.587 + px[i * 4 + 2] * 0.114 < 128 ? 1 : 0;
+    resolve({ width, height, data });
+  };
+  img.onerror = () => reject(new Error("Logo image could not be read"));
+  img.src = src;
+});
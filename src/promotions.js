@@ -0,0 +1,204 @@
+import { localDate, daysUntil } from "./util";
+import { roundMoney } from "./currency";
+import { lineKey, baseQty, qtyRound } from "./units";
+import { sellableLots } from "./lots";
+
+/* ========= Promotions ========= */
+// Admin-defined price rules in `settings.promotions`, worked out against the
+// cart every time totals are computed. They run in list order and a unit
+// discounted by one promotion is not discounted again, so the list order is
+// the priority. Manager price overrides are left alone, and none apply to a
+// Senior / PWD sale (the statutory discount doesn't stack with promos).
+//
+// Quantities are counted in base units (pieces, grams), prices per base unit,
+// so a box of 12 counts as 12 toward "buy 2 get 1".
+
+export const PROMO_TYPES = {
+  percent: "Percent off",
+  amount:  "Amount off each",
+  bxgy:    "Buy X get Y",
+  bundle:  "Bundle price",
+  tiers:   "Quantity tiers",
+};
+
+export const PROMO_SCOPES = {
+  all:      "Everything",
+  product:  "Product",
+  category: "Category",
+  expiring: "Expiring within (days)",
+};
+
+export const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export const newPromo = () => ({
+  id: `PR-${Date.now()}`, name: "", type: "percent", active: true,
+  scope: "product", target: "",
+  pct: 10,                                   // percent, tiers fall back to it; bxgy: % off the Y units
+  amount: 0,                                 // amount: off each unit
+  buy: 2, get: 1,                            // bxgy
+  tiers: [{ min: 6, pct: 5 }, { min: 12, pct: 10 }],
+  items: [], price: 0,                       // bundle: [{ productId, qty }] for `price`
+  from: "", to: "", days: [], start: "", end: "",
+});
+
+/**
+ * Is `pr` running at `now`? Dates are inclusive; `days` (0 = Sunday) and the
+ * start / end times narrow it further. An end time before the start time runs
+ * past midnight.
+ */
+export const inWindow = (pr, now = new Date()) => {
+  const d = localDate(now);
+  if (pr.from && d < pr.from) return false;
+  if (pr.to && d > pr.to) return false;
+  if (pr.days?.length && !pr.days.includes(now.getDay())) return false;
+  const hm = `${String(now.getHours()).padStart(2, "0")}:${String(now.getMinutes()).padStart(2, "0")}`;
+  if (pr.start && pr.end && pr.end < pr.start) return hm >= pr.start || hm < pr.end;
+  return (!pr.start || hm >= pr.start) && (!pr.end || hm < pr.end);
+};
+
+export const isLive = (pr, now) => pr.active !== false && inWindow(pr, now);
+
+const matches = (pr, p) => {
+  switch (pr.scope) {
+    case "all":      return true;
+    case "product":  return p.id === pr.target;
+    case "category": return p.category === pr.target;
+    case "expiring": return !!p.expiry && daysUntil(p.expiry) <= Number(pr.target);
+    default:         return false;
+  }
+};
+
+// Units of `p` in sellable lots expiring within `days`. Sales take stock
+// earliest expiry first, so these are the first units of it in any cart.
+const expiringQty = (p, days) =>
+  qtyRound(sellableLots(p).filter(l => l.expiry && daysUntil(l.expiry) <= days).reduce((a, l) => a + l.qty, 0));
+
+// The rows `pr` applies to. An "expiring" promotion only reaches as many
+// units of each product as its near-expiry lots hold, so it works on copies
+// of the rows capped to that; `settle` passes what they used back.
+const eligible = (pr, rows) => {
+  const hit = rows.filter(r => r.left > 0 && matches(pr, r.p));
+  if (pr.scope !== "expiring") return hit;
+  const cap = {};
+  return hit.map(r => {
+    cap[r.p.id] ??= expiringQty(r.p, Number(pr.target));
+    const n = Math.min(r.left, cap[r.p.id]);
+    cap[r.p.id] = qtyRound(cap[r.p.id] - n);
+    return { ...r, left: n, start: n, of: r };
+  }).filter(r => r.left > 0);
+};
+const settle = (hit) => hit.forEach(h => { if (h.of) h.of.left = qtyRound(h.of.left - (h.start - h.left)); });
+
+// Take up to `qty` base units from `rows` (cheapest first); returns [{ row, qty }].
+const take = (rows, qty) => {
+  const got = [];
+  for (const r of [...rows].sort((a, b) => a.unit - b.unit)) {
+    if (qty <= 0) break;
+    const n = Math.min(r.left, qty);
+    if (n > 0) got.push({ row: r, qty: n });
+    qty = qtyRound(qty - n);
+  }
+  return got;
+};
+const consume = (got) => got.forEach(g => { g.row.left = qtyRound(g.row.left - g.qty); });
+
+/**
+ * Work out every live promotion against `cart`. Returns
+ * `{ byLine, promos, total }`: `byLine[lineKey]` is `[{ id, name, amount }]`
+ * for that line, `promos` the same summed per promotion.
+ */
+export const applyPromotions = (cart, inv, promotions = [], now = new Date(), cur = "PHP") => {
+  const rows = cart
+    .filter(it => it.origPrice == null)
+    .map(it => ({ key: lineKey(it), p: inv.find(p => p.id === it.id), left: baseQty(it), unit: it.price / (it.factor || 1) }))
+    .filter(r => r.p);
+  const byLine = {};
+  const give = (row, pr, amount) => {
+    amount = roundMoney(amount, cur);
+    if (amount <= 0) return;
+    const list = byLine[row.key] = byLine[row.key] || [];
+    const e = list.find(x => x.id === pr.id);
+    if (e) e.amount = roundMoney(e.amount + amount, cur);
+    else list.push({ id: pr.id, name: pr.name, amount });
+  };
+
+  for (const pr of promotions.filter(pr => isLive(pr, now))) {
+    if (pr.type === "bundle") {
+      const comps = (pr.items || []).filter(c => Number(c.qty) > 0);
+      if (!comps.length) continue;
+      const pool = (c) => rows.filter(r => r.p.id === c.productId && r.left > 0);
+      const sets = Math.min(...comps.map(c => Math.floor(pool(c).reduce((a, r) => a + r.left, 0) / Number(c.qty))));
+      if (!(sets > 0)) continue;
+      const got = comps.flatMap(c => take(pool(c), sets * Number(c.qty)));
+      const value = got.reduce((a, g) => a + g.qty * g.row.unit, 0);
+      const off = value - sets * (Number(pr.price) || 0);
+      if (off <= 0) continue; // the bundle isn't a saving; leave the units for other promos
+      consume(got);
+      got.forEach(g => give(g.row, pr, off * g.qty * g.row.unit / value));
+      continue;
+    }
+
+    const hit = eligible(pr, rows);
+    if (!hit.length) continue;
+    const units = qtyRound(hit.reduce((a, r) => a + r.left, 0));
+
+    if (pr.type === "bxgy") {
+      const buy = Number(pr.buy) || 0, get = Number(pr.get) || 0;
+      const sets = buy + get > 0 ? Math.floor(units / (buy + get)) : 0;
+      if (!sets || !get) continue;
+      // the cheapest units go free (or at pct off); the ones paid for are used up too
+      const free = take(hit, sets * get);
+      consume(free);
+      free.forEach(g => give(g.row, pr, g.qty * g.row.unit * (Number(pr.pct ?? 100) / 100)));
+      consume(take(hit, sets * buy));
+      settle(hit);
+      continue;
+    }
+
+    let pct = 0;
+    if (pr.type === "percent") pct = Number(pr.pct) || 0;
+    if (pr.type === "tiers") pct = Number([...(pr.tiers || [])].sort((a, b) => b.min - a.min).find(t => units >= Number(t.min))?.pct) || 0;
+    if (pr.type === "amount") {
+      const amt = Number(pr.amount) || 0;
+      if (amt <= 0) continue;
+      hit.forEach(r => give(r, pr, Math.min(amt, r.unit) * r.left));
+    } else {
+      if (pct <= 0) continue;
+      hit.forEach(r => give(r, pr, r.unit * r.left * Math.min(pct, 100) / 100));
+    }
+    hit.forEach(r => { r.left = 0; });
+    settle(hit);
+  }
+
+  const promos = [];
+  for (const list of Object.values(byLine)) {
+    for (const x of list) {
+      const e = promos.find(p => p.id === x.id);
+      if (e) e.amount = roundMoney(e.amount + x.amount, cur);
+      else promos.push({ ...x });
+    }
+  }
+  return { byLine, promos, total: roundMoney(promos.reduce((a, p) => a + p.amount, 0), cur) };
+};
+
+export const NO_PROMOS = { byLine: {}, promos: [], total: 0 };
+
+// The promotion discount on one cart / sale line.
+export const lineOff = (it) => (it.promos || []).reduce((a, x) => a + x.amount, 0);
+
+/** Check an admin-edited promotion; returns an error message or "". */
+export const checkPromo = (pr, promotions) => {
+  if (!pr.name.trim()) return "Name is required";
+  if (promotions.some(x => x.id !== pr.id && x.name.trim() === pr.name.trim())) return `"${pr.name.trim()}" already exists`;
+  if (pr.type !== "bundle" && pr.scope !== "all" && pr.target === "") return `Pick the ${PROMO_SCOPES[pr.scope].toLowerCase()} it applies to`;
+  if (pr.scope === "expiring" && !(Number(pr.target) >= 0)) return "Days to expiry must be 0 or more";
+  if (pr.type === "percent" && !(pr.pct > 0 && pr.pct <= 100)) return "Percent must be between 0 and 100";
+  if (pr.type === "amount" && !(pr.amount > 0)) return "Amount off must be more than 0";
+  if (pr.type === "bxgy" && !(Number.isInteger(pr.buy) && pr.buy > 0 && Number.isInteger(pr.get) && pr.get > 0)) return "Buy and get must be whole numbers from 1";
+  if (pr.type === "bxgy" && !(pr.pct > 0 && pr.pct <= 100)) return "Percent off the free units must be between 0 and 100";
+  if (pr.type === "tiers" && (!pr.tiers.length || pr.tiers.some(t => !(t.min > 0) || !(t.pct > 0 && t.pct <= 100)))) return "Each tier needs a minimum quantity and a percent";
+  if (pr.type === "bundle" && (pr.items.length < 1 || pr.items.some(c => !c.productId || !(c.qty > 0)))) return "A bundle needs its products and quantities";
+  if (pr.type === "bundle" && !(pr.price >= 0)) return "Bundle price must be 0 or more";
+  if (pr.from && pr.to && pr.to < pr.from) return "The end date is before the start date";
+  return "";
+};
@@ -0,0 +1,97 @@
+import { sellable, addLot } from "./lots";
+import { receiveCost } from "./costing";
+import { uniq } from "./util";
+
+/* ========= Suppliers, reorder points & purchase orders ========= */
+// Products carry `supplierId`, `reorderPoint` and `reorderQty`. Items without
+// their own reorder point fall back to the old shop-wide threshold.
+export const REORDER_POINT_DEFAULT = 5;
+
+export const reorderPoint = (p) => p.reorderPoint ?? REORDER_POINT_DEFAULT;
+export const reorderQty = (p) => p.reorderQty || Math.max(reorderPoint(p) * 2, 1);
+export const needsReorder = (p) => sellable(p) <= reorderPoint(p);
+
+export const newSupplier = ({ name, contact = "", phone = "", email = "", terms = "" }) => ({
+  id: `SUP-${Date.now()}-${uniq()}`, name: name.trim(), contact, phone, email, terms,
+});
+
+// PO status: Draft → Ordered → Partial → Received, or Cancelled.
+export const isOpen = (po) => ["Draft", "Ordered", "Partial"].includes(po.status);
+export const outstanding = (line) => Math.max(0, line.qty - (line.received || 0));
+
+// Units already on open orders, so suggestions don't double up.
+export const onOrder = (pos, productId) =>
+  pos.filter(isOpen).reduce((a, po) =>
+    a + po.lines.filter(l => l.productId === productId).reduce((b, l) => b + outstanding(l), 0), 0);
+
+/**
+ * Products at or below their reorder point, net of what is already on order,
+ * grouped by supplier id ("" for items with no supplier yet).
+ */
+export const suggestReorder = (inv, pos) => {
+  const groups = {};
+  for (const p of inv) {
+    if (!needsReorder(p)) continue;
+    const pending = onOrder(pos, p.id);
+    const qty = reorderQty(p) - pending;
+    if (qty <= 0) continue;
+    const key = p.supplierId || "";
+    (groups[key] ||= []).push({ productId: p.id, name: p.name, sku: p.sku, onHand: sellable(p), pending, qty, cost: p.cost ?? null });
+  }
+  return groups;
+};
+
+export const draftPO = ({ supplier, lines, user }) => {
+  const now = new Date();
+  return {
+    id: `PO-${now.getTime()}-${uniq()}`,
+    supplierId: supplier.id,
+    supplierName: supplier.name,
+    createdAt: now.toISOString(),
+    createdBy: user?.fullName || "—",
+    status: "Draft",
+    lines: lines.map(l => ({ productId: l.productId, name: l.name, qty: Number(l.qty) || 0, cost: l.cost ?? null, received: 0 })),
+    receipts: [],
+  };
+};
+
+/**
+ * Receive `[{ productId, qty, expiry, cost }]` against a PO. Each received
+ * line becomes a new lot tagged with the PO and delivery reference, and its
+ * unit cost goes into the product's moving-average cost. A product on
+ * several lines fills them in order. Returns the updated PO and inventory
+ * plus the lots created (for the movement log).
+ */
+export const receivePO = (po, inv, got, { user, ref = "" }) => {
+  const now = new Date().toISOString();
+  const lots = [];
+  let nextInv = inv;
+  for (const g of got) {
+    const qty = Number(g.qty) || 0;
+    if (qty <= 0) continue;
+    nextInv = nextInv.map(p => {
+      if (p.id !== g.productId) return p;
+      const np = addLot(receiveCost(p, qty, g.cost), { qty, expiry: g.expiry, supplierRef: [po.id, ref].filter(Boolean).join(" / ") });
+      lots.push({ before: p, after: np, lotId: np.lots[np.lots.length - 1].id });
+      return np;
+    });
+  }
+  const left = {};
+  for (const g of got) left[g.productId] = (left[g.productId] || 0) + (Number(g.qty) || 0);
+  const lines = po.lines.map((l, i) => {
+    const last = !po.lines.slice(i + 1).some(x => x.productId === l.productId);
+    const qty = last ? left[l.productId] || 0 : Math.min(outstanding(l), left[l.productId] || 0);
+    left[l.productId] = (left[l.productId] || 0) - qty;
+    return { ...l, received: (l.received || 0) + qty };
+  });
+  const done = lines.every(l => outstanding(l) === 0);
+  return {
+    po: {
+      ...po, lines,
+      status: done ? "Received" : "Partial",
+      receipts: [...(po.receipts || []), { ts: now, user: user?.fullName || "—", ref, lines: got.filter(g => Number(g.qty) > 0) }],
+    },
+    inv: nextInv,
+    lots,
+  };
+};
@@ -0,0 +1,33 @@
+/* ========= Quick keys (POS favourites) ========= */
+// settings.quickKeys = { layout, cash, keys }. `keys` is the admin's page of
+// favourite products, [{ id, productId, uom, label, color, image }] in screen
+// order; the POS shows it above the catalog ("alongside") or as its own page
+// the catalog hides behind until a search is typed ("instead"). `cash` lists
+// the notes offered as quick-cash buttons.
+
+// Full class strings so Tailwind keeps them.
+export const QUICK_COLORS = {
+  white:  "bg-white border-gray-200",
+  red:    "bg-red-100 border-red-300",
+  amber:  "bg-amber-100 border-amber-300",
+  green:  "bg-green-100 border-green-300",
+  blue:   "bg-blue-100 border-blue-300",
+  purple: "bg-purple-100 border-purple-300",
+  pink:   "bg-pink-100 border-pink-300",
+  gray:   "bg-gray-200 border-gray-400",
+};
+
+export const quickKeyConfig = (settings) => ({ layout: "alongside", cash: [100, 500, 1000], keys: [], ...settings.quickKeys });
+
+export const newQuickKey = (productId) =>
+  ({ id: `QK-${Date.now()}`, productId, uom: null, label: "", color: "white", image: null });
+
+// "100, 500, 1000" → [100, 500, 1000]; null if any entry isn't a positive amount
+export const parseNotes = (text) => {
+  const notes = String(text).split(/[\s,]+/).filter(Boolean).map(Number);
+  return notes.every(n => n > 0) ? notes : null;
+};
+
+// ₱500 rather than ₱500.00 on the buttons
+export const noteLabel = (n, cur) =>
+  new Intl.NumberFormat("en-PH", { style: "currency", currency: cur, minimumFractionDigits: 0 }).format(n);
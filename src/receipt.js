@@ -0,0 +1,109 @@
+import { fmt } from "./util";
+import { STATUTORY } from "./pricing";
+import { saleTenders, tenderText, appliedByType } from "./tenders";
+import { escpos, COLUMNS } from "./escpos";
+import { lineQtyText } from "./units";
+
+/* ========= Receipt template ========= */
+// Admin-edited in Settings and kept in settings.receipt. `output` picks how
+// receipts leave the till: the browser print dialog, or raw ESC/POS bytes to
+// a thermal printer over Web Serial / WebUSB (see printer.js).
+export const RECEIPT_DEFAULTS = {
+  name: "MNL COFFEE SUPPLIES",
+  header: "",                 // extra lines under the name, one per line
+  address: "123 Demo St., Metro Manila",
+  tin: "",
+  // registration of this terminal (BIR permit to use)
+  min: "",                    // machine identification no.
+  serial: "",                 // machine serial no.
+  permit: "",                 // PTU no.
+  permitFrom: "",             // YYYY-MM-DD
+  permitTo: "",
+  footer: "Thank you!",
+  logo: null,                 // data: URL
+  width: 80,                  // paper, mm: 58 | 80
+  output: "html",             // "html" | "serial" | "usb"
+  baudRate: 9600,             // serial only
+  drawer: true,               // kick the cash drawer on cash sales
+};
+
+export const receiptTemplate = (settings) => ({ ...RECEIPT_DEFAULTS, ...(settings.receipt || {}) });
+
+export const headerLines = (tpl) => tpl.header.split("\n").map(s => s.trim()).filter(Boolean);
+
+// The registered business lines under the address, in print order.
+export const registrationLines = (tpl) => [
+  tpl.tin && `TIN: ${tpl.tin}`,
+  tpl.min && `MIN: ${tpl.min}`,
+  tpl.serial && `S/N: ${tpl.serial}`,
+].filter(Boolean);
+
+export const permitLines = (tpl) => [
+  tpl.permit && `PTU No.: ${tpl.permit}`,
+  (tpl.permitFrom || tpl.permitTo) && `Valid ${tpl.permitFrom || "—"} to ${tpl.permitTo || "—"}`,
+].filter(Boolean);
+
+/**
+ * A sale as ESC/POS bytes, laid out like the HTML receipt. `logo` is an
+ * optional 1-bit raster (see printer.js); `drawer` opens the cash drawer
+ * after the cut.
+ */
+export const receiptBytes = (r, tpl, { logo, drawer = false } = {}) => {
+  const cur = r.currency;
+  const money = (n, c) => fmt(n, c || cur);
+  const e = escpos({ columns: COLUMNS[tpl.width] || COLUMNS[80] });
+
+  e.init().align("center");
+  if (logo) e.image(logo);
+  e.bold(true).line(tpl.name).bold(false);
+  headerLines(tpl).forEach(l => e.line(l));
+  if (tpl.address) e.line(tpl.address);
+  registrationLines(tpl).forEach(l => e.line(l));
+  e.bold(true).line("OFFICIAL RECEIPT").bold(false);
+  e.align("left").rule();
+  e.line(`OR No.: ${r.id}`).line(`Date: ${r.time}`).line(`Cashier: ${r.cashier}`);
+  if (r.reprint) e.line("*** REPRINT ***");
+  if (r.voided) e.bold(true).line(`*** VOID (${r.voided.refundId}) ***`).bold(false);
+  e.rule();
+  for (const it of r.items) {
+    e.cols(`${lineQtyText(it)} × ${it.name}`, money(it.price * it.qty));
+    for (const o of it.promos || []) e.cols(`  ${o.name}`, `-${money(o.amount)}`);
+  }
+  e.rule();
+  e.cols("Subtotal", money(r.sub));
+  if (r.promoAmt > 0) e.cols("Less: promotions", `-${money(r.promoAmt)}`);
+  if (r.vatRemoved > 0) e.cols("Less: VAT (exempt)", `-${money(r.vatRemoved)}`);
+  e.cols(`${r.discLabel || "Discount"} (${r.discPct}%)`, `-${money(r.discAmt)}`);
+  if (!r.taxIncl) e.cols(`VAT (${r.vatPct}%)`, money(r.taxAmt));
+  e.bold(true).cols("TOTAL", money(r.total)).bold(false);
+  if (r.vatable != null) {
+    e.rule();
+    e.cols("VATable Sales", money(r.vatable));
+    e.cols(`VAT Amount (${r.vatPct}%)`, money(r.taxAmt));
+    e.cols("VAT-Exempt Sales", money(r.vatExempt));
+    e.cols("Zero-Rated Sales", money(r.zeroRated));
+  }
+  e.rule();
+  for (const t of saleTenders(r)) e.line(tenderText(t, money, cur));
+  if (r.change > 0) e.cols("Change", money(r.change));
+  if (r.customer) {
+    e.rule().line(`Customer: ${r.customer.name}`);
+    if (r.pointsUsed) e.cols("Points redeemed", String(r.pointsUsed));
+    if (r.pointsEarned) e.cols("Points earned", String(r.pointsEarned));
+    if (appliedByType(r).Account) e.line("Charged to account").feed(1).line("Signature: ____________________");
+  }
+  if (r.scPwd) {
+    const d = STATUTORY[r.discType];
+    e.rule().line(`${d.label} discount`).line(`Name: ${r.scPwd.name}`).line(`${d.idLabel}: ${r.scPwd.idNo}`);
+    e.feed(1).line("Signature: ____________________");
+  }
+  e.rule().align("center");
+  if (tpl.footer) e.line(tpl.footer);
+  permitLines(tpl).forEach(l => e.line(l));
+  e.feed(3).cut();
+  if (drawer) e.drawer();
+  return e.bytes();
+};
+
+// Cash changed hands, so the drawer should open (new sales only, not reprints).
+export const opensDrawer = (r, tpl) => tpl.drawer && !r.reprint && saleTenders(r).some(t => t.type === "Cash");
@@ -0,0 +1,89 @@
+import { returnToLot } from "./lots";
+import { appliedByType } from "./tenders";
+import { lineKey, baseQty, qtyRound } from "./units";
+import { lineOff } from "./promotions";
+import { roundMoney } from "./currency";
+import { uniq } from "./util";
+
+/* ========= Returns, refunds & voids ========= */
+
+// Quantity of each receipt line still eligible for return (sold − already
+// returned), by `lineKey`, in the unit it was sold in.
+export const returnable = (sale, refunds) => {
+  const left = {};
+  for (const it of sale.items) left[lineKey(it)] = qtyRound((left[lineKey(it)] || 0) + it.qty);
+  for (const r of refunds) {
+    if (r.saleId !== sale.id) continue;
+    for (const l of r.lines) left[lineKey(l)] = Math.max(0, qtyRound((left[lineKey(l)] || 0) - l.qty));
+  }
+  return left;
+};
+
+export const isFullyReturned = (sale, refunds) =>
+  Object.values(returnable(sale, refunds)).every(q => q === 0);
+
+// Lines are refunded at what the customer actually paid for them, as worked
+// out per line at checkout (`paid`, see computeTotals). Sales saved before
+// that spread the receipt's discount and VAT proportionally instead.
+export const refundAmount = (sale, lines) => {
+  const net = sale.sub - (sale.promoAmt || 0);
+  const factor = net ? sale.total / net : 1;
+  return lines.reduce((a, l) => {
+    const it = sale.items.find(x => lineKey(x) === lineKey(l));
+    return a + (it?.paid != null ? it.paid * l.qty / it.qty : (l.price * l.qty - lineOff(l)) * factor);
+  }, 0);
+};
+
+export const buildRefund = ({ sale, lines, kind, settlement, reason, user, authorizedBy, shiftId }) => {
+  const now = new Date();
+  const amount = roundMoney(refundAmount(sale, lines), sale.currency);
+  const share = sale.total ? amount / sale.total : 0;
+  return {
+    id: `${settlement === "Credit Note" ? "CN" : "RF"}-${now.getTime()}-${uniq()}`,
+    ts: now.toISOString(),
+    time: now.toLocaleString("en-PH"),
+    saleId: sale.id,
+    kind,                 // "void" | "return"
+    settlement,           // "Refund" | "Credit Note"
+    reason,
+    lines,                // {id,name,price,qty,uom,factor,promos,damaged}
+    amount,
+    // cash leaves the drawer only on an outright refund, for the cash share of the sale
+    cashOut: settlement === "Refund" && sale.total ? roundMoney(amount * (appliedByType(sale).Cash || 0) / sale.total, sale.currency) : 0,
+    // a customer's sale gives back the same share of its account charge and
+    // redeemed points, and takes back the points it earned
+    ...(sale.customer ? {
+      customerId: sale.customer.id,
+      account: roundMoney((appliedByType(sale).Account || 0) * share, sale.currency),
+      pointsBack: Math.round((sale.pointsUsed || 0) * share),
+      pointsLost: Math.round((sale.pointsEarned || 0) * share),
+    } : {}),
+    currency: sale.currency,
+    cashier: user.fullName,
+    authorizedBy,
+    shiftId: shiftId || null,
+  };
+};
+
+// Put returned goods back: into the lots they were sold from (latest first),
+// or the damaged bucket for expired/damaged units so they never get sold again.
+// Lines sold by the box go back as the base units they took.
+export const restock = (inv, lines, sale) =>
+  inv.map(p => {
+    const ls = lines.filter(l => l.id === p.id);
+    if (!ls.length) return p;
+    const bad = ls.filter(l => l.damaged).reduce((a, l) => a + baseQty(l), 0);
+    let q = { ...p, damaged: qtyRound((p.damaged || 0) + bad) };
+    for (const l of ls.filter(l => !l.damaged)) {
+      let good = baseQty(l);
+      const from = [...(sale.items.find(it => lineKey(it) === lineKey(l))?.lots || [])].reverse();
+      for (const t of from) {
+        if (good <= 0) break;
+        const n = Math.min(good, t.qty);
+        q = returnToLot(q, n, t.lotId);
+        good = qtyRound(good - n);
+      }
+      if (good > 0) q = returnToLot(q, good);
+    }
+    return q;
+  });
@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { computeTotals } from "./pricing";
+import { lineKey } from "./units";
+import { refundAmount, buildRefund } from "./refunds";
+
+const settings = { vat: 12, discount: 0, currency: "PHP" };
+const inv = [
+  { id: "MILK", name: "Milk", price: 112, taxClass: "vatable" },
+  { id: "BEER", name: "Beer", price: 112, taxClass: "vatable", scEligible: false },
+  { id: "RICE", name: "Rice", price: 100, taxClass: "exempt" },
+];
+const line = (id, qty = 1) => ({ id, name: id, price: inv.find(p => p.id === id).price, qty });
+
+// A sale as completeSale saves it: each item carries what it came to.
+const sell = (cart, discType, s = settings) => {
+  const t = computeTotals(cart, inv, s, discType);
+  return { ...t, id: "OR-000001", currency: "PHP", items: cart.map(x => ({ ...x, paid: t.linePaid[lineKey(x)] })), tenders: [{ type: "Cash", amount: t.total }] };
+};
+
+describe("refundAmount", () => {
+  it("gives back what each line paid on a Senior sale with an ineligible line", () => {
+    const sale = sell([line("MILK"), line("BEER")], "Senior");
+    expect(sale.total).toBe(192);
+    expect(refundAmount(sale, [line("MILK")])).toBeCloseTo(80); // 112 less VAT, less 20%
+    expect(refundAmount(sale, [line("BEER")])).toBeCloseTo(112);
+  });
+
+  it("gives back what each line paid when VAT classes are mixed on exclusive prices", () => {
+    const sale = sell([line("MILK"), line("RICE")], "Regular", { ...settings, pricesIncludeTax: false });
+    expect(refundAmount(sale, [line("MILK")])).toBeCloseTo(125.44); // 112 plus 12% VAT
+    expect(refundAmount(sale, [line("RICE")])).toBeCloseTo(100);
+  });
+
+  it("refunds part of a line pro rata", () => {
+    const sale = sell([line("MILK", 3)], "Senior");
+    expect(refundAmount(sale, [line("MILK", 1)])).toBeCloseTo(80);
+  });
+
+  it("rounds the refund and the cash paid out", () => {
+    const sale = sell([line("MILK"), line("BEER", 2)], "Senior");
+    const odd = { ...sale, items: sale.items.map(it => ({ ...it, paid: it.paid + 0.004 })) };
+    const doc = buildRefund({ sale: odd, lines: [line("MILK")], kind: "return", settlement: "Refund", reason: "", user: { fullName: "A" }, authorizedBy: "A" });
+    expect(doc.amount).toBe(80);
+    expect(doc.cashOut).toBe(80);
+  });
+});
@@ -0,0 +1,129 @@
+import { useEffect, useRef } from "react";
+
+/* ========= Barcode scanning (keyboard wedge) ========= */
+const MAX_GAP = 50;        // ms between keystrokes still counted as one scanner burst
+const MIN_LEN = 6;         // shortest code we treat as a scan
+const PREFIX_TTL = 5000;   // ms a typed "3*" multiplier waits for its scan
+
+// "3*480000000001" -> { qty: 3, code: "480000000001" }
+export const parseScan = (raw) => {
+  const m = String(raw).trim().match(/^(?:(\d{1,3})\*)?(\d+)$/);
+  if (!m) return null;
+  return { qty: Math.max(1, Number(m[1] || 1)), code: m[2] };
+};
+
+export const looksLikeScan = (raw) => {
+  const s = parseScan(raw);
+  return !!s && s.code.length >= MIN_LEN;
+};
+
+// GS1 mod-10 check digit, as used by EAN-8, UPC-A and EAN-13.
+export const checkDigitOk = (code) => {
+  if (![8, 12, 13].includes(code.length)) return true; // not a GS1 length; nothing to check
+  const digits = code.split("").map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((a, d, i) => a + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+};
+
+// Exact SKU match; a UPC-A is also an EAN-13 with a leading zero.
+export const findBySku = (inv, code) => findUnitBySku(inv, code)?.p || null;
+
+// Like findBySku, but also matches the barcodes of alternate selling units
+// (a box of 12 has its own). Returns `{ p, uom }`, `uom` null for the base unit.
+export const findUnitBySku = (inv, code) => {
+  const alts = [code];
+  if (code.length === 13 && code[0] === "0") alts.push(code.slice(1));
+  if (code.length === 12) alts.push("0" + code);
+  for (const p of inv) {
+    if (p.sku && alts.includes(p.sku)) return { p, uom: null };
+    const u = (p.units || []).find(u => u.sku && alts.includes(u.sku));
+    if (u) return { p, uom: u.name };
+  }
+  return null;
+};
+
+/* ----- Scale labels ----- */
+// In-store EAN-13s (prefix 20–29) printed by a label scale:
+//   PP IIIII VVVVV C — prefix, 5-digit scale item code (the product's `plu`),
+//   5-digit value, check digit.
+// The prefix says what the value is: the weight in grams, or the price in
+// the currency's minor unit (centavos). Which prefix means what is set per
+// store in Settings (`settings.scale`).
+export const SCALE_PREFIXES = ["20", "21", "22", "23", "24", "25", "26", "27", "28", "29"];
+export const SCALE_DEFAULTS = { 20: "price", 21: "price", 22: "price", 23: "price", 24: "price", 25: "weight", 26: "weight", 27: "weight", 28: "weight", 29: "weight" };
+
+export const scaleConfig = (settings) => ({ ...SCALE_DEFAULTS, ...(settings.scale || {}) });
+
+/** `{ plu, kind: "weight" | "price", value }` for a scale label, or null. */
+export const parseScaleCode = (code, cfg) => {
+  if (code.length !== 13) return null;
+  const kind = cfg[code.slice(0, 2)];
+  if (kind !== "weight" && kind !== "price") return null;
+  return { plu: code.slice(2, 7), kind, value: Number(code.slice(7, 12)) };
+};
+
+export const findByPlu = (inv, plu) => inv.find(p => p.plu === plu) || null;
+
+let audio;
+export const beep = (ok = true) => {
+  try {
+    audio = audio || new (window.AudioContext || window.webkitAudioContext)();
+    const o = audio.createOscillator(), g = audio.createGain();
+    o.frequency.value = ok ? 1800 : 220;
+    o.type = ok ? "sine" : "square";
+    g.gain.value = 0.08;
+    o.connect(g); g.connect(audio.destination);
+    o.start(); o.stop(audio.currentTime + (ok ? 0.08 : 0.35));
+  } catch { /* no audio available */ }
+};
+
+const isEditable = (el) =>
+  !!el && (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName));
+
+/**
+ * Listen for scanner bursts anywhere on the page. A scanner "types" the code
+ * far faster than a person and finishes with Enter; slower typing is ignored
+ * except for a manual "3*" quantity prefix. Keystrokes aimed at a form field
+ * are left alone, so the hook never steals input (or focus) from e.g. the
+ * cash field — fields that want scans handle Enter themselves.
+ */
+export function useScanner(onScan, enabled = true) {
+  const buf = useRef({ text: "", times: [], last: 0 });
+  const cb = useRef(onScan);
+  cb.current = onScan;
+
+  useEffect(() => {
+    if (!enabled) return;
+    const onKey = (e) => {
+      if (isEditable(e.target) || e.ctrlKey || e.metaKey || e.altKey || e.key === "Shift") return;
+      const b = buf.current;
+      const now = performance.now();
+      const gap = now - b.last;
+
+      if (e.key === "Enter") {
+        const star = b.text.indexOf("*");
+        const times = b.times.slice(star + 1);
+        const fast = times.length >= MIN_LEN && times.every((t, i) => i === 0 || t - times[i - 1] <= MAX_GAP);
+        if (fast && gap <= MAX_GAP * 4 && looksLikeScan(b.text)) {
+          e.preventDefault();
+          e.stopPropagation();
+          cb.current(b.text);
+        }
+        buf.current = { text: "", times: [], last: 0 };
+        return;
+      }
+      if (e.key.length !== 1 || !/[\d*]/.test(e.key)) { buf.current = { text: "", times: [], last: 0 }; return; }
+
+      // a slow keystroke starts over, unless it continues a manual "3*" prefix
+      const keepPrefix = gap <= PREFIX_TTL &&
+        (/^\d{1,3}\*$/.test(b.text) || (/^\d{1,3}$/.test(b.text) && e.key === "*"));
+      if (gap > MAX_GAP && !keepPrefix) { b.text = ""; b.times = []; }
+      b.text += e.key;
+      b.times.push(now);
+      b.last = now;
+    };
+    window.addEventListener("keydown", onKey, true);
+    return () => window.removeEventListener("keydown", onKey, true);
+  }, [enabled]);
+}
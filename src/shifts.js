@@ -0,0 +1,71 @@
+import { uniq } from "./util";
+import { saleTenders, appliedByType, isForeignTender } from "./tenders";
+
+/* ========= Shift figures (X / Z readings) ========= */
+
+// Totals for every sale rung up under `shift`; `byMethod` is per tender type,
+// so a split sale counts toward each of its tenders. Expected cash in the
+// drawer is the opening float plus cash tendered minus change handed back,
+// minus any cash paid out on refunds, plus cash taken on customer accounts.
+// Foreign cash sits in the drawer in its own currency, so it is counted
+// apart (`foreignCash`) instead.
+export const summarizeShift = (shift, sales, refunds = [], payments = []) => {
+  const rows = sales.filter(s => s.shiftId === shift.id);
+  const byMethod = {}, byDiscount = {}, foreignCash = {};
+  let gross = 0, vat = 0, vatable = 0, zeroRated = 0, discounts = 0, vatExempt = 0, cashIn = 0, changeOut = 0;
+  for (const s of rows) {
+    for (const [k, v] of Object.entries(appliedByType(s))) byMethod[k] = (byMethod[k] || 0) + v;
+    gross += s.total;
+    vat += s.taxAmt || 0;
+    discounts += (s.discAmt || 0) + (s.promoAmt || 0);
+    vatExempt += s.vatExempt || 0;
+    vatable += s.vatable ?? (s.total - (s.taxAmt || 0) - (s.vatExempt || 0));
+    zeroRated += s.zeroRated || 0;
+    if (s.discAmt) {
+      const k = s.discLabel || "Discount";
+      byDiscount[k] = (byDiscount[k] || 0) + s.discAmt;
+    }
+    for (const p of s.promos || []) byDiscount[p.name] = (byDiscount[p.name] || 0) + p.amount;
+    for (const t of saleTenders(s).filter(t => t.type === "Cash")) {
+      if (isForeignTender(t, s)) foreignCash[t.currency] = (foreignCash[t.currency] || 0) + t.amount;
+      else cashIn += t.amount;
+    }
+    changeOut += s.change || 0;
+  }
+  const rf = refunds.filter(r => r.shiftId === shift.id);
+  const refundTotal = rf.reduce((a, r) => a + r.amount, 0);
+  const cashOut = rf.reduce((a, r) => a + (r.cashOut || 0), 0);
+  const pm = payments.filter(p => p.shiftId === shift.id);
+  const collections = pm.reduce((a, p) => a + p.amount, 0);
+  const collectedCash = pm.filter(p => p.method === "Cash").reduce((a, p) => a + p.amount, 0);
+  return {
+    count: rows.length, byMethod, byDiscount, foreignCash, gross, vat, vatable, vatExempt, zeroRated, discounts, cashIn, changeOut,
+    refunds: refundTotal, refundCount: rf.length, cashOut,
+    collections, collectionCount: pm.length, collectedCash,
+    expectedCash: (Number(shift.float) || 0) + cashIn - changeOut - cashOut + collectedCash,
+  };
+};
+
+export const openShift = (user, float) => {
+  const now = new Date();
+  return {
+    id: `SH-${now.getTime()}-${uniq()}`,
+    openedAt: now.toISOString(),
+    openedBy: user.fullName,
+    float: Number(float) || 0,
+  };
+};
+
+// Lock the figures at close time; later sales can no longer change a Z-reading.
+export const closeShift = (shift, sales, refunds, payments, user, counted) => {
+  const reading = summarizeShift(shift, sales, refunds, payments);
+  const c = Number(counted) || 0;
+  return {
+    ...shift,
+    closedAt: new Date().toISOString(),
+    closedBy: user.fullName,
+    reading,
+    counted: c,
+    overShort: c - reading.expectedCash,
+  };
+};
@@ -0,0 +1,104 @@
+import { updateLot, withLots, deductFEFO, newLotId, shortLotId } from "./lots";
+import { localDate, uniq } from "./util";
+import { qtyRound } from "./units";
+
+/* ========= Stock movement ledger ========= */
+export const MOVEMENT_TYPES = {
+  sale:       "Sale",
+  return:     "Return",
+  receiving:  "Receiving",
+  adjustment: "Adjustment",
+  spoilage:   "Spoilage",
+  transfer:   "Transfer",
+  count:      "Count correction",
+  opening:    "Opening balance",
+};
+
+// Movements a person may key in by hand; the rest come from sales, returns and receiving.
+export const MANUAL_TYPES = ["adjustment", "spoilage", "transfer", "count"];
+
+/**
+ * One ledger line for product `p` becoming `np`. `qty` is the signed change
+ * in on-hand stock; `before` / `after` are the product totals around it.
+ */
+export const movement = (p, np, { type, user, note = "", ref = null, lotId = null }) => {
+  const now = new Date();
+  return {
+    id: `MV-${now.getTime()}-${uniq()}`,
+    ts: now.toISOString(),
+    productId: p.id,
+    name: p.name,
+    type,
+    qty: qtyRound(np.stock - p.stock),
+    before: p.stock,
+    after: np.stock,
+    lotId,
+    user: user?.fullName || "—",
+    note,
+    ref,
+  };
+};
+
+// Movements for every product whose stock differs between two inventory snapshots.
+export const diffMovements = (inv, next, meta) =>
+  next.flatMap(np => {
+    const p = inv.find(x => x.id === np.id);
+    return p && p.stock !== np.stock ? [movement(p, np, meta)] : [];
+  });
+
+/**
+ * Apply a manual change to one lot. `count` sets the lot to `qty`; the other
+ * types add the signed `qty`. Spoiled units move to the damaged bucket.
+ */
+export const adjustLot = (p, lotId, type, qty) => {
+  const lot = p.lots.find(l => l.id === lotId);
+  const n = qtyRound(qty);
+  const after = Math.max(0, type === "count" ? n : qtyRound(lot.qty + n));
+  const np = updateLot(p, lotId, { qty: after });
+  return type === "spoilage" ? { ...np, damaged: qtyRound((p.damaged || 0) + (lot.qty - after)) } : np;
+};
+
+/**
+ * Apply a movement recorded on another terminal to this terminal's copy of
+ * the product. Incoming units go back into the named lot (created from
+ * `lotsHint`, the sender's lot list, if this terminal hasn't seen it);
+ * outgoing units come from the named lot first, then FEFO, and whatever no
+ * lot here covers (the sale beat the delivery to this terminal) goes on the
+ * shortfall lot. Every movement changes the total by exactly its qty, so
+ * totals end up the same on every terminal whatever order movements arrive in.
+ */
+export const replayMovement = (p, m, lotsHint = []) => {
+  if (m.qty > 0) {
+    const lot = m.lotId && p.lots.find(l => l.id === m.lotId);
+    if (lot) return updateLot(p, lot.id, { qty: qtyRound(lot.qty + m.qty) });
+    const hint = lotsHint.find(l => l.id === m.lotId);
+    return withLots({
+      ...p,
+      lots: [...p.lots, {
+        id: m.lotId || newLotId(p), qty: m.qty, expiry: hint?.expiry ?? null,
+        received: hint?.received ?? localDate(m.ts), supplierRef: hint?.supplierRef ?? "",
+      }],
+    });
+  }
+  let left = -m.qty;
+  let np = p;
+  const lot = m.lotId && p.lots.find(l => l.id === m.lotId);
+  if (lot) {
+    const take = Math.min(lot.qty, left);
+    np = updateLot(np, lot.id, { qty: qtyRound(lot.qty - take) });
+    left = qtyRound(left - take);
+  }
+  if (left > 0) {
+    const r = deductFEFO(np, left);
+    np = r.product;
+    left = qtyRound(left - r.taken.reduce((a, t) => a + t.qty, 0));
+  }
+  if (left > 0) {
+    const id = shortLotId(p);
+    const short = np.lots.find(l => l.id === id);
+    np = short
+      ? updateLot(np, id, { qty: qtyRound(short.qty - left) })
+      : withLots({ ...np, lots: [...np.lots, { id, qty: -left, expiry: null, received: null, supplierRef: "Sold elsewhere, not yet here" }] });
+  }
+  return m.type === "spoilage" ? { ...np, damaged: qtyRound((p.damaged || 0) + (p.stock - np.stock)) } : np;
+};
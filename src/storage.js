@@ -0,0 +1,216 @@
+import { withLots } from "./lots";
+import { loadAll, replaceAll, clearOutbox, STORES } from "./db";
+import { catchUp } from "./orseries";
+
+/* ========= localStorage keys ========= */
+// Only per-device state still lives here: the login session and the sync
+// connection. The rest are the keys data was kept under before IndexedDB;
+// they are read once, imported, then removed.
+export const AUTH_KEY = "pos_auth";
+export const SYNC_KEY = "pos_sync";
+const LEGACY_KEYS = {
+  users: "pos_users",
+  roles: "pos_roles",
+  overrides: "pos_overrides",
+  settings: "pos_settings",
+  inventory: "pos_inventory",
+  movements: "pos_movements",
+  suppliers: "pos_suppliers",
+  purchaseOrders: "pos_purchase_orders",
+  sales: "pos_sales",
+  refunds: "pos_refunds",
+  shift: "pos_shift",
+  shifts: "pos_shifts",
+};
+const LEGACY_SCHEMA_KEY = "pos_schema";
+
+// What was wrong with saved data that the app carried on past, for the app
+// to show in its status banners.
+const problems = [];
+export const storageProblems = () => [...problems];
+
+// A corrupt or half-written key reads as missing instead of crashing the app.
+export const readKey = (key) => {
+  const s = localStorage.getItem(key);
+  if (s == null) return null;
+  try {
+    return JSON.parse(s);
+  } catch {
+    problems.push(`Saved "${key}" was unreadable and has been ignored`);
+    return null;
+  }
+};
+
+/* ========= Versioned data envelope ========= */
+// Everything the business owns, by dataset name. Lists map to an IndexedDB
+// store of the same name; the rest are single values in the meta store.
+// The login session is deliberately left out: it is per-device and is
+// dropped on restore.
+export const DATASETS = {
+  users:          { label: "Users" },
+  roles:          { label: "Roles" },
+  overrides:      { label: "Manager overrides" },
+  settings:       { label: "Settings" },
+  inventory:      { label: "Inventory" },
+  movements:      { label: "Stock movements" },
+  suppliers:      { label: "Suppliers" },
+  purchaseOrders: { label: "Purchase orders" },
+  sales:          { label: "Sales" },
+  refunds:        { label: "Refunds / voids" },
+  shift:          { label: "Open shift" },
+  shifts:         { label: "Closed shifts" },
+  held:           { label: "Held carts" },
+  customers:      { label: "Customers" },
+  payments:       { label: "Account payments" },
+  orSeries:       { label: "OR series" },
+};
+const isList = (name) => name in STORES;
+
+export const BACKUP_FORMAT = "mnl-pos-backup";
+
+const readData = async () => {
+  const all = await loadAll();
+  return Object.fromEntries(Object.keys(DATASETS).map(name => [name, isList(name) ? all[name] : all.meta[name] ?? null]));
+};
+
+const writeData = (data, meta = {}) => {
+  const single = Object.fromEntries(Object.keys(DATASETS).filter(n => !isList(n)).map(n => [n, data[n] ?? null]));
+  return replaceAll(data, { ...single, schema: SCHEMA_VERSION, seeded: true, ...meta });
+};
+
+/* ========= Migrations ========= */
+// Each step upgrades a whole `data` object (dataset name → value) by one
+// version. Append new steps; never edit a released one.
+const MIGRATIONS = [
+  {
+    to: 1,
+    // the original app kept bare { stock, expiry } products and a partial settings object
+    up: (data) => ({
+      ...data,
+      inventory: data.inventory && data.inventory.map(p => withLots({
+        ...p,
+        price: Number(p.price) || 0,
+        stock: Number(p.stock) || 0,
+        expiry: p.expiry || null,
+      })),
+      settings: data.settings && { vat: 12, discount: 0, currency: "PHP", ...data.settings },
+    }),
+  },
+  {
+    to: 2,
+    // records are stored by key now; override log entries only had a timestamp
+    up: (data) => ({
+      ...data,
+      overrides: data.overrides && data.overrides.map((o, i) => ({ id: `OV-${Date.parse(o.ts) || 0}-${i}`, ...o })),
+    }),
+  },
+  {
+    to: 3,
+    // carts can be held
+    up: (data) => ({ ...data, held: data.held || [] }),
+  },
+  {
+    to: 4,
+    // sales are numbered from a counter; start it after any numbered ORs already saved
+    up: (data) => ({ ...data, orSeries: catchUp(data.orSeries, data.sales) }),
+  },
+  {
+    to: 5,
+    // settings.promos held the custom discount types; "promos" now means the promotions applied to a sale
+    up: (data) => {
+      if (!data.settings) return data;
+      const { promos, ...settings } = data.settings;
+      return { ...data, settings: { ...settings, discountTypes: settings.discountTypes || promos || [] } };
+    },
+  },
+  {
+    to: 6,
+    // customer accounts and the payments made on them
+    up: (data) => ({ ...data, customers: data.customers || [], payments: data.payments || [] }),
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].to;
+
+export const migrate = (data, from) =>
+  MIGRATIONS.filter(m => m.to > from).reduce((d, m) => m.up(d), data);
+
+/**
+ * Run once at startup, before the app reads anything. The first run on
+ * IndexedDB imports whatever localStorage held (unversioned data counts as
+ * v0); after that, stored data is upgraded in place when the schema moves on.
+ */
+export const initStorage = async () => {
+  const { meta } = await loadAll();
+  if (meta.schema == null) {
+    const legacy = Object.fromEntries(Object.entries(LEGACY_KEYS).map(([name, key]) => [name, readKey(key)]));
+    const found = Object.values(legacy).some(v => v != null);
+    const from = readKey(LEGACY_SCHEMA_KEY) ?? (found ? 0 : SCHEMA_VERSION);
+    await writeData(migrate(legacy, from), { seeded: found && legacy.inventory != null });
+    for (const key of [...Object.values(LEGACY_KEYS), LEGACY_SCHEMA_KEY]) localStorage.removeItem(key);
+    return;
+  }
+  if (meta.schema > SCHEMA_VERSION) {
+    problems.push(`Saved data is schema v${meta.schema}, newer than this app (v${SCHEMA_VERSION}); it was left as is. Update the app before making changes.`);
+    return;
+  }
+  if (meta.schema < SCHEMA_VERSION) await writeData(migrate(await readData(), meta.schema), { seeded: meta.seeded });
+};
+
+/* ========= Backup / restore ========= */
+export const makeBackup = async (user) => ({
+  format: BACKUP_FORMAT,
+  version: SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  exportedBy: user?.fullName || "—",
+  data: await readData(),
+});
+
+/**
+ * Validate a parsed backup file and bring it up to the current schema.
+ * Returns `{ ok, msg, data, backup }`.
+ */
+export const checkBackup = (backup) => {
+  if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.data !== "object")
+    return { ok: false, msg: "Not a POS backup file" };
+  if (!Number.isInteger(backup.version) || backup.version > SCHEMA_VERSION)
+    return { ok: false, msg: `Backup is schema v${backup.version}; this app reads up to v${SCHEMA_VERSION}` };
+  for (const [name, d] of Object.entries(DATASETS)) {
+    const v = backup.data[name];
+    if (v != null && isList(name) && !Array.isArray(v)) return { ok: false, msg: `${d.label} should be a list` };
+    if (v != null && !isList(name) && typeof v !== "object") return { ok: false, msg: `${d.label} is malformed` };
+  }
+  if (!Array.isArray(backup.data.users) || !backup.data.users.some(u => u.role === "admin" && !u.disabled))
+    return { ok: false, msg: "Backup has no active admin account; restoring it would lock everyone out" };
+  const data = migrate(backup.data, backup.version);
+  for (const name of Object.keys(STORES)) {
+    if ((data[name] || []).some(r => r[STORES[name]] == null)) return { ok: false, msg: `${DATASETS[name].label} has records without an id` };
+  }
+  return { ok: true, data, backup };
+};
+
+// Per dataset: what restoring `incoming` would do to what is saved now.
+export const diffBackup = async (incoming) => {
+  const current = await readData();
+  return Object.entries(DATASETS).map(([name, d]) => {
+    const a = current[name], b = incoming[name];
+    if (!isList(name)) return { name, label: d.label, same: JSON.stringify(a) === JSON.stringify(b), replaced: a != null || b != null };
+    const byId = (list) => new Map((list || []).map(x => [String(x[STORES[name]]), JSON.stringify(x)]));
+    const A = byId(a), B = byId(b);
+    let added = 0, removed = 0, changed = 0;
+    for (const [k, v] of B) if (!A.has(k)) added++; else if (A.get(k) !== v) changed++;
+    for (const k of A.keys()) if (!B.has(k)) removed++;
+    return { name, label: d.label, current: A.size, incoming: B.size, added, removed, changed };
+  });
+};
+
+// A restored terminal no longer matches the sync server, so it is disconnected too.
+// The OR counter never goes back: receipts issued since the backup keep their numbers.
+export const restoreBackup = async (data) => {
+  const current = await readData();
+  const orSeries = catchUp(data.orSeries, [...(data.sales || []), ...current.sales], current.orSeries);
+  await writeData({ ...data, orSeries }, { syncRev: null });
+  await clearOutbox();
+  localStorage.removeItem(AUTH_KEY);
+  localStorage.removeItem(SYNC_KEY);
+};
@@ -0,0 +1,217 @@
+import { transact, getAll, getMeta, enableOutbox, clearOutbox, SYNCED_STORES, STORES, META, OUTBOX } from "./db";
+import { withLots } from "./lots";
+import { movement, replayMovement } from "./stock";
+import { readKey, SYNC_KEY } from "./storage";
+import { forTerminal } from "./orseries";
+
+/* ========= Offline-first sync with a central REST server ========= */
+// Every write to a synced collection is queued in the outbox (see db.js).
+// The loop pushes the outbox, then pulls everything other terminals pushed
+// since the last pull. The server is a dumb ordered log; it hands out a
+// global `rev` per change and each terminal resolves conflicts the same way:
+//  - stock is never copied: it changes only by replaying stock movements
+//    (a lot's expiry and supplier ref do travel with the product record);
+//  - other records follow server order (last rev wins), this terminal's own
+//    changes included, except that a record with unpushed local edits is
+//    left alone; those edits will be pushed, get a later rev, and win
+//    everywhere;
+//  - a sale is never replaced by a different sale under the same OR number
+//    (two terminals on one prefix): ours is kept and the clash is listed in
+//    META "syncConflicts" for an admin to sort out.
+//
+// Server API (see server/sync-server.js):
+//   GET  /sync/status                 → { rev }
+//   POST /sync/push  { terminal, changes: [{ seq, store, op, key, record, ts }] } → { rev }
+//   GET  /sync/pull?since=REV         → { rev, changes: [{ rev, terminal, store, op, key, record, ts }] }
+// `op` is "put", "del" or "stock" (see `tx.putStock` in db.js).
+
+export const SYNC_INTERVAL = 15000; // ms
+const BATCH = 200;
+
+export const newTerminalId = () => `T-${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+
+// { url, terminal, enabled } — per device, so it lives in localStorage
+export const loadSyncConfig = () => readKey(SYNC_KEY) || { url: "", terminal: newTerminalId(), enabled: false };
+export const saveSyncConfig = (cfg) => {
+  localStorage.setItem(SYNC_KEY, JSON.stringify(cfg));
+  enableOutbox(!!cfg.enabled);
+};
+
+const api = async (cfg, path, body) => {
+  const res = await fetch(cfg.url.replace(/\/+$/, "") + path, body
+    ? { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) }
+    : undefined);
+  if (!res.ok) throw new Error(`Server replied ${res.status}`);
+  return res.json();
+};
+
+export const pendingCount = async () => (await getAll(OUTBOX)).length;
+
+/**
+ * First connection of this terminal. An empty server is seeded from this
+ * terminal: every synced record is queued, and stock on hand is queued as
+ * one "opening" movement per lot so the others can replay it. Otherwise this
+ * terminal's synced data is dropped and rebuilt from the server. Either way
+ * a terminal still on the default OR prefix gets its own (see orseries.js).
+ * Returns "seeded" or "joined".
+ */
+export const connect = async (cfg, user, confirmJoin) => {
+  const { rev } = await api(cfg, "/sync/status");
+  if (rev > 0 && !confirmJoin()) return null;
+  saveSyncConfig({ ...cfg, enabled: true });
+  await clearOutbox();
+
+  if (rev === 0) {
+    await transact([...SYNCED_STORES, META], async tx => {
+      for (const store of SYNCED_STORES) {
+        if (store === "movements") continue; // history stays local; the opening balances below stand for it
+        for (const r of await tx.getAll(store)) await tx.put(store, r);
+      }
+      for (const p of await tx.getAll("inventory")) {
+        let running = 0;
+        for (const l of p.lots.filter(l => l.qty !== 0)) {
+          const m = movement({ ...p, stock: running }, { ...p, stock: running + l.qty }, { type: "opening", user, lotId: l.id, note: "Sync baseline" });
+          running += l.qty;
+          await tx.put("movements", m);
+        }
+      }
+      await tx.put(META, 0, "syncRev");
+      await tx.put(META, forTerminal(await tx.get(META, "orSeries"), cfg.terminal), "orSeries");
+    });
+    return "seeded";
+  }
+
+  await transact([...SYNCED_STORES, META], async tx => {
+    for (const store of SYNCED_STORES) for (const r of await tx.getAll(store)) await tx.del(store, r[STORES[store]]);
+    await tx.put(META, 0, "syncRev");
+    await tx.put(META, forTerminal(await tx.get(META, "orSeries"), cfg.terminal), "orSeries");
+  }, { sync: false });
+  return "joined";
+};
+
+export const disconnect = async (cfg) => {
+  saveSyncConfig({ ...cfg, enabled: false });
+  await clearOutbox();
+};
+
+const push = async (cfg) => {
+  let pushed = 0;
+  for (;;) {
+    const batch = await getAll(OUTBOX, BATCH);
+    if (!batch.length) return pushed;
+    await api(cfg, "/sync/push", { terminal: cfg.terminal, changes: batch });
+    await transact([OUTBOX], async tx => {
+      for (const o of batch) await tx.del(OUTBOX, o.seq);
+    }, { sync: false });
+    pushed += batch.length;
+    if (batch.length < BATCH) return pushed;
+  }
+};
+
+// Lot quantities only change through movements, but a lot's details
+// (expiry, supplier ref …) are edited in place and follow the product put.
+const mergeLots = (local, remote = []) =>
+  local.map(l => {
+    const r = remote.find(x => x.id === l.id);
+    return r ? { ...l, expiry: r.expiry ?? null, received: r.received ?? l.received, supplierRef: r.supplierRef ?? "" } : l;
+  });
+
+// The same sale, give or take being voided since.
+const sameSale = (a, b) => JSON.stringify({ ...a, voided: null }) === JSON.stringify({ ...b, voided: null });
+
+// Apply pulled changes in rev order, in one transaction, exactly once.
+// Records already equal to the pulled copy are not rewritten.
+const applyRemote = (changes) =>
+  transact([...SYNCED_STORES, OUTBOX, META], async tx => {
+    const since = (await tx.get(META, "syncRev")) || 0;
+    const conflicts = (await tx.get(META, "syncConflicts")) || [];
+    const found = conflicts.length;
+    const pending = new Set((await tx.getAll(OUTBOX)).map(o => `${o.store}:${o.key}`));
+    const lotsHint = {}; // product id → sender's lots, for expiry of lots first seen here
+    let rev = since;
+    for (const c of changes) {
+      if (c.rev <= since) continue;
+      rev = Math.max(rev, c.rev);
+
+      if (c.store === "movements") {
+        // already here means already applied; our own come back after a rejoin and are replayed like any other
+        if (c.op !== "put" || await tx.get("movements", c.key)) continue;
+        const m = c.record;
+        const p = await tx.get("inventory", m.productId);
+        if (p) await tx.put("inventory", replayMovement(p, m, lotsHint[p.id]));
+        await tx.put("movements", { ...m, terminal: c.terminal });
+        continue;
+      }
+      if (c.store === "inventory" && c.op !== "del") lotsHint[c.key] = c.record.lots || [];
+      if (c.op === "stock" || pending.has(`${c.store}:${c.key}`)) continue;
+      const local = await tx.get(c.store, c.key);
+      if (c.store === "sales" && c.op === "put" && local && !sameSale(local, c.record)) {
+        conflicts.push({ store: c.store, key: c.key, terminal: c.terminal, rev: c.rev, ts: c.record.ts, total: c.record.total });
+        continue;
+      }
+      if (c.op === "del") {
+        if (local) await tx.del(c.store, c.key);
+        continue;
+      }
+      // product fields and lot details come from the server; stock stays ours
+      const next = c.store === "inventory"
+        ? withLots({ ...c.record, lots: local ? mergeLots(local.lots, c.record.lots) : [], damaged: local?.damaged || 0 })
+        : c.record;
+      if (JSON.stringify(next) !== JSON.stringify(local)) await tx.put(c.store, next);
+    }
+    await tx.put(META, rev, "syncRev");
+    if (conflicts.length > found) await tx.put(META, conflicts, "syncConflicts");
+  }, { sync: false });
+
+/**
+ * One round: push the outbox, then pull. Resolves to the local changes the
+ * pull made (for the app to patch its state) and the queue length left.
+ */
+export const syncOnce = async (cfg) => {
+  await push(cfg);
+  const changes = [];
+  for (;;) {
+    const since = (await getMeta("syncRev")) || 0;
+    const res = await api(cfg, `/sync/pull?since=${since}&limit=${BATCH}`);
+    if (!res.changes.length) break;
+    changes.push(...(await applyRemote(res.changes)).changes);
+    if (res.changes.length < BATCH) break;
+  }
+  return { changes, pending: await pendingCount() };
+};
+
+/**
+ * Keep syncing every SYNC_INTERVAL and whenever the browser comes back
+ * online. `onStatus({ state, pending, at, error })` with state one of
+ * "offline" | "syncing" | "synced" | "error". Returns a stop function.
+ */
+export const startSync = (cfg, { onChanges, onStatus }) => {
+  enableOutbox(true);
+  let busy = false, stopped = false;
+  const run = async () => {
+    if (busy || stopped) return;
+    if (!navigator.onLine) return onStatus({ state: "offline", pending: await pendingCount() });
+    busy = true;
+    onStatus({ state: "syncing", pending: await pendingCount() });
+    try {
+      const { changes, pending } = await syncOnce(cfg);
+      if (changes.length) onChanges(changes);
+      const conflicts = ((await getMeta("syncConflicts")) || []).length;
+      if (!stopped) onStatus({ state: "synced", pending, conflicts, at: new Date().toISOString() });
+    } catch (e) {
+      if (!stopped) onStatus({ state: navigator.onLine ? "error" : "offline", pending: await pendingCount(), error: e.message });
+    } finally {
+      busy = false;
+    }
+  };
+  const timer = setInterval(run, SYNC_INTERVAL);
+  window.addEventListener("online", run);
+  window.addEventListener("offline", run);
+  run();
+  return Object.assign(() => {
+    stopped = true;
+    clearInterval(timer);
+    window.removeEventListener("online", run);
+    window.removeEventListener("offline", run);
+  }, { now: run });
+};
@@ -0,0 +1,71 @@
+import "fake-indexeddb/auto";
+import { describe, it, expect, beforeAll } from "vitest";
+import { transact, getAll } from "./db";
+import { withLots, addLot, deductFEFO } from "./lots";
+import { movement } from "./stock";
+import { connect, disconnect, syncOnce } from "./sync";
+
+// The server is an ordered log (see server/sync-server.js); this is the same
+// log in memory, answering the three requests the terminal makes.
+const log = [];
+const seen = new Set();
+const json = (body) => ({ ok: true, json: async () => body });
+globalThis.fetch = async (url, opts) => {
+  const u = new URL(url);
+  if (u.pathname === "/sync/status") return json({ rev: log.length });
+  if (u.pathname === "/sync/pull") {
+    const since = Number(u.searchParams.get("since")) || 0;
+    const limit = Number(u.searchParams.get("limit")) || 500;
+    return json({ rev: log.length, changes: log.slice(since, since + limit) });
+  }
+  const body = JSON.parse(opts.body);
+  for (const c of body.changes) {
+    if (seen.has(`${body.terminal}:${c.seq}`)) continue;
+    seen.add(`${body.terminal}:${c.seq}`);
+    log.push({ ...c, rev: log.length + 1, terminal: body.terminal });
+  }
+  return json({ rev: log.length });
+};
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (k) => store.get(k) ?? null,
+  setItem: (k, v) => store.set(k, String(v)),
+  removeItem: (k) => store.delete(k),
+};
+
+const cfg = { url: "http://sync.test", terminal: "T-TEST", enabled: false };
+const user = { fullName: "Test Admin" };
+const product = async () => (await getAll("inventory")).find(p => p.id === "BEAN");
+
+describe("sync", () => {
+  beforeAll(async () => {
+    const p = addLot(withLots({ id: "BEAN", name: "Beans", price: 100, unit: "pc", lots: [] }), { qty: 10, expiry: null, supplierRef: "Opening" });
+    await transact(["inventory"], tx => tx.put("inventory", p), { sync: false });
+  });
+
+  it("rebuilds this terminal's own stock changes after disconnect and reconnect", async () => {
+    expect(await connect(cfg, user, () => true)).toBe("seeded");
+    await syncOnce(cfg);
+
+    // a sale of 3 on this terminal, written the way commitSale writes it
+    await transact(["inventory", "movements"], async tx => {
+      const before = await tx.get("inventory", "BEAN");
+      const after = deductFEFO(before, 3).product;
+      await tx.putStock(after);
+      await tx.put("movements", movement(before, after, { type: "sale", user, ref: "T-TEST-OR-000001" }));
+    });
+    await syncOnce(cfg);
+    expect((await product()).stock).toBe(7);
+
+    await disconnect(cfg);
+    expect(await connect(cfg, user, () => true)).toBe("joined");
+    expect(await product()).toBeUndefined();
+
+    await syncOnce(cfg);
+    const p = await product();
+    expect(p.stock).toBe(7);
+    expect(p.lots.reduce((a, l) => a + l.qty, 0)).toBe(7);
+    expect((await getAll("movements")).map(m => m.type).sort()).toEqual(["opening", "sale"]);
+  });
+});
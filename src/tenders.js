@@ -0,0 +1,97 @@
+import { roundMoney } from "./currency";
+
+/* ========= Tenders (split payment) ========= */
+// A sale is paid by one or more tenders: { type, amount, ref, last4 }, plus
+// { currency, rate } when taken in a foreign currency (see currency.js).
+// Only cash may exceed what is still due; the excess comes back as change,
+// always in the base currency. Card / e-wallet tenders need the approval or
+// reference number. Points and Account (charge to account) are only offered
+// with a customer on the sale; customers.js checks them against the
+// customer's points and credit limit.
+
+export const TENDER_TYPES = ["Cash", "Card", "E-Wallet", "Points", "Account"];
+export const CUSTOMER_TENDERS = ["Points", "Account"];
+export const needsRef = (type) => type === "Card" || type === "E-Wallet";
+const CENT = 0.005;
+
+export const newTender = (type = "Cash", amount = "") => ({ type, amount, ref: "", last4: "", currency: null, rate: null });
+
+const isForeign = (t, base) => !!t.currency && t.currency !== base;
+
+// What a tender is worth in the base currency.
+export const tenderBase = (t, base) =>
+  isForeign(t, base) ? roundMoney((Number(t.amount) || 0) * (Number(t.rate) || 0), base) : Number(t.amount) || 0;
+
+/**
+ * Check the tenders against `total` (both in `base`). Returns `{ paid, cash,
+ * nonCash, due, change, errors }`, all in base; `due` is what is still
+ * unpaid, `errors` one message per problem (empty when the sale can be
+ * completed).
+ */
+export const checkTenders = (tenders, total, base = "PHP") => {
+  const errors = [];
+  let cash = 0, nonCash = 0;
+  tenders.forEach((t, i) => {
+    const n = tenderBase(t, base);
+    const label = `${t.type} #${i + 1}`;
+    if (n < 0) errors.push(`${label}: amount cannot be negative`);
+    if (isForeign(t, base) && !(t.rate > 0)) errors.push(`${label}: no exchange rate for ${t.currency}`);
+    if (t.type === "Cash") { cash += n; return; }
+    nonCash += n;
+    if (n > 0 && needsRef(t.type) && !String(t.ref || "").trim()) errors.push(`${label}: reference / approval no. is required`);
+    if (t.last4 && !/^\d{4}$/.test(t.last4)) errors.push(`${label}: last 4 must be 4 digits`);
+  });
+  if (nonCash > total + CENT) errors.push("Non-cash amounts exceed the total; change is given from cash only");
+  const paid = cash + nonCash;
+  const due = Math.max(0, total - paid);
+  if (due > CENT) errors.push("Tenders do not cover the total");
+  return { paid, cash, nonCash, due: due > CENT ? due : 0, change: Math.max(0, paid - total), errors };
+};
+
+// What gets stored on the sale: non-empty tenders with numbers, trimmed refs,
+// and for every tender its currency, the rate used and its value in base.
+export const cleanTenders = (tenders, base = "PHP") =>
+  tenders
+    .map(t => ({
+      type: t.type,
+      currency: isForeign(t, base) ? t.currency : base,
+      rate: isForeign(t, base) ? Number(t.rate) : 1,
+      amount: Number(t.amount) || 0,
+      base: tenderBase(t, base),
+      ref: String(t.ref || "").trim(),
+      last4: t.last4 || "",
+    }))
+    .filter(t => t.amount > 0);
+
+// "Cash", "E-Wallet" or "Cash + E-Wallet" — the journal's Method column.
+export const methodLabel = (tenders) => [...new Set(tenders.map(t => t.type))].join(" + ") || "—";
+
+// Sales saved before split tender had one `method` and, for cash, `cash` / `change`.
+export const saleTenders = (s) =>
+  s.tenders || [{ type: s.method, amount: s.method === "Cash" ? s.cash ?? s.total : s.total, ref: "", last4: "" }];
+
+/**
+ * What each tender type actually paid toward `s.total`: the change handed
+ * back is taken off cash. Use this for per-tender totals in reports.
+ */
+export const appliedByType = (s) => {
+  const out = {};
+  for (const t of saleTenders(s)) out[t.type] = (out[t.type] || 0) + (t.base ?? t.amount);
+  if (out.Cash != null) out.Cash -= s.change || 0;
+  return out;
+};
+
+// Tenders of a sale in a currency other than its base, e.g. USD cash.
+export const isForeignTender = (t, sale) => !!t.currency && t.currency !== sale.currency;
+
+/**
+ * One tender as a line of text: "E-Wallet ₱300.00 • Ref 1234 • ****5678", or
+ * "Cash USD $20.00 @ 56.1 = ₱1,122.00" for a foreign one. `money(n, cur)`
+ * formats an amount; `cur` is only passed for the foreign side.
+ */
+export const tenderText = (t, money, base) => {
+  const amt = t.currency && t.currency !== base
+    ? `${t.currency} ${money(t.amount, t.currency)} @ ${t.rate} = ${money(t.base)}`
+    : money(t.amount);
+  return [`${t.type} ${amt}`, t.ref && `Ref ${t.ref}`, t.last4 && `****${t.last4}`].filter(Boolean).join(" • ");
+};
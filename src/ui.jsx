@@ -0,0 +1,130 @@
+import React from "react";
+import { fmt } from "./util";
+import { STATUTORY } from "./pricing";
+import { saleTenders, tenderText, appliedByType } from "./tenders";
+import { headerLines, registrationLines, permitLines } from "./receipt";
+import { lineKey, lineQtyText } from "./units";
+
+/* ============ Small UI bits ============ */
+export const Row = ({ label, value, bold }) => (
+  <div className={`flex items-center justify-between ${bold ? "font-semibold" : ""}`}>
+    <div>{label}</div><div>{value}</div>
+  </div>
+);
+
+/* ============ Sale totals + BIR breakdown ============ */
+// Works for live cart totals and stored sales alike; sales saved before the
+// breakdown existed simply omit it.
+export function TotalsRows({ t, cur }) {
+  return (
+    <>
+      <Row label="Subtotal" value={fmt(t.sub, cur)} />
+      {(t.promos || []).map(p => <Row key={p.id} label={p.name} value={`− ${fmt(p.amount, cur)}`} />)}
+      {t.vatRemoved > 0 && <Row label="Less: VAT (exempt)" value={`− ${fmt(t.vatRemoved, cur)}`} />}
+      <Row label={`${t.discLabel || "Discount"} (${t.discPct}%)`} value={`− ${fmt(t.discAmt, cur)}`} />
+      {!t.taxIncl && <Row label={`VAT (${t.vatPct}%)`} value={fmt(t.taxAmt, cur)} />}
+      <Row label="Total" value={fmt(t.total, cur)} bold />
+      {t.vatable != null && (
+        <div className="pt-1 text-xs text-gray-500 space-y-0.5">
+          <Row label="VATable Sales" value={fmt(t.vatable, cur)} />
+          <Row label={`VAT Amount (${t.vatPct}%)`} value={fmt(t.taxAmt, cur)} />
+          <Row label="VAT-Exempt Sales" value={fmt(t.vatExempt, cur)} />
+          <Row label="Zero-Rated Sales" value={fmt(t.zeroRated, cur)} />
+        </div>
+      )}
+    </>
+  );
+}
+
+/* ============ Printed document header (receipt template) ============ */
+export function DocHeader({ tpl, children }) {
+  return (
+    <div className="c">
+      {tpl.logo && <img src={tpl.logo} alt="" style={{ maxWidth: "60%", maxHeight: 80, margin: "0 auto 4px", display: "block" }} />}
+      <div style={{ fontWeight: 700 }}>{tpl.name}</div>
+      {headerLines(tpl).map((l, i) => <div key={i} className="muted">{l}</div>)}
+      {tpl.address && <div className="muted">{tpl.address}</div>}
+      {registrationLines(tpl).map(l => <div key={l} className="muted">{l}</div>)}
+      {children}
+    </div>
+  );
+}
+
+/* ============ Printable receipt ============ */
+export function Receipt({ receipt, tpl }) {
+  return (
+    <>
+      <DocHeader tpl={tpl}>
+        <div style={{ fontWeight: 700 }}>OFFICIAL RECEIPT</div>
+      </DocHeader>
+      <hr/>
+      <div className="muted">OR No.: {receipt.id}</div>
+      <div className="muted">Date: {receipt.time}</div>
+      <div className="muted">Cashier: {receipt.cashier}</div>
+      {receipt.reprint && <div className="muted">*** REPRINT ***</div>}
+      {receipt.voided && <div style={{ fontWeight: 700 }}>*** VOID ({receipt.voided.refundId}) ***</div>}
+      <hr/>
+      <table><tbody>
+        {receipt.items.map(it => (
+          <React.Fragment key={lineKey(it)}>
+            <tr><td>{lineQtyText(it)} × {it.name}</td><td className="r">{fmt(it.price * it.qty, receipt.currency)}</td></tr>
+            {(it.promos || []).map(o => (
+              <tr key={o.id}><td className="muted">&nbsp;&nbsp;{o.name}</td><td className="r">− {fmt(o.amount, receipt.currency)}</td></tr>
+            ))}
+          </React.Fragment>
+        ))}
+      </tbody></table>
+      <hr/>
+      <table><tbody>
+        <tr><td>Subtotal</td><td className="r">{fmt(receipt.sub, receipt.currency)}</td></tr>
+        {receipt.promoAmt > 0 && <tr><td>Less: promotions</td><td className="r">− {fmt(receipt.promoAmt, receipt.currency)}</td></tr>}
+        {receipt.vatRemoved > 0 && <tr><td>Less: VAT (exempt)</td><td className="r">− {fmt(receipt.vatRemoved, receipt.currency)}</td></tr>}
+        <tr><td>{receipt.discLabel || "Discount"} ({receipt.discPct}%)</td><td className="r">− {fmt(receipt.discAmt, receipt.currency)}</td></tr>
+        {!receipt.taxIncl && <tr><td>VAT ({receipt.vatPct}%)</td><td className="r">{fmt(receipt.taxAmt, receipt.currency)}</td></tr>}
+        <tr><td style={{fontWeight:700}}>TOTAL</td><td className="r" style={{fontWeight:700}}>{fmt(receipt.total, receipt.currency)}</td></tr>
+      </tbody></table>
+      {receipt.vatable != null && (
+        <>
+          <hr/>
+          <table><tbody>
+            <tr><td>VATable Sales</td><td className="r">{fmt(receipt.vatable, receipt.currency)}</td></tr>
+            <tr><td>VAT Amount ({receipt.vatPct}%)</td><td className="r">{fmt(receipt.taxAmt, receipt.currency)}</td></tr>
+            <tr><td>VAT-Exempt Sales</td><td className="r">{fmt(receipt.vatExempt, receipt.currency)}</td></tr>
+            <tr><td>Zero-Rated Sales</td><td className="r">{fmt(receipt.zeroRated, receipt.currency)}</td></tr>
+          </tbody></table>
+        </>
+      )}
+      <hr/>
+      {saleTenders(receipt).map((t, i) => (
+        <div key={i}>{tenderText(t, (n, c) => fmt(n, c || receipt.currency), receipt.currency)}</div>
+      ))}
+      {receipt.change > 0 && <div>Change: {fmt(receipt.change, receipt.currency)}</div>}
+      {receipt.customer && (
+        <>
+          <hr/>
+          <div>Customer: {receipt.customer.name}</div>
+          {receipt.pointsUsed > 0 && <div>Points redeemed: {receipt.pointsUsed}</div>}
+          {receipt.pointsEarned > 0 && <div>Points earned: {receipt.pointsEarned}</div>}
+          {appliedByType(receipt).Account > 0 && (
+            <>
+              <div>Charged to account</div>
+              <div>Signature: ____________________</div>
+            </>
+          )}
+        </>
+      )}
+      {receipt.scPwd && (
+        <>
+          <hr/>
+          <div>{STATUTORY[receipt.discType].label} discount</div>
+          <div>Name: {receipt.scPwd.name}</div>
+          <div>{STATUTORY[receipt.discType].idLabel}: {receipt.scPwd.idNo}</div>
+          <div>Signature: ____________________</div>
+        </>
+      )}
+      <hr/>
+      {tpl.footer && <div className="c muted" style={{ whiteSpace: "pre-line" }}>{tpl.footer}</div>}
+      {permitLines(tpl).map(l => <div key={l} className="c muted">{l}</div>)}
+    </>
+  );
+}
@@ -0,0 +1,91 @@
+/* ========= Units of measure ========= */
+// A product is stocked and priced in its base `unit` (`p.price` is per unit,
+// e.g. per gram). `p.units` adds counted selling units on top of it,
+// [{ name, factor, price, sku }]: "box of 12" = 12 pc, "1 kg bag" = 1000 g.
+// A unit without its own price sells at factor × the base price.
+//
+// Cart and sale lines carry `uom` (the unit sold) and `factor` (base units
+// per `uom`); `qty` and `price` are in that unit, so price × qty is still the
+// line amount and qty × factor is what leaves stock.
+
+export const UNITS = {
+  pc: { label: "piece",      measured: false },
+  g:  { label: "gram",       measured: true, weight: 1 },
+  kg: { label: "kilogram",   measured: true, weight: 1000 },
+  ml: { label: "millilitre", measured: true },
+};
+
+export const unitOf = (p) => (p && UNITS[p.unit] ? p.unit : "pc");
+
+// Measured units take decimal quantities; pieces and alternate units are counted.
+export const isMeasured = (unit) => !!UNITS[unit]?.measured;
+
+// Sold by weight: can be keyed off a scale or a weight-embedded barcode.
+export const isWeighed = (p) => !!UNITS[unitOf(p)].weight;
+
+// Stock and quantities are kept to 3 decimals so repeated sums don't drift.
+export const qtyRound = (n) => Math.round((Number(n) || 0) * 1000) / 1000;
+
+// Every unit `p` can be sold in, the base unit first.
+export const sellUnits = (p) => [
+  { name: unitOf(p), factor: 1, price: p.price, sku: p.sku || "" },
+  ...(p.units || []).map(u => ({ ...u, price: u.price != null && u.price !== "" ? Number(u.price) : qtyRound(p.price * u.factor) })),
+];
+
+// The named selling unit, or the base unit when `uom` is unset (lines saved
+// before units existed).
+export const findUnit = (p, uom) => {
+  const all = sellUnits(p);
+  return uom == null ? all[0] : all.find(u => u.name === uom) || null;
+};
+
+export const lineKey = (it) => `${it.id}:${it.uom || ""}`;
+
+// Base units a cart / sale line takes out of stock.
+export const baseQty = (it) => qtyRound(it.qty * (it.factor || 1));
+
+// Base units of product `id` already in the cart, optionally leaving one line out.
+export const baseInCart = (cart, id, exceptKey = null) =>
+  qtyRound(cart.filter(it => it.id === id && lineKey(it) !== exceptKey).reduce((a, it) => a + baseQty(it), 0));
+
+/**
+ * Read a typed quantity for a line sold in `uom`: decimals for measured
+ * units, whole numbers otherwise. Returns null when it isn't a usable amount.
+ */
+export const parseQty = (v, uom) => {
+  const n = Number(String(v ?? "").replace(",", "."));
+  if (!isFinite(n) || n <= 0) return null;
+  if (isMeasured(uom)) return qtyRound(n) || null;
+  return Number.isInteger(n) ? n : null;
+};
+
+// "3" for pieces, "250 g" or "2 box of 12" otherwise.
+export const qtyText = (qty, uom) => (!uom || uom === "pc" ? `${qtyRound(qty)}` : `${qtyRound(qty)} ${uom}`);
+
+export const lineQtyText = (it) => qtyText(it.qty, it.uom);
+
+// How many things are in a list of lines: pieces count one each, a weighed
+// or measured line counts once.
+export const itemCount = (lines) => lines.reduce((a, it) => a + (isMeasured(it.uom) ? 1 : it.qty), 0);
+
+// Grams (from a scale) in the product's base unit.
+export const fromGrams = (p, grams) => qtyRound(grams / UNITS[unitOf(p)].weight);
+
+/**
+ * Check an admin edit of a product's units. `p` is the stored product;
+ * returns an error message or "".
+ */
+export const checkUnits = (p, { unit, units, plu }) => {
+  if (!UNITS[unit]) return `Unknown unit "${unit}"`;
+  if (unit !== unitOf(p) && (p.stock || 0) > 0) return "The base unit can't change while stock is on hand";
+  if (plu && !/^\d{5}$/.test(plu)) return "Scale item code must be 5 digits";
+  const names = new Set([unit]);
+  for (const u of units) {
+    if (!u.name.trim()) return "Every selling unit needs a name";
+    if (names.has(u.name.trim())) return `Unit "${u.name.trim()}" is listed twice`;
+    names.add(u.name.trim());
+    if (!(Number(u.factor) > 0)) return `${u.name}: enter how many ${unit} it holds`;
+    if (u.price !== "" && u.price != null && !(Number(u.price) >= 0)) return `${u.name}: bad price`;
+  }
+  return "";
+};
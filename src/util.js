@@ -0,0 +1,53 @@
+/* ========= Shared helpers ========= */
+export const EXPIRY_SOON_DAYS = 30;  // days
+
+// Random suffix for ids of synced records: a timestamp alone repeats when two
+// terminals (or tabs) create one in the same millisecond. randomUUID needs a
+// secure context, which a till on plain http:// over the LAN isn't.
+export const uniq = () =>
+  (globalThis.crypto?.randomUUID?.() || Math.random().toString(16).slice(2) + Math.random().toString(16).slice(2))
+    .replace(/-/g, "").slice(0, 8).toUpperCase();
+
+export const fmt = (n, cur = "PHP") =>
+  new Intl.NumberFormat("en-PH", { style: "currency", currency: cur }).format(n ?? 0);
+
+export const daysUntil = (iso) => {
+  if (!iso) return Infinity;
+  const d = new Date(iso);
+  const ms = d - new Date();
+  return Math.ceil(ms / (1000 * 60 * 60 * 24));
+};
+export const isExpired = (iso) => daysUntil(iso) < 0;
+export const expSoon = (iso) => !isExpired(iso) && daysUntil(iso) <= EXPIRY_SOON_DAYS;
+
+// YYYY-MM-DD in the browser's local time (for <input type="date"> comparisons)
+export const localDate = (iso) => {
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// next free "CAT-001" style id for a category
+export const genId = (category, inv) => {
+  const pref = (category || "GEN").slice(0, 3).toUpperCase();
+  let n = inv.length + 1;
+  while (inv.some(p => p.id === `${pref}-${String(n).padStart(3, "0")}`)) n++;
+  return `${pref}-${String(n).padStart(3, "0")}`;
+};
+
+// open a popup with the given markup and send it to the printer;
+// `paper` (mm) narrows the page for roll printers driven by the OS
+export const printHtml = (inner, title = "Receipt", paper = null) => {
+  const w = window.open("", "_blank", "width=420,height=640");
+  const html = `
+    <!doctype html><html><head><meta charset="utf-8" />
+    <title>${title}</title>
+    <style>
+      *{font-family:ui-monospace,Menlo,Consolas,monospace}
+      .c{text-align:center}.r{text-align:right}.muted{color:#666}
+      table{width:100%;border-collapse:collapse} td{padding:2px 0}
+      hr{border:0;border-top:1px dashed #aaa;margin:8px 0}
+      ${paper ? `@page{size:${paper}mm auto;margin:0} body{width:${paper - 6}mm;margin:0 3mm;font-size:12px}` : ""}
+    </style></head><body>${inner}</body></html>`;
+  w.document.write(html); w.document.close(); w.focus(); w.print();
+};